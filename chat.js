@@ -1,14 +1,42 @@
-// Chat functionality
+// Chat functionality - channel tabs (lobby, categories, matches), direct messages and moderation
+
+// Chat state: open channels by ID ('lobby', 'category:<name>', 'match:<id>', 'dm:<username>')
+const chatState = {
+    channels: {},
+    activeChannel: 'lobby',
+    isModerator: false
+};
+
 document.addEventListener('DOMContentLoaded', function() {
     console.log("Chat module loaded");
-    
+
     // Initialize chat when user is logged in
     socket.on('loginResponse', (response) => {
         if (response.success) {
             initChat();
         }
     });
-    
+
+    // Initialize chat when a stored session is resumed or a new account is created
+    socket.on('sessionResumed', () => {
+        initChat();
+    });
+    socket.on('registrationResponse', (response) => {
+        if (response.success) {
+            initChat();
+        }
+    });
+
+    // Open a chat tab for each head-to-head match
+    socket.on('gameStarted', (data) => {
+        if (data.matchId && document.getElementById('chat-container')) {
+            openChatChannel('match:' + data.matchId, null, false);
+        }
+    });
+
+    // Channel tabs are named in the interface language
+    document.addEventListener('languagechange', renderChatTabs);
+
     // Initialize existing chat if user is already logged in
     if (currentUser) {
         initChat();
@@ -17,10 +45,10 @@ document.addEventListener('DOMContentLoaded', function() {
 
 function initChat() {
     console.log("Initializing chat for user:", currentUser);
-    
+
     // Check if chat container already exists
     let chatContainer = document.getElementById('chat-container');
-    
+
     // If not, create it
     if (!chatContainer) {
         // Create chat container
@@ -28,32 +56,43 @@ function initChat() {
         chatContainer.id = 'chat-container';
         chatContainer.className = 'chat-container';
         chatContainer.innerHTML = `
-            <h3>Chat</h3>
+            <h3 data-i18n="chat.title">${t('chat.title')}</h3>
+            <div id="chat-tabs" class="chat-tabs"></div>
             <div id="chat-messages"></div>
             <div class="chat-input-container">
-                <input type="text" id="chat-input" placeholder="Type a message...">
-                <button id="send-chat">Send</button>
+                <input type="text" id="chat-input" placeholder="${t('chat.placeholder')}" data-i18n-placeholder="chat.placeholder" maxlength="300">
+                <button id="send-chat" data-i18n="chat.send">${t('chat.send')}</button>
             </div>
         `;
-        
+
         // Add to main menu
         const mainMenu = document.getElementById('main-menu');
         mainMenu.appendChild(chatContainer);
-        
+
         // Set up event listeners
         setupChatEventListeners();
     }
-    
+
+    // Start fresh for this user
+    chatState.channels = {};
+    chatState.activeChannel = 'lobby';
+    chatState.isModerator = false;
+    renderChatTabs();
+    renderChatMessages();
+
     // Register for chat messages
     setupChatSocketListeners();
+
+    // Ask which channels exist; each one is joined when the list arrives
+    socket.emit('getChatChannels');
 }
 
 function setupChatEventListeners() {
     console.log("Setting up chat event listeners");
-    
+
     // Send button click
     document.getElementById('send-chat').addEventListener('click', sendChatMessage);
-    
+
     // Enter key press in input field
     document.getElementById('chat-input').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
@@ -64,31 +103,206 @@ function setupChatEventListeners() {
 
 function setupChatSocketListeners() {
     console.log("Setting up chat socket listeners");
-    
+
     // Remove any existing listeners to avoid duplicates
-    socket.off('chatMessage');
-    
+    ['chatChannels', 'chatMessage', 'chatHistory', 'chatNotice', 'chatError', 'chatKicked', 'chatMessageDeleted']
+        .forEach(event => socket.off(event));
+
+    // Channel list - join every public channel so unread counts work
+    socket.on('chatChannels', (data) => {
+        chatState.isModerator = data.isModerator;
+        data.channels.forEach(channel => {
+            openChatChannel(channel.id, channel.name, false);
+        });
+        switchChatChannel(chatState.activeChannel);
+    });
+
     // Register for chat messages
     socket.on('chatMessage', (data) => {
         console.log("Received chat message:", data);
-        displayChatMessage(data);
+
+        // The first direct message from another player opens a new tab
+        if (!chatState.channels[data.channel] && data.channel.startsWith('dm:')) {
+            openChatChannel(data.channel, '@' + data.channel.slice(3), false);
+        }
+        addChatEntry(data.channel, data);
+    });
+
+    // Stored history of a channel that was just joined
+    socket.on('chatHistory', (data) => {
+        const channel = chatState.channels[data.channel];
+        if (!channel) return;
+
+        channel.messages = data.messages;
+        if (data.channel === chatState.activeChannel) {
+            renderChatMessages();
+        }
+    });
+
+    // System messages (command replies, moderator actions)
+    socket.on('chatNotice', (data) => {
+        const channelId = chatState.channels[data.channel] ? data.channel : chatState.activeChannel;
+        addChatEntry(channelId, { notice: true, message: data.message });
     });
+
+    // Rejected messages (rate limit, mute, not logged in)
+    socket.on('chatError', (data) => {
+        showNotification(data.message);
+    });
+
+    // A moderator removed this player from a channel
+    socket.on('chatKicked', (data) => {
+        closeChatChannel(data.channel, false);
+        showNotification(tn('chat.kicked', data.minutes, { by: data.by }));
+    });
+
+    // A moderator deleted a message
+    socket.on('chatMessageDeleted', (data) => {
+        Object.values(chatState.channels).forEach(channel => {
+            channel.messages = channel.messages.filter(message => message.id !== data.id);
+        });
+        const element = document.querySelector(`#chat-messages [data-message-id="${data.id}"]`);
+        if (element) {
+            element.remove();
+        }
+    });
+}
+
+// Tab name of a channel in the interface language. The server names the lobby and category
+// channels in English; match tabs have no name.
+function chatChannelName(channel) {
+    if (channel.id === 'lobby') return t('chat.lobby');
+    if (channel.id.startsWith('match:')) return t('chat.match');
+    if (channel.id.startsWith('category:')) return categoryName(channel.id.slice('category:'.length));
+    return channel.name;
+}
+
+// Add a channel tab (if it isn't open yet) and load its history. Optionally switch to it.
+function openChatChannel(channelId, name, activate) {
+    if (!chatState.channels[channelId]) {
+        chatState.channels[channelId] = { id: channelId, name: name, messages: [], unread: 0 };
+        socket.emit('joinChannel', { channel: channelId });
+    }
+
+    if (activate) {
+        switchChatChannel(channelId);
+    } else {
+        renderChatTabs();
+    }
+}
+
+// Start or continue a private conversation (used by the online player list)
+function openDirectMessage(username) {
+    if (!document.getElementById('chat-container')) {
+        initChat();
+    }
+    openChatChannel('dm:' + username, '@' + username, true);
+    switchScreen('main-menu');
+    document.getElementById('chat-input').focus();
+}
+
+// Close a channel tab. Direct messages and match chats can be closed by the player.
+function closeChatChannel(channelId, notifyServer) {
+    if (!chatState.channels[channelId]) return;
+
+    delete chatState.channels[channelId];
+    if (notifyServer && !channelId.startsWith('dm:')) {
+        socket.emit('leaveChannel', { channel: channelId });
+    }
+
+    if (chatState.activeChannel === channelId) {
+        switchChatChannel('lobby');
+    } else {
+        renderChatTabs();
+    }
+}
+
+function switchChatChannel(channelId) {
+    chatState.activeChannel = chatState.channels[channelId] ? channelId : 'lobby';
+    if (chatState.channels[chatState.activeChannel]) {
+        chatState.channels[chatState.activeChannel].unread = 0;
+    }
+    renderChatTabs();
+    renderChatMessages();
+}
+
+// Store a message or notice and show it (or count it as unread on its tab)
+function addChatEntry(channelId, entry) {
+    const channel = chatState.channels[channelId];
+    if (!channel) return;
+
+    channel.messages.push(entry);
+
+    if (channelId === chatState.activeChannel) {
+        displayChatMessage(entry);
+    } else if (!entry.notice) {
+        channel.unread++;
+        renderChatTabs();
+    }
+}
+
+function renderChatTabs() {
+    const tabs = document.getElementById('chat-tabs');
+    if (!tabs) return;
+    tabs.innerHTML = '';
+
+    Object.values(chatState.channels).forEach(channel => {
+        const tab = document.createElement('button');
+        tab.className = 'chat-tab' + (channel.id === chatState.activeChannel ? ' active' : '');
+        tab.textContent = chatChannelName(channel);
+        tab.onclick = function () {
+            switchChatChannel(channel.id);
+        };
+
+        if (channel.unread > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'chat-unread';
+            badge.textContent = channel.unread;
+            tab.appendChild(badge);
+        }
+
+        if (channel.id.startsWith('dm:') || channel.id.startsWith('match:')) {
+            const close = document.createElement('span');
+            close.className = 'chat-tab-close';
+            close.textContent = '×';
+            close.title = t('common.close');
+            close.onclick = function (e) {
+                e.stopPropagation();
+                closeChatChannel(channel.id, true);
+            };
+            tab.appendChild(close);
+        }
+
+        tabs.appendChild(tab);
+    });
+}
+
+function renderChatMessages() {
+    const chatMessages = document.getElementById('chat-messages');
+    if (!chatMessages) return;
+    chatMessages.innerHTML = '';
+
+    const channel = chatState.channels[chatState.activeChannel];
+    if (channel) {
+        channel.messages.forEach(displayChatMessage);
+    }
 }
 
 function sendChatMessage() {
     const inputElement = document.getElementById('chat-input');
     const message = inputElement.value.trim();
-    
+
     console.log("Attempting to send message:", message);
-    
+
     if (message && currentUser) {
-        console.log("Sending chat message:", message, "as user:", currentUser.username);
-        
+        console.log("Sending chat message:", message, "to channel:", chatState.activeChannel);
+
+        // The server adds the sender's name from the login session
         socket.emit('chatMessage', {
-            username: currentUser.username,
+            channel: chatState.activeChannel,
             message: message
         });
-        
+
         // Clear input field
         inputElement.value = '';
     }
@@ -98,15 +312,43 @@ function displayChatMessage(data) {
     const chatMessages = document.getElementById('chat-messages');
     const messageElement = document.createElement('div');
     messageElement.className = 'chat-message';
-    
+
+    // System notices have no sender
+    if (data.notice) {
+        messageElement.className += ' chat-notice';
+        messageElement.textContent = data.message;
+        chatMessages.appendChild(messageElement);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return;
+    }
+
+    messageElement.dataset.messageId = data.id;
+
     // Highlight current user's messages
     if (currentUser && data.username === currentUser.username) {
         messageElement.className += ' own-message';
     }
-    
-    messageElement.innerHTML = `<strong>${data.username}:</strong> ${data.message}`;
+
+    // Build the message as text nodes so names and messages can never inject markup
+    const nameElement = document.createElement('strong');
+    nameElement.textContent = data.username + ':';
+    messageElement.appendChild(nameElement);
+    messageElement.appendChild(document.createTextNode(' ' + data.message));
+
+    // Moderators can delete any message
+    if (chatState.isModerator) {
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'chat-delete-button';
+        deleteButton.textContent = '×';
+        deleteButton.title = t('chat.deleteMessage');
+        deleteButton.onclick = function () {
+            socket.emit('deleteChatMessage', { messageId: data.id });
+        };
+        messageElement.appendChild(deleteButton);
+    }
+
     chatMessages.appendChild(messageElement);
-    
+
     // Auto-scroll to bottom
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
\ No newline at end of file
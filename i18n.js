@@ -0,0 +1,114 @@
+// Translations of the interface text
+//
+// Every language registers its strings from locales/<code>.js with addTranslations(). English
+// is the fallback for any string a language leaves out. In the markup, data-i18n="key" sets the
+// text of an element and data-i18n-placeholder / data-i18n-title / data-i18n-alt set those
+// attributes. Scripts call t('key', { name: value }) for text they build, and tn('key', count)
+// for text with a number in it ('key.one' / 'key.other', picked with the language's plural rules).
+// Question and answer text comes from the server in the player's language (see setLanguage).
+
+const I18N_DEFAULT_LANGUAGE = 'en';
+const I18N_STORAGE_KEY = 'language';
+
+const i18nState = {
+    languages: {}, // code -> { name, strings }
+    current: I18N_DEFAULT_LANGUAGE
+};
+
+function addTranslations(code, name, strings) {
+    i18nState.languages[code] = { name: name, strings: strings };
+}
+
+function getLanguage() {
+    return i18nState.current;
+}
+
+// Codes and names of the languages that can be picked
+function getLanguages() {
+    return Object.keys(i18nState.languages).map(code => ({ code: code, name: i18nState.languages[code].name }));
+}
+
+// A supported language code for `code` ('da-DK' -> 'da'), or null
+function matchLanguage(code) {
+    if (!code) return null;
+    const wanted = String(code).toLowerCase();
+    if (i18nState.languages[wanted]) return wanted;
+    const base = wanted.split('-')[0];
+    return i18nState.languages[base] ? base : null;
+}
+
+// The saved choice, else the browser's language, else English
+function detectLanguage() {
+    const candidates = [localStorage.getItem(I18N_STORAGE_KEY), ...(navigator.languages || [navigator.language])];
+    for (const candidate of candidates) {
+        const code = matchLanguage(candidate);
+        if (code) return code;
+    }
+    return I18N_DEFAULT_LANGUAGE;
+}
+
+function hasTranslation(key) {
+    return [i18nState.current, I18N_DEFAULT_LANGUAGE].some(code =>
+        i18nState.languages[code] && i18nState.languages[code].strings[key] !== undefined);
+}
+
+// Text for `key` with {placeholders} filled in from `params`
+function t(key, params) {
+    const own = i18nState.languages[i18nState.current];
+    const fallback = i18nState.languages[I18N_DEFAULT_LANGUAGE];
+    let text = own && own.strings[key] !== undefined ? own.strings[key] : fallback && fallback.strings[key];
+    if (text === undefined) {
+        console.warn('Missing translation:', key);
+        text = key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+        params && params[name] !== undefined && params[name] !== null ? params[name] : match);
+}
+
+// Text with a count: 'key.one', 'key.other' (and 'key.zero' when a language defines it)
+function tn(key, count, params) {
+    const form = count === 0 && hasTranslation(key + '.zero')
+        ? 'zero'
+        : new Intl.PluralRules(i18nState.current).select(count);
+    const pluralKey = hasTranslation(`${key}.${form}`) ? `${key}.${form}` : `${key}.other`;
+    return t(pluralKey, { count: count, ...params });
+}
+
+// Dates and numbers in the format of the current language
+function formatDate(date, options) {
+    return new Date(date).toLocaleDateString(i18nState.current, options);
+}
+
+function formatDateTime(date, options) {
+    return new Date(date).toLocaleString(i18nState.current, options);
+}
+
+// Fill in every element marked with data-i18n attributes below `root`
+function applyTranslations(root) {
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['placeholder', 'title', 'alt'].forEach(attribute => {
+        scope.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    if (!root) {
+        document.documentElement.lang = i18nState.current;
+    }
+}
+
+// Switch the interface language. Listeners of the 'languagechange' event on document
+// re-render the text they built.
+function setLanguage(code) {
+    const language = matchLanguage(code) || I18N_DEFAULT_LANGUAGE;
+    const changed = language !== i18nState.current;
+    i18nState.current = language;
+    localStorage.setItem(I18N_STORAGE_KEY, language);
+
+    applyTranslations();
+    if (changed) {
+        document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: language } }));
+    }
+}
@@ -0,0 +1,185 @@
+// achievements.js - Achievement definitions, evaluated on the server from finished games.
+// Earned achievements are stored in UserAchievement (one row per player and achievement),
+// so each one is only ever awarded once.
+const storage = require('./storage');
+
+// Correct answers in a row (across games) for the streak achievement
+const STREAK_ANSWERS = 10;
+// Consecutive days with at least one answered question for the daily streak achievement
+const STREAK_DAYS = 3;
+// Progress needed for the category achievements
+const CATEGORY_MASTER_PERCENT = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `earned(context)` gets the finished game and the player's history (see loadContext)
+const ACHIEVEMENTS = [
+  {
+    id: 'first_game',
+    title: 'First Steps',
+    description: 'Complete your first game',
+    icon: '🎮',
+    earned: () => true
+  },
+  {
+    id: 'perfect_score',
+    title: 'Perfect Security',
+    description: 'Get 100% on any quiz',
+    icon: '🔒',
+    earned: ({ result }) => !result.reviewRound && result.totalQuestions > 0 &&
+      result.correctAnswers === result.totalQuestions
+  },
+  {
+    id: 'social_master',
+    title: 'Social Engineering Expert',
+    description: `Get at least ${CATEGORY_MASTER_PERCENT}% in the Social Engineering category`,
+    icon: '👥',
+    earned: ({ result }) => categoryMastered(result, 'Social Engineering')
+  },
+  {
+    id: 'mobile_guardian',
+    title: 'Mobile Guardian',
+    description: `Get at least ${CATEGORY_MASTER_PERCENT}% in the Mobile Security category`,
+    icon: '📱',
+    earned: ({ result }) => categoryMastered(result, 'Password Security')
+  },
+  {
+    id: 'phishing_detector',
+    title: 'Phishing Detector',
+    description: `Get at least ${CATEGORY_MASTER_PERCENT}% in the Phishing category`,
+    icon: '🎣',
+    earned: ({ result }) => categoryMastered(result, 'Phishing Defense')
+  },
+  {
+    id: 'speed_demon',
+    title: 'Speed Demon',
+    description: 'Answer every question of a quiz with at least 30 seconds remaining',
+    icon: '⏱️',
+    earned: ({ result }) => !result.reviewRound && result.totalQuestions > 0 &&
+      result.answeredQuestions === result.totalQuestions && result.timeRemaining >= 30
+  },
+  {
+    id: 'hot_streak',
+    title: 'Hot Streak',
+    description: `Answer ${STREAK_ANSWERS} questions correctly in a row`,
+    icon: '🔥',
+    earned: ({ correctStreak }) => correctStreak >= STREAK_ANSWERS
+  },
+  {
+    id: 'daily_streak',
+    title: 'Creature of Habit',
+    description: `Play on ${STREAK_DAYS} days in a row`,
+    icon: '📅',
+    earned: ({ dayStreak }) => dayStreak >= STREAK_DAYS
+  },
+  {
+    id: 'all_rounder',
+    title: 'All-Rounder',
+    description: 'Complete a game in every category',
+    icon: '🌐',
+    earned: ({ categories, categoryStats }) => categories.length > 0 &&
+      categories.every(category => categoryStats[category] && categoryStats[category].total > 0)
+  },
+  {
+    id: 'second_look',
+    title: 'Second Look',
+    description: 'Complete a "Review my mistakes" round',
+    icon: '🔁',
+    earned: ({ result }) => Boolean(result.reviewRound)
+  }
+];
+
+function categoryMastered(result, category) {
+  return !result.reviewRound && result.category === category &&
+    result.progressPercent >= CATEGORY_MASTER_PERCENT;
+}
+
+// Correct answers in a row, counting back from the latest answer
+async function getCorrectStreak(userId) {
+  const attempts = await storage.select('QuestionAttempt', {
+    columns: 'Correct',
+    where: { UserID: userId },
+    order: [{ column: 'AttemptID', ascending: false }],
+    limit: STREAK_ANSWERS
+  });
+  const firstMiss = attempts.findIndex(attempt => !attempt.Correct);
+  return firstMiss === -1 ? attempts.length : firstMiss;
+}
+
+// Days in a row (up to today, UTC) with at least one answered question
+async function getDayStreak(userId) {
+  const since = new Date(Date.now() - STREAK_DAYS * DAY_MS);
+  const attempts = await storage.select('QuestionAttempt', {
+    columns: 'AnsweredAt',
+    where: { UserID: userId, AnsweredAt: { gte: since.toISOString() } }
+  });
+  const days = new Set(attempts.map(attempt => new Date(attempt.AnsweredAt).toISOString().slice(0, 10)));
+
+  let streak = 0;
+  while (days.has(new Date(Date.now() - streak * DAY_MS).toISOString().slice(0, 10))) {
+    streak++;
+  }
+  return streak;
+}
+
+// Everything the achievement checks look at
+async function loadContext(userId, result) {
+  const [categoryStats, categories, correctStreak, dayStreak] = await Promise.all([
+    storage.getUserStats(userId),
+    storage.getCategories(),
+    getCorrectStreak(userId),
+    getDayStreak(userId)
+  ]);
+
+  return {
+    result,
+    categoryStats: categoryStats || {},
+    categories,
+    correctStreak,
+    dayStreak
+  };
+}
+
+function formatAchievement(achievement, earnedAt) {
+  return {
+    id: achievement.id,
+    title: achievement.title,
+    description: achievement.description,
+    icon: achievement.icon,
+    earnedAt: earnedAt || null
+  };
+}
+
+// Every achievement, with `earnedAt` set for those the player has
+async function getAchievements(userId) {
+  const rows = await storage.select('UserAchievement', { where: { UserID: userId } });
+  const earned = new Map(rows.map(row => [row.AchievementID, row.EarnedAt]));
+  return ACHIEVEMENTS.map(achievement => formatAchievement(achievement, earned.get(achievement.id)));
+}
+
+// Check a finished game and store the achievements it unlocked. Returns only the new ones.
+async function awardAchievements(userId, result) {
+  const rows = await storage.select('UserAchievement', { columns: 'AchievementID', where: { UserID: userId } });
+  const owned = new Set(rows.map(row => row.AchievementID));
+  const pending = ACHIEVEMENTS.filter(achievement => !owned.has(achievement.id));
+  if (pending.length === 0) return [];
+
+  const context = await loadContext(userId, result);
+  const unlocked = pending.filter(achievement => achievement.earned(context));
+  if (unlocked.length === 0) return [];
+
+  const earnedAt = new Date().toISOString();
+  await storage.insert('UserAchievement', unlocked.map(achievement => ({
+    UserID: userId,
+    AchievementID: achievement.id,
+    EarnedAt: earnedAt
+  })));
+
+  return unlocked.map(achievement => formatAchievement(achievement, earnedAt));
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  getAchievements,
+  awardAchievements
+};
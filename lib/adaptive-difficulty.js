@@ -0,0 +1,101 @@
+// adaptive-difficulty.js - Adaptive question selection and per-category skill estimates.
+//
+// Skill is a single number on a logistic scale: 0 means a 50% chance of answering a medium
+// question correctly, and each difficulty has a rating on the same scale. A game starts from the
+// player's stored accuracy in the category and nudges the skill after every answer.
+// Adaptive games pick questions one at a time, one level harder after a correct answer and one
+// level easier after a miss.
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+const DIFFICULTY_RATINGS = { easy: -1, medium: 0, hard: 1 };
+
+// Longest adaptive game (the category's question bank may be shorter)
+const ADAPTIVE_QUESTION_COUNT = 10;
+
+// How far one answer moves the skill estimate
+const LEARNING_RATE = 0.5;
+const MAX_SKILL = 3;
+
+const SKILL_LEVELS = [
+  { below: -0.5, level: 'Beginner', difficulty: 'easy' },
+  { below: 0.5, level: 'Intermediate', difficulty: 'medium' },
+  { below: Infinity, level: 'Advanced', difficulty: 'hard' }
+];
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Starting skill from stored category stats ({ correct, total }). No history starts at medium.
+function startingSkill(stats) {
+  if (!stats || !(stats.total > 0)) return 0;
+
+  // Smooth small samples towards 50% so one lucky game doesn't jump straight to hard
+  const accuracy = ((stats.correct || 0) + 1) / (stats.total + 2);
+  return clamp(Math.log(accuracy / (1 - accuracy)), -MAX_SKILL, MAX_SKILL);
+}
+
+// Move the skill towards the result of one answer
+function updateSkill(skill, difficulty, correct) {
+  const rating = DIFFICULTY_RATINGS[difficulty] !== undefined ? DIFFICULTY_RATINGS[difficulty] : 0;
+  const expected = sigmoid(skill - rating);
+  return clamp(skill + LEARNING_RATE * ((correct ? 1 : 0) - expected), -MAX_SKILL, MAX_SKILL);
+}
+
+function skillLevel(skill) {
+  return SKILL_LEVELS.find(entry => skill < entry.below);
+}
+
+// Difficulty of the first question for a given skill
+function difficultyForSkill(skill) {
+  return skillLevel(skill).difficulty;
+}
+
+// One step up after a correct answer, one step down after a miss
+function nextDifficulty(current, correct) {
+  const index = Math.max(0, DIFFICULTY_ORDER.indexOf(current));
+  const next = clamp(index + (correct ? 1 : -1), 0, DIFFICULTY_ORDER.length - 1);
+  return DIFFICULTY_ORDER[next];
+}
+
+// Pick an unused question of the wanted difficulty, or the closest difficulty available
+function pickQuestion(pool, usedQuestionIds, difficulty) {
+  const unused = pool.filter(question => !usedQuestionIds.includes(question.QuestionID));
+  if (unused.length === 0) return null;
+
+  const target = Math.max(0, DIFFICULTY_ORDER.indexOf(difficulty));
+  const distance = question => {
+    const index = DIFFICULTY_ORDER.indexOf(question.Difficulty);
+    return Math.abs((index === -1 ? 0 : index) - target);
+  };
+
+  const closest = Math.min(...unused.map(distance));
+  const candidates = unused.filter(question => distance(question) === closest);
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Skill estimate for the results screen
+function describeSkill(skill) {
+  const level = skillLevel(skill);
+  return {
+    skill: Math.round(skill * 100) / 100,
+    percent: Math.round(sigmoid(skill) * 100),
+    level: level.level,
+    recommendedDifficulty: level.difficulty
+  };
+}
+
+module.exports = {
+  DIFFICULTY_ORDER,
+  ADAPTIVE_QUESTION_COUNT,
+  startingSkill,
+  updateSkill,
+  difficultyForSkill,
+  nextDifficulty,
+  pickQuestion,
+  describeSkill
+};
@@ -0,0 +1,86 @@
+// auth-log.js - Audit log of authentication events (AuthEvent table), searchable by admins.
+//
+// Logins (successful, failed and blocked by a lock), lockouts, registrations, guest logins,
+// logouts, password resets and connections cut off by the event rate limiter are recorded
+// with the username, the account it belongs to (when there is one) and the client address.
+// Passwords, tokens and reset codes are never logged.
+const storage = require('./storage');
+
+const EVENTS = {
+  REGISTER: 'register',
+  LOGIN: 'login',
+  LOGIN_FAILED: 'login_failed',
+  LOGIN_BLOCKED: 'login_blocked',
+  LOCKOUT: 'lockout',
+  GUEST_LOGIN: 'guest_login',
+  LOGOUT: 'logout',
+  PASSWORD_RESET_REQUESTED: 'password_reset_requested',
+  PASSWORD_RESET: 'password_reset',
+  PASSWORD_RESET_FAILED: 'password_reset_failed',
+  RATE_LIMITED: 'rate_limited'
+};
+
+const PAGE_SIZE = 50;
+const MAX_DETAIL_LENGTH = 255;
+const MAX_USERNAME_LENGTH = 50;
+
+// Record an event. Failures are logged but never stop the login or action itself.
+async function record(event, { username = null, userId = null, address = null, detail = null } = {}) {
+  try {
+    await storage.insert('AuthEvent', [{
+      Event: event,
+      Username: typeof username === 'string' ? username.slice(0, MAX_USERNAME_LENGTH) : null,
+      UserID: userId || null,
+      IpAddress: address || null,
+      Detail: detail ? String(detail).slice(0, MAX_DETAIL_LENGTH) : null,
+      CreatedAt: new Date().toISOString()
+    }]);
+  } catch (error) {
+    console.error('Error writing auth log:', error);
+  }
+}
+
+function formatEvent(row) {
+  return {
+    id: row.EventID,
+    event: row.Event,
+    username: row.Username,
+    userId: row.UserID,
+    address: row.IpAddress,
+    detail: row.Detail,
+    createdAt: row.CreatedAt
+  };
+}
+
+// One page of events, newest first, optionally only those of a username, event type or address
+async function getEvents({ username, event, address, page = 1 } = {}) {
+  const where = {};
+  if (typeof username === 'string' && username.trim()) where.Username = username.trim();
+  if (Object.values(EVENTS).includes(event)) where.Event = event;
+  if (typeof address === 'string' && address.trim()) where.IpAddress = address.trim();
+
+  const totalEvents = await storage.count('AuthEvent', { where });
+  const totalPages = Math.max(1, Math.ceil(totalEvents / PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, Math.floor(Number(page)) || 1), totalPages);
+
+  const rows = await storage.select('AuthEvent', {
+    where: where,
+    order: [{ column: 'EventID', ascending: false }],
+    limit: PAGE_SIZE,
+    offset: (currentPage - 1) * PAGE_SIZE
+  });
+
+  return {
+    page: currentPage,
+    totalPages: totalPages,
+    totalEvents: totalEvents,
+    events: rows.map(formatEvent)
+  };
+}
+
+module.exports = {
+  EVENTS,
+  PAGE_SIZE,
+  record,
+  getEvents
+};
@@ -0,0 +1,99 @@
+// auth-sessions.js - Signed login session tokens that survive reconnects and page reloads.
+// A token is "<session ID>.<expiry ms>.<HMAC signature>". The signature stops tampering and the
+// Session table lets the server revoke a token on logout before it expires.
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 24 * 7);
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET is not set - using a random secret, so sessions end when the server restarts.');
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+// Start a session for a registered user ({ userId, username }) or a guest ({ username, isGuest: true })
+async function createAuthSession(identity) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+  await storage.insert('Session', [{
+    SessionID: sessionId,
+    UserID: identity.isGuest ? null : identity.userId,
+    Username: identity.username,
+    IsGuest: Boolean(identity.isGuest),
+    CreatedAt: new Date().toISOString(),
+    ExpiresAt: new Date(expiresAt).toISOString(),
+    RevokedAt: null
+  }]);
+
+  const payload = `${sessionId}.${expiresAt}`;
+  return {
+    token: `${payload}.${sign(payload)}`,
+    identity: {
+      sessionId: sessionId,
+      userId: identity.isGuest ? null : identity.userId,
+      username: identity.username,
+      isGuest: Boolean(identity.isGuest),
+      expiresAt: expiresAt
+    }
+  };
+}
+
+// Check a token's signature, expiry and revocation. Returns the session identity or an error.
+async function verifyAuthToken(token) {
+  if (typeof token !== 'string') return { error: 'Invalid session' };
+
+  const [sessionId, expiresAtText, signature] = token.split('.');
+  if (!sessionId || !expiresAtText || !signature) return { error: 'Invalid session' };
+
+  const expected = Buffer.from(sign(`${sessionId}.${expiresAtText}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid session' };
+  }
+
+  const expiresAt = Number(expiresAtText);
+  if (!(expiresAt > Date.now())) return { error: 'Session expired' };
+
+  const [session] = await storage.select('Session', { where: { SessionID: sessionId }, limit: 1 });
+  if (!session || session.RevokedAt) return { error: 'Session expired' };
+
+  return {
+    identity: {
+      sessionId: session.SessionID,
+      userId: session.UserID,
+      username: session.Username,
+      isGuest: Boolean(session.IsGuest),
+      expiresAt: expiresAt
+    }
+  };
+}
+
+// End a session (explicit logout)
+async function revokeAuthSession(sessionId) {
+  await storage.update('Session', { RevokedAt: new Date().toISOString() }, { SessionID: sessionId });
+}
+
+// End every session of an account (after its password was reset)
+async function revokeUserSessions(userId) {
+  await storage.update('Session', { RevokedAt: new Date().toISOString() }, { UserID: userId, RevokedAt: null });
+}
+
+// Delete the sessions that have expired. Guests never log out, so their rows would pile up.
+async function removeExpiredSessions() {
+  await storage.remove('Session', { ExpiresAt: { lt: new Date().toISOString() } });
+}
+
+module.exports = {
+  SESSION_TTL_HOURS,
+  createAuthSession,
+  verifyAuthToken,
+  revokeAuthSession,
+  revokeUserSessions,
+  removeExpiredSessions
+};
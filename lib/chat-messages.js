@@ -0,0 +1,245 @@
+// chat-messages.js - Chat channels, direct messages, moderation and persisted history.
+// Channel names as the client sees them: 'lobby', 'category:<category>', 'match:<match ID>'
+// and 'dm:<other username>'. Direct messages are stored under one key shared by both players.
+const storage = require('./storage');
+const roles = require('./roles');
+
+const MAX_MESSAGE_LENGTH = Number(process.env.CHAT_MAX_LENGTH || 300);
+const HISTORY_LIMIT = Number(process.env.CHAT_HISTORY_LIMIT || 50);
+
+// At most RATE_LIMIT_MESSAGES per user in any RATE_LIMIT_WINDOW_SECONDS
+const RATE_LIMIT_MESSAGES = Number(process.env.CHAT_RATE_LIMIT || 5);
+const RATE_LIMIT_WINDOW_SECONDS = Number(process.env.CHAT_RATE_WINDOW_SECONDS || 10);
+
+// Filter settings: CHAT_BLOCKED_WORDS is a comma-separated list that replaces the default one,
+// CHAT_ALLOW_LINKS=true lets links through
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'wanker'];
+const BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS !== undefined
+  ? process.env.CHAT_BLOCKED_WORDS.split(',')
+  : DEFAULT_BLOCKED_WORDS)
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+const ALLOW_LINKS = process.env.CHAT_ALLOW_LINKS === 'true';
+
+// Moderation defaults
+const DEFAULT_MUTE_MINUTES = 10;
+const KICK_MINUTES = Number(process.env.CHAT_KICK_MINUTES || 5);
+const MODERATOR_ROLES = [roles.ROLES.MODERATOR, roles.ROLES.ADMIN];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|uk|ru|info|biz|xyz|ly|me|app)(?:\/\S*)?/gi;
+const HTML_TAG = /<\/?[a-z!][^>]*>/gi;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+const recentMessages = {}; // username -> timestamps (ms) of recent messages
+const kicks = {}; // "<channel>|<username>" -> time (ms) the player may rejoin
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const blockedWordPattern = BLOCKED_WORDS.length > 0
+  ? new RegExp(`\\b(?:${BLOCKED_WORDS.map(escapeRegExp).join('|')})\\w*`, 'gi')
+  : null;
+
+// Clean up raw message text: strip markup and invisible characters.
+// Returns null when nothing is left to send. Clients must still render it as text, never as HTML.
+function sanitizeMessage(text) {
+  if (typeof text !== 'string') return null;
+
+  const cleaned = text
+    .replace(HTML_TAG, '')
+    .replace(CONTROL_CHARACTERS, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_MESSAGE_LENGTH);
+
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+// Mask blocked words and remove links
+function filterMessage(text) {
+  let filtered = text;
+  if (blockedWordPattern) {
+    filtered = filtered.replace(blockedWordPattern, match => '*'.repeat(match.length));
+  }
+  if (!ALLOW_LINKS) {
+    filtered = filtered.replace(LINK_PATTERN, '[link removed]');
+  }
+  return filtered;
+}
+
+// Record a message attempt. Returns the seconds to wait when the user is over the limit.
+function checkRateLimit(username) {
+  const now = Date.now();
+  const windowStart = now - RATE_LIMIT_WINDOW_SECONDS * 1000;
+  const timestamps = (recentMessages[username] || []).filter(time => time > windowStart);
+
+  if (timestamps.length >= RATE_LIMIT_MESSAGES) {
+    recentMessages[username] = timestamps;
+    return Math.ceil((timestamps[0] - windowStart) / 1000);
+  }
+
+  timestamps.push(now);
+  recentMessages[username] = timestamps;
+  return 0;
+}
+
+// Split a client channel name into its type and value. Returns null for unknown channels.
+function parseChannel(channel) {
+  if (channel === 'lobby') return { type: 'lobby', value: null };
+  if (typeof channel !== 'string') return null;
+
+  const separator = channel.indexOf(':');
+  if (separator === -1) return null;
+
+  const type = channel.slice(0, separator);
+  const value = channel.slice(separator + 1);
+  if (!value || !['category', 'match', 'dm'].includes(type)) return null;
+
+  return { type, value };
+}
+
+// Storage key of the conversation between two players (same for both of them)
+function directChannelKey(username, otherUsername) {
+  return 'dm:' + [username, otherUsername].sort().join('|');
+}
+
+// Shape a ChatMessage row for the client. Direct messages are named after the other player.
+function formatMessage(row, viewer) {
+  let channel = row.Channel;
+  if (row.Recipient) {
+    channel = 'dm:' + (row.Username === viewer ? row.Recipient : row.Username);
+  }
+
+  return {
+    id: row.MessageID,
+    channel: channel,
+    username: row.Username,
+    recipient: row.Recipient || null,
+    message: row.Message,
+    timestamp: row.CreatedAt
+  };
+}
+
+// Whether a player may use moderator commands (registered users with a moderator or admin role)
+async function isModerator(identity) {
+  return roles.hasRole(identity, MODERATOR_ROLES);
+}
+
+// Minutes left on a player's mute, or 0
+async function getMuteMinutesLeft(username) {
+  const [mute] = await storage.select('ChatMute', { where: { Username: username }, limit: 1 });
+  if (!mute) return 0;
+
+  const remaining = new Date(mute.MutedUntil).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+}
+
+// Check, filter and store a message from a signed-in player.
+// `channel` is the storage channel; `recipient` is set for direct messages.
+// Returns { saved } (the stored row) or { error }.
+async function postMessage(identity, channel, text, recipient = null) {
+  const cleaned = sanitizeMessage(text);
+  if (!cleaned) {
+    return { error: 'Message is empty' };
+  }
+
+  const mutedMinutes = await getMuteMinutesLeft(identity.username);
+  if (mutedMinutes > 0) {
+    return { error: `You are muted for ${mutedMinutes} more minute${mutedMinutes === 1 ? '' : 's'}.` };
+  }
+
+  const wait = checkRateLimit(identity.username);
+  if (wait > 0) {
+    return { error: `You are sending messages too quickly. Try again in ${wait} seconds.` };
+  }
+
+  const [saved] = await storage.insert('ChatMessage', [{
+    UserID: identity.isGuest ? null : identity.userId,
+    Username: identity.username,
+    Channel: channel,
+    Recipient: recipient,
+    Message: filterMessage(cleaned),
+    CreatedAt: new Date().toISOString(),
+    DeletedAt: null,
+    DeletedBy: null
+  }]);
+
+  return { saved };
+}
+
+// Most recent messages of a storage channel, oldest first, formatted for `viewer`
+async function getHistory(channel, viewer, limit = HISTORY_LIMIT) {
+  const rows = await storage.select('ChatMessage', {
+    where: { Channel: channel, DeletedAt: null },
+    order: [{ column: 'MessageID', ascending: false }],
+    limit: limit
+  });
+  return rows
+    .reverse()
+    // Usernames may contain the key separator, so only keep conversations the viewer is part of
+    .filter(row => !row.Recipient || row.Username === viewer || row.Recipient === viewer)
+    .map(row => formatMessage(row, viewer));
+}
+
+// Moderation
+
+async function muteUser(username, minutes, moderator) {
+  const mutedUntil = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  await storage.upsert('ChatMute', {
+    Username: username,
+    MutedUntil: mutedUntil,
+    MutedBy: moderator
+  }, ['Username']);
+  return mutedUntil;
+}
+
+async function unmuteUser(username) {
+  await storage.remove('ChatMute', { Username: username });
+}
+
+// Hide a message from history. Returns the deleted row or null when it doesn't exist.
+async function deleteMessage(messageId, moderator) {
+  const [deleted] = await storage.update('ChatMessage', {
+    DeletedAt: new Date().toISOString(),
+    DeletedBy: moderator
+  }, { MessageID: messageId, DeletedAt: null });
+  return deleted || null;
+}
+
+// Keep a kicked player out of a channel for a while
+function kickFromChannel(channel, username) {
+  kicks[`${channel}|${username}`] = Date.now() + KICK_MINUTES * 60 * 1000;
+}
+
+// Minutes left before a kicked player may rejoin a channel, or 0
+function getKickMinutesLeft(channel, username) {
+  const key = `${channel}|${username}`;
+  const remaining = (kicks[key] || 0) - Date.now();
+  if (remaining <= 0) {
+    delete kicks[key];
+    return 0;
+  }
+  return Math.ceil(remaining / 60000);
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  DEFAULT_MUTE_MINUTES,
+  KICK_MINUTES,
+  MODERATOR_ROLES,
+  sanitizeMessage,
+  filterMessage,
+  parseChannel,
+  directChannelKey,
+  formatMessage,
+  isModerator,
+  getMuteMinutesLeft,
+  postMessage,
+  getHistory,
+  muteUser,
+  unmuteUser,
+  deleteMessage,
+  kickFromChannel,
+  getKickMinutesLeft
+};
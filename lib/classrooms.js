@@ -0,0 +1,354 @@
+// classrooms.js - Instructor classes with join codes, category quiz assignments and progress reports.
+//
+// An instructor creates a class and shares its join code; registered players join the class with it.
+// An assignment asks the class to play one category by a due date. A student has done an assignment
+// once they play a game in that category (a GameResult row) to the end - every question answered -
+// after it was set; games after the due date count as late. Reports add each student's accuracy per
+// category from UserStats. Accuracy is always correct answers out of answered questions.
+const crypto = require('crypto');
+const storage = require('./storage');
+const { csvField } = require('./csv');
+const { accuracy } = require('./game-history');
+
+// Join codes leave out look-alike characters (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 100;
+
+// Assignment states in reports
+const STATUS = {
+  COMPLETED: 'completed',
+  LATE: 'late',
+  PENDING: 'pending',
+  MISSED: 'missed'
+};
+
+function generateJoinCode() {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  return [...bytes].map(byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+// JSON columns come back as text from MariaDB
+function parseJson(value) {
+  if (typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+
+function formatClass(row) {
+  return {
+    id: row.ClassID,
+    name: row.Name,
+    joinCode: row.JoinCode,
+    instructor: row.InstructorName,
+    createdAt: row.CreatedAt
+  };
+}
+
+function formatAssignment(row) {
+  return {
+    id: row.AssignmentID,
+    classId: row.ClassID,
+    category: row.Category,
+    dueAt: row.DueAt,
+    createdAt: row.CreatedAt
+  };
+}
+
+async function getClass(classId) {
+  const [row] = await storage.select('Classroom', { where: { ClassID: classId }, limit: 1 });
+  return row || null;
+}
+
+async function getAssignment(assignmentId) {
+  const [row] = await storage.select('Assignment', { where: { AssignmentID: assignmentId }, limit: 1 });
+  return row || null;
+}
+
+// A class the instructor may manage (admins may manage every class), or null
+async function getManagedClass(classId, instructor, isAdmin = false) {
+  const row = await getClass(Number(classId));
+  if (!row || (!isAdmin && row.InstructorID !== instructor.userId)) return null;
+  return row;
+}
+
+async function createClass(instructor, name) {
+  const className = typeof name === 'string' ? name.trim() : '';
+  if (!className) return { error: 'Give the class a name' };
+  if (className.length > MAX_NAME_LENGTH) return { error: `Class names can be at most ${MAX_NAME_LENGTH} characters` };
+
+  // Codes are random; try again on the rare clash with an existing class
+  let joinCode = generateJoinCode();
+  while (await storage.count('Classroom', { where: { JoinCode: joinCode } }) > 0) {
+    joinCode = generateJoinCode();
+  }
+
+  const [row] = await storage.insert('Classroom', [{
+    Name: className,
+    JoinCode: joinCode,
+    InstructorID: instructor.userId,
+    InstructorName: instructor.username,
+    CreatedAt: new Date().toISOString()
+  }]);
+  return { classroom: formatClass(row) };
+}
+
+// Classes an instructor runs (every class for admins), each with its assignments and student count
+async function listTaughtClasses(instructor, isAdmin = false) {
+  const rows = await storage.select('Classroom', {
+    where: isAdmin ? {} : { InstructorID: instructor.userId },
+    order: [{ column: 'ClassID', ascending: true }]
+  });
+  const classIds = rows.map(row => row.ClassID);
+  const [assignments, members] = await Promise.all([
+    storage.select('Assignment', { where: { ClassID: { in: classIds } }, order: [{ column: 'DueAt', ascending: true }] }),
+    storage.select('ClassMember', { columns: 'ClassID', where: { ClassID: { in: classIds } } })
+  ]);
+
+  return rows.map(row => ({
+    ...formatClass(row),
+    students: members.filter(member => member.ClassID === row.ClassID).length,
+    assignments: assignments.filter(assignment => assignment.ClassID === row.ClassID).map(formatAssignment)
+  }));
+}
+
+async function joinClass(student, code) {
+  const joinCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  const [row] = joinCode
+    ? await storage.select('Classroom', { where: { JoinCode: joinCode }, limit: 1 })
+    : [];
+  if (!row) return { error: 'No class has that join code' };
+
+  const joined = await storage.count('ClassMember', { where: { ClassID: row.ClassID, UserID: student.userId } });
+  if (joined > 0) return { error: `You are already in ${row.Name}` };
+
+  await storage.insert('ClassMember', [{
+    ClassID: row.ClassID,
+    UserID: student.userId,
+    Username: student.username,
+    JoinedAt: new Date().toISOString()
+  }]);
+  return { classroom: formatClass(row) };
+}
+
+// Take a student out of a class (they leave, or their instructor removes them)
+async function removeMember(classId, userId) {
+  const where = { ClassID: Number(classId), UserID: userId };
+  if (await storage.count('ClassMember', { where }) === 0) return { error: 'Not a member of that class' };
+
+  await storage.remove('ClassMember', where);
+  return {};
+}
+
+async function createAssignment(classroom, { category, dueAt }) {
+  const categories = await storage.getCategories();
+  if (!categories.includes(category)) return { error: 'Choose one of the quiz categories' };
+
+  const due = new Date(dueAt);
+  if (!dueAt || Number.isNaN(due.getTime())) return { error: 'Give the assignment a due date' };
+  if (due.getTime() <= Date.now()) return { error: 'The due date must be in the future' };
+
+  const [row] = await storage.insert('Assignment', [{
+    ClassID: classroom.ClassID,
+    Category: category,
+    DueAt: due.toISOString(),
+    CreatedAt: new Date().toISOString()
+  }]);
+  return { assignment: formatAssignment(row) };
+}
+
+async function deleteAssignment(assignmentId) {
+  await storage.remove('Assignment', { AssignmentID: assignmentId });
+}
+
+// A game left early or cut short by the timer doesn't complete an assignment
+function isFinished(game) {
+  return game.TotalQuestions > 0 && game.AnsweredQuestions >= game.TotalQuestions;
+}
+
+// Where a student stands on an assignment, from their games in its category (oldest first)
+function assignmentStatus(assignment, games, now = Date.now()) {
+  const set = new Date(assignment.CreatedAt).getTime();
+  const due = new Date(assignment.DueAt).getTime();
+  const played = games.filter(game => isFinished(game) && new Date(game.PlayedAt).getTime() >= set);
+  const onTime = played.filter(game => new Date(game.PlayedAt).getTime() <= due);
+
+  if (played.length === 0) {
+    return { status: now > due ? STATUS.MISSED : STATUS.PENDING, completedAt: null, accuracy: null };
+  }
+
+  // Best game that counts (on time if there is one)
+  const counted = onTime.length > 0 ? onTime : played;
+  const best = counted.reduce((top, game) =>
+    accuracy(game.CorrectAnswers, game.AnsweredQuestions) > accuracy(top.CorrectAnswers, top.AnsweredQuestions) ? game : top);
+
+  return {
+    status: onTime.length > 0 ? STATUS.COMPLETED : STATUS.LATE,
+    completedAt: counted[0].PlayedAt,
+    accuracy: accuracy(best.CorrectAnswers, best.AnsweredQuestions) || 0
+  };
+}
+
+// Full progress report of a class:
+// - assignments: each assignment with how many students completed it (on time or late)
+// - students: each student's status on every assignment and accuracy per category
+// - categories: class-wide completion and accuracy for every assigned category
+async function getReport(classroom) {
+  const [members, assignmentRows] = await Promise.all([
+    storage.select('ClassMember', { where: { ClassID: classroom.ClassID }, order: [{ column: 'Username', ascending: true }] }),
+    storage.select('Assignment', { where: { ClassID: classroom.ClassID }, order: [{ column: 'DueAt', ascending: true }] })
+  ]);
+  const userIds = members.map(member => member.UserID);
+  const categories = [...new Set(assignmentRows.map(assignment => assignment.Category))].sort();
+  const earliest = assignmentRows.map(assignment => assignment.CreatedAt).sort()[0];
+
+  const [games, statsRows] = await Promise.all([
+    earliest
+      ? storage.select('GameResult', {
+        columns: 'UserID, Category, CorrectAnswers, AnsweredQuestions, TotalQuestions, PlayedAt',
+        where: { UserID: { in: userIds }, Category: { in: categories }, PlayedAt: { gte: earliest } },
+        order: [{ column: 'ResultID', ascending: true }]
+      })
+      : [],
+    storage.select('UserStats', { where: { UserID: { in: userIds } } })
+  ]);
+  const statsByUser = new Map(statsRows.map(row => [row.UserID, parseJson(row.CategoryStats) || {}]));
+
+  const students = members.map(member => {
+    const ownGames = games.filter(game => game.UserID === member.UserID);
+    const stats = statsByUser.get(member.UserID) || {};
+
+    const assignments = {};
+    assignmentRows.forEach(assignment => {
+      assignments[assignment.AssignmentID] = assignmentStatus(
+        assignment,
+        ownGames.filter(game => game.Category === assignment.Category)
+      );
+    });
+
+    const categoryStats = {};
+    categories.forEach(category => {
+      const { correct = 0, total = 0 } = stats[category] || {};
+      categoryStats[category] = { correct, total, accuracy: accuracy(correct, total) };
+    });
+
+    const done = Object.values(assignments).filter(entry => entry.status === STATUS.COMPLETED || entry.status === STATUS.LATE);
+    return {
+      userId: member.UserID,
+      username: member.Username,
+      joinedAt: member.JoinedAt,
+      assignments: assignments,
+      categories: categoryStats,
+      completed: done.length,
+      completionPercent: assignmentRows.length > 0 ? Math.round((done.length / assignmentRows.length) * 100) : null
+    };
+  });
+
+  const assignments = assignmentRows.map(assignment => {
+    const statuses = students.map(student => student.assignments[assignment.AssignmentID].status);
+    return {
+      ...formatAssignment(assignment),
+      completed: statuses.filter(status => status === STATUS.COMPLETED).length,
+      late: statuses.filter(status => status === STATUS.LATE).length,
+      students: students.length
+    };
+  });
+
+  const categorySummary = categories.map(category => {
+    const categoryAssignments = assignments.filter(assignment => assignment.category === category);
+    const expected = categoryAssignments.length * students.length;
+    const done = categoryAssignments.reduce((sum, assignment) => sum + assignment.completed + assignment.late, 0);
+    const correct = students.reduce((sum, student) => sum + student.categories[category].correct, 0);
+    const total = students.reduce((sum, student) => sum + student.categories[category].total, 0);
+    return {
+      category: category,
+      assignments: categoryAssignments.length,
+      completionPercent: expected > 0 ? Math.round((done / expected) * 100) : null,
+      accuracy: accuracy(correct, total)
+    };
+  });
+
+  return {
+    classroom: formatClass(classroom),
+    generatedAt: new Date().toISOString(),
+    assignments: assignments,
+    students: students,
+    categories: categorySummary
+  };
+}
+
+// The report as CSV: one row per student with their status on each assignment
+// and their accuracy in each assigned category
+function reportToCsv(report) {
+  const header = [
+    'student',
+    'joined',
+    'assignments_completed',
+    'completion_percent',
+    ...report.assignments.map(assignment => `${assignment.category} (due ${assignment.dueAt.slice(0, 10)})`),
+    ...report.categories.map(category => `${category.category} accuracy %`)
+  ];
+
+  const rows = report.students.map(student => [
+    student.username,
+    student.joinedAt,
+    student.completed,
+    student.completionPercent,
+    ...report.assignments.map(assignment => {
+      const entry = student.assignments[assignment.id];
+      return entry.accuracy === null ? entry.status : `${entry.status} (${entry.accuracy}%)`;
+    }),
+    ...report.categories.map(category => student.categories[category.category].accuracy)
+  ]);
+
+  return [header, ...rows].map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Classes a student is in, with the assignments and where they stand on each
+async function listEnrolledClasses(student) {
+  const memberships = await storage.select('ClassMember', { where: { UserID: student.userId } });
+  const classIds = memberships.map(member => member.ClassID);
+  const [rows, assignmentRows] = await Promise.all([
+    storage.select('Classroom', { where: { ClassID: { in: classIds } }, order: [{ column: 'ClassID', ascending: true }] }),
+    storage.select('Assignment', { where: { ClassID: { in: classIds } }, order: [{ column: 'DueAt', ascending: true }] })
+  ]);
+  const categories = [...new Set(assignmentRows.map(assignment => assignment.Category))];
+  const games = categories.length > 0
+    ? await storage.select('GameResult', {
+      columns: 'Category, CorrectAnswers, AnsweredQuestions, TotalQuestions, PlayedAt',
+      where: { UserID: student.userId, Category: { in: categories } },
+      order: [{ column: 'ResultID', ascending: true }]
+    })
+    : [];
+
+  return rows.map(row => ({
+    id: row.ClassID,
+    name: row.Name,
+    instructor: row.InstructorName,
+    assignments: assignmentRows
+      .filter(assignment => assignment.ClassID === row.ClassID)
+      .map(assignment => ({
+        ...formatAssignment(assignment),
+        ...assignmentStatus(assignment, games.filter(game => game.Category === assignment.Category))
+      }))
+  }));
+}
+
+module.exports = {
+  STATUS,
+  getAssignment,
+  getManagedClass,
+  createClass,
+  listTaughtClasses,
+  joinClass,
+  removeMember,
+  createAssignment,
+  deleteAssignment,
+  getReport,
+  reportToCsv,
+  listEnrolledClasses
+};
@@ -0,0 +1,68 @@
+// csv.js - Reading and writing CSV text (question bank imports/exports and class reports)
+
+// Spreadsheets run a field starting with one of these as a formula, so csvField writes it with
+// a ' in front (which spreadsheets hide) and parseCsv takes that ' off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA_START = /^'[=+\-@\t\r]/;
+
+// Quote a value for a CSV field when it needs it. Usernames and question text come from
+// players and authors, so a field that looks like a formula is kept as text.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A field as it was before csvField kept it from being read as a formula
+function unescapeField(field) {
+  return ESCAPED_FORMULA_START.test(field) ? field.slice(1) : field;
+}
+
+// Parse CSV text into rows of fields (RFC 4180 quoting)
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(unescapeField(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(unescapeField(field));
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(unescapeField(field));
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+module.exports = {
+  csvField,
+  parseCsv
+};
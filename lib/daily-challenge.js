@@ -0,0 +1,205 @@
+// daily-challenge.js - One shared quiz a day, so everyone's score comes from the same questions.
+//
+// Each UTC day gets a fixed set of questions in a fixed order, shuffled with a random generator
+// seeded from the date. The set is stored in DailyChallenge the first time it is asked for, so
+// editing the question bank later that day doesn't change it. Registered players get one scored
+// attempt a day (DailyChallengeResult). The attempt counts from the moment the game starts, so
+// leaving the game doesn't give a second try; only finished attempts are on the leaderboard.
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Category name daily challenge games are played and shown under
+const CHALLENGE_CATEGORY = 'Daily Challenge';
+const CHALLENGE_QUESTION_COUNT = 10;
+const LEADERBOARD_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The challenge day ('2024-05-01', UTC) a moment belongs to
+function challengeDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// When the next day's challenge unlocks (ISO string)
+function nextChallengeAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+}
+
+function previousDate(date) {
+  return challengeDate(new Date(Date.parse(date) - DAY_MS));
+}
+
+// Pseudo-random numbers in [0, 1) that are the same for the same seed (mulberry32)
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let mixed = Math.imul(state ^ (state >>> 15), state | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Question IDs of a day's challenge in play order, picked (and stored) on first use
+async function getQuestionIds(date) {
+  const [stored] = await storage.select('DailyChallenge', { where: { ChallengeDate: date }, limit: 1 });
+  if (stored) return stored.QuestionIDs;
+
+  const questions = await storage.select('Question', {
+    columns: 'QuestionID',
+    where: { Retired: false },
+    order: [{ column: 'QuestionID', ascending: true }]
+  });
+  const questionIds = seededShuffle(questions.map(question => question.QuestionID), seededRandom(`daily-challenge:${date}`))
+    .slice(0, CHALLENGE_QUESTION_COUNT);
+  if (questionIds.length === 0) return [];
+
+  // Two servers picking at once pick the same set, so the later write changes nothing
+  await storage.upsert('DailyChallenge', {
+    ChallengeDate: date,
+    QuestionIDs: questionIds,
+    CreatedAt: new Date().toISOString()
+  }, ['ChallengeDate']);
+  return questionIds;
+}
+
+// The day's questions with their answers, in challenge order. Questions retired since the set
+// was picked are left out.
+async function getQuestions(date) {
+  const questionIds = await getQuestionIds(date);
+  const questions = await storage.getQuestionsByIds(questionIds);
+  const byId = new Map(questions.map(question => [question.QuestionID, question]));
+  return questionIds.map(questionId => byId.get(questionId)).filter(Boolean);
+}
+
+async function getAttempt(userId, date) {
+  const [attempt] = await storage.select('DailyChallengeResult', {
+    where: { ChallengeDate: date, UserID: userId },
+    limit: 1
+  });
+  return attempt || null;
+}
+
+// Use up a player's attempt for the day. Returns { error } when it's already used.
+async function startAttempt(player, date, totalQuestions) {
+  if (await getAttempt(player.userId, date)) {
+    return { error: "You have already played today's challenge. Come back tomorrow!" };
+  }
+
+  await storage.insert('DailyChallengeResult', [{
+    ChallengeDate: date,
+    UserID: player.userId,
+    Username: player.username,
+    Score: 0,
+    CorrectAnswers: 0,
+    TotalQuestions: totalQuestions,
+    StartedAt: new Date().toISOString(),
+    CompletedAt: null
+  }]);
+  return {};
+}
+
+// Store the finished game of an attempt (from gameSessions.finishSession)
+async function recordResult(userId, date, result) {
+  await storage.update('DailyChallengeResult', {
+    Score: result.score,
+    CorrectAnswers: result.correctAnswers,
+    TotalQuestions: result.totalQuestions,
+    CompletedAt: new Date().toISOString()
+  }, { ChallengeDate: date, UserID: userId });
+}
+
+// Days in a row with a challenge played: the current run (up to today, or up to yesterday
+// while today's challenge is still open) and the longest run ever
+async function getStreak(userId, today) {
+  const rows = await storage.select('DailyChallengeResult', { columns: 'ChallengeDate', where: { UserID: userId } });
+  const days = new Set(rows.map(row => row.ChallengeDate));
+
+  let current = 0;
+  let day = days.has(today) ? today : previousDate(today);
+  while (days.has(day)) {
+    current++;
+    day = previousDate(day);
+  }
+
+  let best = 0;
+  days.forEach(start => {
+    if (days.has(previousDate(start))) return;
+    let length = 0;
+    for (let next = start; days.has(next); next = challengeDate(new Date(Date.parse(next) + DAY_MS))) {
+      length++;
+    }
+    best = Math.max(best, length);
+  });
+
+  return { current, best };
+}
+
+// Finished attempts of a day, best score first (earlier finishers win ties), plus the viewer's
+// own entry. Players with the same score share a rank.
+async function getLeaderboard(date, viewer = null) {
+  const rows = await storage.select('DailyChallengeResult', { where: { ChallengeDate: date } });
+  const entries = rows
+    .filter(row => row.CompletedAt)
+    .sort((a, b) => b.Score - a.Score || String(a.CompletedAt).localeCompare(String(b.CompletedAt)))
+    .map(row => ({
+      username: row.Username,
+      score: row.Score,
+      correctAnswers: row.CorrectAnswers,
+      totalQuestions: row.TotalQuestions
+    }));
+  entries.forEach((entry, index) => {
+    entry.rank = index > 0 && entries[index - 1].score === entry.score ? entries[index - 1].rank : index + 1;
+  });
+
+  return {
+    date: date,
+    totalEntries: entries.length,
+    entries: entries.slice(0, LEADERBOARD_SIZE),
+    you: viewer ? entries.find(entry => entry.username === viewer) || null : null
+  };
+}
+
+// Today's challenge as a player sees it ('dailyChallenge'). Guests can look but not play.
+async function getStatus(player, now = new Date()) {
+  const date = challengeDate(now);
+  const questionIds = await getQuestionIds(date);
+  const attempt = player.isGuest ? null : await getAttempt(player.userId, date);
+
+  return {
+    date: date,
+    category: CHALLENGE_CATEGORY,
+    nextChallengeAt: nextChallengeAt(now),
+    totalQuestions: questionIds.length,
+    canPlay: !player.isGuest && !attempt && questionIds.length > 0,
+    attempt: attempt ? {
+      completed: Boolean(attempt.CompletedAt),
+      score: attempt.Score,
+      correctAnswers: attempt.CorrectAnswers,
+      totalQuestions: attempt.TotalQuestions
+    } : null,
+    streak: player.isGuest ? null : await getStreak(player.userId, date),
+    leaderboard: await getLeaderboard(date, player.username)
+  };
+}
+
+module.exports = {
+  CHALLENGE_CATEGORY,
+  CHALLENGE_QUESTION_COUNT,
+  challengeDate,
+  nextChallengeAt,
+  getQuestions,
+  startAttempt,
+  recordResult,
+  getStreak,
+  getLeaderboard,
+  getStatus
+};
@@ -0,0 +1,91 @@
+// event-rate-limit.js - How often one connection may send Socket.IO events.
+//
+// Every event counts against a per-connection limit (SOCKET_RATE_LIMIT events per
+// SOCKET_RATE_WINDOW_SECONDS, shared by all events). The authentication events have their own,
+// much lower limits on top so a single connection can't hammer logins or reset emails. Events
+// over a limit are dropped before any handler runs. The REST login, registration and guest
+// routes get the same limits per client address.
+const DEFAULT_LIMIT = {
+  events: Number(process.env.SOCKET_RATE_LIMIT || 100),
+  seconds: Number(process.env.SOCKET_RATE_WINDOW_SECONDS || 10)
+};
+
+const EVENT_LIMITS = {
+  login: { events: 10, seconds: 60 },
+  registerUser: { events: 5, seconds: 60 },
+  guestLogin: { events: 10, seconds: 60 },
+  resumeSession: { events: 20, seconds: 60 },
+  requestPasswordReset: { events: 3, seconds: 60 },
+  resetPassword: { events: 5, seconds: 60 }
+};
+
+// Record an event in one window of timestamps. Returns the seconds to wait when it is full.
+function take(timestamps, limit, now) {
+  const windowStart = now - limit.seconds * 1000;
+  while (timestamps.length > 0 && timestamps[0] <= windowStart) {
+    timestamps.shift();
+  }
+
+  if (timestamps.length >= limit.events) {
+    return Math.max(1, Math.ceil((timestamps[0] - windowStart) / 1000));
+  }
+  timestamps.push(now);
+  return 0;
+}
+
+// Socket.IO middleware for one connection (socket.use). Events over a limit are dropped and
+// `onLimited(event, retryAfter, firstDropped)` is called; `firstDropped` is true for the first
+// dropped event since the connection was last within its limits.
+function createLimiter(onLimited) {
+  const windows = { '*': [] };
+  let limited = false;
+
+  return ([event], next) => {
+    const now = Date.now();
+    let retryAfter = take(windows['*'], DEFAULT_LIMIT, now);
+
+    const eventLimit = EVENT_LIMITS[event];
+    if (retryAfter === 0 && eventLimit) {
+      windows[event] = windows[event] || [];
+      retryAfter = take(windows[event], eventLimit, now);
+    }
+
+    if (retryAfter === 0) {
+      limited = false;
+      return next();
+    }
+
+    onLimited(event, retryAfter, !limited);
+    limited = true;
+  };
+}
+
+// Express middleware giving a REST route the limit of the matching event, per client address
+// (req.ip). Requests over it get `onLimited(req, res, retryAfter)` instead of the route.
+function createRequestLimiter(event, onLimited) {
+  const limit = EVENT_LIMITS[event];
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Forget addresses that have been quiet for a whole window
+    if (windows.size > 10000) {
+      windows.forEach((timestamps, address) => {
+        if (timestamps[timestamps.length - 1] <= now - limit.seconds * 1000) windows.delete(address);
+      });
+    }
+
+    if (!windows.has(req.ip)) windows.set(req.ip, []);
+    const retryAfter = take(windows.get(req.ip), limit, now);
+    if (retryAfter === 0) return next();
+    onLimited(req, res, retryAfter);
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  EVENT_LIMITS,
+  createLimiter,
+  createRequestLimiter
+};
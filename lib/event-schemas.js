@@ -0,0 +1,388 @@
+// event-schemas.js - The payload every Socket.IO event may carry, checked before any handler runs.
+//
+// Each event the server listens to is declared in EVENT_SCHEMAS with the shape of its payload
+// (null for events that carry none). A payload that is too large, has a field of the wrong type
+// or length, or is sent with an undeclared event is dropped, and the client gets 'invalidPayload'
+// { event, message, errors: [{ field, message }] }. The checks are about shape only: handlers
+// still decide what a payload means (whether a class exists, who may change it).
+//
+// Field types: string (maxLength), integer (min, max - whole numbers from form fields may come
+// as text and reach the handler as numbers), boolean, object (properties) and array (items, maxItems). Fields are optional unless
+// they are marked required; properties that aren't declared are not checked, and handlers must
+// not rely on them.
+const DEFAULT_MAX_BYTES = 8 * 1024;
+
+// Events that may carry more: authored questions and whole import files (Socket.IO's own
+// limit for one message is 1 MB)
+const EVENT_MAX_BYTES = {
+  saveQuestion: 64 * 1024,
+  importQuestions: 1024 * 1024
+};
+
+const ID = { type: 'integer', min: 1 };
+const CATEGORY = { type: 'string', maxLength: 100 };
+const USERNAME = { type: 'string', maxLength: 50 };
+const UUID = { type: 'string', maxLength: 36 };
+const ROOM_CODE = { type: 'string', maxLength: 20 };
+const PAGE = { type: 'integer', min: 1 };
+const ANSWER_IDS = { type: 'array', items: ID, maxItems: 20 };
+const CATEGORY_TOTALS = {
+  type: 'object',
+  properties: {
+    correct: { type: 'integer', min: 0, required: true },
+    total: { type: 'integer', min: 0, required: true }
+  }
+};
+
+const EVENT_SCHEMAS = {
+  // Accounts and sessions
+  registerUser: {
+    username: { ...USERNAME, required: true },
+    email: { type: 'string', maxLength: 255 },
+    password: { type: 'string', maxLength: 200, required: true }
+  },
+  login: {
+    username: { ...USERNAME, required: true },
+    password: { type: 'string', maxLength: 200, required: true }
+  },
+  requestPasswordReset: {
+    username: { ...USERNAME, required: true },
+    email: { type: 'string', maxLength: 255, required: true }
+  },
+  resetPassword: {
+    token: { type: 'string', maxLength: 100, required: true },
+    newPassword: { type: 'string', maxLength: 200, required: true }
+  },
+  guestLogin: null,
+  resumeSession: {
+    token: { type: 'string', maxLength: 200, required: true }
+  },
+  setLanguage: {
+    language: { type: 'string', maxLength: 20, required: true }
+  },
+  logout: null,
+
+  // Solo games, review rounds and the daily challenge
+  getQuestions: {
+    category: { ...CATEGORY, required: true },
+    adaptive: { type: 'boolean' }
+  },
+  startReviewRound: null,
+  getDailyChallenge: null,
+  startDailyChallenge: null,
+  getReviewSummary: null,
+  submitAnswer: {
+    sessionId: { ...UUID, required: true },
+    questionId: { ...ID, required: true },
+    answerId: ID,
+    answerIds: ANSWER_IDS
+  },
+  endGame: {
+    sessionId: { ...UUID, required: true }
+  },
+  updateUserStats: {
+    userId: ID,
+    categoryStats: {
+      type: 'object',
+      required: true,
+      properties: {
+        phishing: CATEGORY_TOTALS,
+        social: CATEGORY_TOTALS,
+        mobile: CATEGORY_TOTALS
+      }
+    }
+  },
+
+  // Challenges
+  challengePlayer: {
+    opponent: { ...USERNAME, required: true },
+    category: { ...CATEGORY, required: true }
+  },
+  acceptChallenge: {
+    challengeId: UUID,
+    challenger: USERNAME
+  },
+  declineChallenge: {
+    challengeId: UUID,
+    challenger: USERNAME
+  },
+
+  // Leaderboards and history
+  getLeaderboard: {
+    window: { type: 'string', maxLength: 20 },
+    category: CATEGORY,
+    page: PAGE
+  },
+  leaveLeaderboard: null,
+  getGameHistory: {
+    category: CATEGORY,
+    page: PAGE
+  },
+
+  // Admins: audit log and question bank
+  getAuthLog: {
+    username: USERNAME,
+    event: { type: 'string', maxLength: 50 },
+    address: { type: 'string', maxLength: 64 },
+    page: PAGE
+  },
+  getQuestionBank: {
+    category: CATEGORY,
+    tag: { type: 'string', maxLength: 30 },
+    includeRetired: { type: 'boolean' }
+  },
+  saveQuestion: {
+    question: {
+      type: 'object',
+      required: true,
+      properties: {
+        id: ID,
+        category: CATEGORY,
+        text: { type: 'string', maxLength: 5000 },
+        explanation: { type: 'string', maxLength: 5000 },
+        answers: { type: 'array', maxItems: 50 },
+        translations: { type: 'object' }
+      }
+    }
+  },
+  retireQuestion: {
+    questionId: { ...ID, required: true },
+    retired: { type: 'boolean' }
+  },
+  importQuestions: {
+    format: { type: 'string', maxLength: 10, required: true },
+    content: { type: 'string', maxLength: 1024 * 1024, required: true }
+  },
+  exportQuestions: {
+    format: { type: 'string', maxLength: 10 }
+  },
+
+  // Classes
+  getClassrooms: null,
+  joinClassroom: {
+    code: { type: 'string', maxLength: 20, required: true }
+  },
+  leaveClassroom: {
+    classId: { ...ID, required: true }
+  },
+  createClassroom: {
+    name: { type: 'string', maxLength: 200, required: true }
+  },
+  removeClassMember: {
+    classId: { ...ID, required: true },
+    userId: { ...ID, required: true }
+  },
+  createAssignment: {
+    classId: { ...ID, required: true },
+    category: { ...CATEGORY, required: true },
+    dueAt: { type: 'string', maxLength: 40 }
+  },
+  deleteAssignment: {
+    assignmentId: { ...ID, required: true }
+  },
+  getClassReport: {
+    classId: { ...ID, required: true }
+  },
+  exportClassReport: {
+    classId: { ...ID, required: true }
+  },
+
+  // Live games
+  getLiveRoomSetup: null,
+  createLiveRoom: {
+    category: { ...CATEGORY, required: true },
+    questionCount: { type: 'integer', min: 1, max: 1000 },
+    questionSeconds: { type: 'integer', min: 1, max: 3600 }
+  },
+  joinLiveRoom: {
+    code: { ...ROOM_CODE, required: true }
+  },
+  nextLiveQuestion: {
+    code: { ...ROOM_CODE, required: true }
+  },
+  closeLiveQuestion: {
+    code: { ...ROOM_CODE, required: true }
+  },
+  liveAnswer: {
+    code: { ...ROOM_CODE, required: true },
+    questionId: { ...ID, required: true },
+    answerId: ID,
+    answerIds: ANSWER_IDS
+  },
+  leaveLiveRoom: null,
+
+  // Tournaments
+  getTournaments: null,
+  getTournament: {
+    tournamentId: { ...ID, required: true }
+  },
+  createTournament: {
+    name: { type: 'string', maxLength: 200, required: true },
+    category: { ...CATEGORY, required: true },
+    format: { type: 'string', maxLength: 30, required: true }
+  },
+  joinTournament: {
+    tournamentId: { ...ID, required: true }
+  },
+  leaveTournament: {
+    tournamentId: { ...ID, required: true }
+  },
+  startTournament: {
+    tournamentId: { ...ID, required: true }
+  },
+  startTournamentRound: {
+    tournamentId: { ...ID, required: true }
+  },
+  playTournamentMatch: {
+    matchId: { ...ID, required: true }
+  },
+  awardTournamentMatch: {
+    matchId: { ...ID, required: true },
+    winner: { ...USERNAME, required: true }
+  },
+
+  // Chat (longer messages are cut to CHAT_MAX_LENGTH when they are posted)
+  getChatChannels: null,
+  joinChannel: {
+    channel: { type: 'string', maxLength: 200, required: true }
+  },
+  leaveChannel: {
+    channel: { type: 'string', maxLength: 200, required: true }
+  },
+  chatMessage: {
+    channel: { type: 'string', maxLength: 200 },
+    username: USERNAME,
+    message: { type: 'string', maxLength: 2000, required: true }
+  },
+  deleteChatMessage: {
+    messageId: { ...ID, required: true }
+  }
+};
+
+function isWholeNumber(value) {
+  if (typeof value === 'string' && /^-?\d{1,15}$/.test(value.trim())) return true;
+  return Number.isInteger(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The problems with one value (empty when it matches its field), named by their path
+function checkField(field, schema, value) {
+  // An empty form field is the same as a missing one for numbers
+  if (value === undefined || value === null || (schema.type === 'integer' && value === '')) {
+    return schema.required ? [{ field, message: `${field} is required` }] : [];
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return [{ field, message: `${field} must be text` }];
+      if (schema.maxLength && value.length > schema.maxLength) {
+        return [{ field, message: `${field} must be at most ${schema.maxLength} characters` }];
+      }
+      return [];
+
+    case 'integer': {
+      if (!isWholeNumber(value)) return [{ field, message: `${field} must be a whole number` }];
+      const number = Number(value);
+      if (schema.min !== undefined && number < schema.min) return [{ field, message: `${field} must be at least ${schema.min}` }];
+      if (schema.max !== undefined && number > schema.max) return [{ field, message: `${field} must be at most ${schema.max}` }];
+      return [];
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [{ field, message: `${field} must be true or false` }];
+
+    case 'object':
+      if (!isPlainObject(value)) return [{ field, message: `${field} must be an object` }];
+      return checkProperties(schema.properties || {}, value, `${field}.`);
+
+    case 'array': {
+      if (!Array.isArray(value)) return [{ field, message: `${field} must be a list` }];
+      if (schema.maxItems && value.length > schema.maxItems) {
+        return [{ field, message: `${field} can have at most ${schema.maxItems} items` }];
+      }
+      if (!schema.items) return [];
+      return value.flatMap((item, index) => checkField(`${field}[${index}]`, { ...schema.items, required: true }, item));
+    }
+
+    default:
+      return [];
+  }
+}
+
+function checkProperties(properties, value, prefix = '') {
+  return Object.entries(properties).flatMap(([name, schema]) => checkField(prefix + name, schema, value[name]));
+}
+
+// A checked value as the handler gets it: whole numbers sent as text become numbers, and an
+// empty number field is left out
+function cleanField(schema, value) {
+  if (value === undefined || value === null) return value;
+  if (schema.type === 'integer') return value === '' ? undefined : Number(value);
+  if (schema.type === 'object' && schema.properties) return cleanProperties(schema.properties, value);
+  if (schema.type === 'array' && schema.items) return value.map(item => cleanField(schema.items, item));
+  return value;
+}
+
+function cleanProperties(properties, value) {
+  const cleaned = { ...value };
+  Object.entries(properties).forEach(([name, schema]) => {
+    if (Object.prototype.hasOwnProperty.call(cleaned, name)) cleaned[name] = cleanField(schema, cleaned[name]);
+  });
+  return cleaned;
+}
+
+// Check the arguments of one event. Returns { payload } - the data for the handler ({} when an
+// event with a schema was sent without any) - or { errors } with the problems found.
+function validateEvent(event, args) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return { errors: [{ field: null, message: `Unknown event: ${event}` }] };
+  }
+
+  const schema = EVENT_SCHEMAS[event];
+  const maxBytes = EVENT_MAX_BYTES[event] || DEFAULT_MAX_BYTES;
+
+  let size;
+  try {
+    size = Buffer.byteLength(JSON.stringify(args) || '');
+  } catch (error) {
+    return { errors: [{ field: null, message: 'The data could not be read' }] };
+  }
+  if (size > maxBytes) {
+    return { errors: [{ field: null, message: `The data is too large (at most ${maxBytes} bytes)` }] };
+  }
+
+  if (schema === null) return { payload: args[0] };
+
+  // Events whose fields are all optional may be sent without any data
+  const payload = args[0] === undefined ? {} : args[0];
+  if (!isPlainObject(payload)) {
+    return { errors: [{ field: null, message: 'The data must be an object' }] };
+  }
+
+  const errors = checkProperties(schema, payload);
+  return errors.length > 0 ? { errors } : { payload: cleanProperties(schema, payload) };
+}
+
+// Socket.IO middleware for one connection (socket.use). Valid events reach their handler with
+// the cleaned payload; invalid ones are dropped and `onInvalid(event, errors)` is called instead.
+function createValidator(onInvalid) {
+  return (packet, next) => {
+    const [event, ...args] = packet;
+    const { payload, errors } = validateEvent(event, args);
+    if (errors) return onInvalid(event, errors);
+
+    if (EVENT_SCHEMAS[event] !== null) packet[1] = payload;
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  EVENT_MAX_BYTES,
+  EVENT_SCHEMAS,
+  validateEvent,
+  createValidator
+};
@@ -0,0 +1,121 @@
+// game-history.js - One stored record per finished game (GameResult table) and the player's
+// history and accuracy trends built from those records. The same rows feed the leaderboards.
+const storage = require('./storage');
+
+const HISTORY_PAGE_SIZE = 10;
+// Most recent games per category in the accuracy trend
+const TREND_GAMES = 30;
+
+// GameResult row for a finished game session
+function toRecord(session) {
+  const result = session.result;
+  return {
+    UserID: session.player.userId,
+    Username: session.player.username,
+    Category: session.category,
+    Score: result.score,
+    CorrectAnswers: result.correctAnswers,
+    AnsweredQuestions: result.answeredQuestions,
+    TotalQuestions: result.totalQuestions,
+    DifficultyStats: result.difficulty,
+    TimeRemaining: result.timeRemaining,
+    Adaptive: Boolean(result.adaptive),
+    MatchID: session.matchId,
+    PlayedAt: new Date().toISOString()
+  };
+}
+
+// Percentage of correct answers out of `total`, or null when there is nothing to count
+function accuracy(correct, total) {
+  return total > 0 ? Math.round((correct / total) * 100) : null;
+}
+
+// Accuracy of a whole game: questions left unanswered count as wrong
+function gameAccuracy(row) {
+  return accuracy(row.CorrectAnswers, row.TotalQuestions) || 0;
+}
+
+// JSON columns come back as text from MariaDB
+function parseJson(value) {
+  if (typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatRecord(row) {
+  return {
+    id: row.ResultID,
+    category: row.Category,
+    score: row.Score,
+    correctAnswers: row.CorrectAnswers,
+    answeredQuestions: row.AnsweredQuestions,
+    totalQuestions: row.TotalQuestions,
+    accuracy: gameAccuracy(row),
+    difficulty: parseJson(row.DifficultyStats),
+    timeRemaining: row.TimeRemaining,
+    adaptive: Boolean(row.Adaptive),
+    matchId: row.MatchID || null,
+    playedAt: row.PlayedAt
+  };
+}
+
+async function recordGame(session) {
+  return storage.saveGameResult(toRecord(session));
+}
+
+// One page of a player's games, newest first. Pass `category` to only list that category.
+async function getHistory(userId, { page = 1, category = null } = {}) {
+  const where = { UserID: userId };
+  if (category) where.Category = category;
+
+  const totalGames = await storage.count('GameResult', { where });
+  const totalPages = Math.max(1, Math.ceil(totalGames / HISTORY_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(1, Math.floor(Number(page)) || 1), totalPages);
+
+  const rows = await storage.select('GameResult', {
+    where: where,
+    order: [{ column: 'ResultID', ascending: false }],
+    limit: HISTORY_PAGE_SIZE,
+    offset: (currentPage - 1) * HISTORY_PAGE_SIZE
+  });
+
+  return {
+    page: currentPage,
+    totalPages: totalPages,
+    totalGames: totalGames,
+    games: rows.map(formatRecord)
+  };
+}
+
+// Accuracy per game over time, oldest first, for each category the player has played:
+// { <category>: [{ playedAt, accuracy }] }
+async function getTrends(userId) {
+  const rows = await storage.select('GameResult', {
+    columns: 'ResultID, Category, CorrectAnswers, TotalQuestions, PlayedAt',
+    where: { UserID: userId },
+    order: [{ column: 'ResultID', ascending: true }]
+  });
+
+  const trends = {};
+  rows.forEach(row => {
+    (trends[row.Category] = trends[row.Category] || []).push({
+      playedAt: row.PlayedAt,
+      accuracy: gameAccuracy(row)
+    });
+  });
+  Object.keys(trends).forEach(category => {
+    trends[category] = trends[category].slice(-TREND_GAMES);
+  });
+  return trends;
+}
+
+module.exports = {
+  HISTORY_PAGE_SIZE,
+  accuracy,
+  recordGame,
+  getHistory,
+  getTrends
+};
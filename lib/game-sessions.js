@@ -0,0 +1,283 @@
+// game-sessions.js - Server-authoritative game sessions, grading and scoring
+const crypto = require('crypto');
+const adaptive = require('./adaptive-difficulty');
+const questionTypes = require('./question-types');
+
+// Game rules (previously calculated in the browser by selectAnswer/endGame)
+const GAME_DURATION_SECONDS = 60;
+const DIFFICULTY_POINTS = {
+  easy: 10,
+  medium: 20,
+  hard: 30
+};
+
+// Active game sessions by session ID
+const sessions = {};
+
+// Utility function to shuffle an array
+function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Strip everything that would reveal the correct answer before a question goes to the client
+function toClientQuestion(question) {
+  return {
+    QuestionID: question.QuestionID,
+    QuestionText: question.QuestionText,
+    Difficulty: question.Difficulty,
+    Category: question.Category,
+    Type: questionTypes.typeOf(question),
+    Format: question.Format || null,
+    answers: question.answers.map(answer => ({
+      AnswerID: answer.AnswerID,
+      AnswerText: answer.AnswerText
+    }))
+  };
+}
+
+// Seconds left on the session clock
+function getTimeRemaining(session) {
+  return Math.max(0, Math.ceil((session.endsAt - Date.now()) / 1000));
+}
+
+// Start a new session. `onExpire` is called with the finished session when the clock runs out.
+// Pass `shuffle: false` to keep a question order shared with other players (challenge matches).
+// Adaptive sessions serve one question at a time from `questions`, starting at the difficulty
+// that suits `skill` (see adaptive-difficulty.js); `session.questions` only holds those served so far.
+// Review rounds (`reviewRound: true`) replay questions from the player's spaced-repetition schedule.
+// `language` is the locale the question text is in (see question-translations.js).
+// Daily challenges (`dailyChallenge`: the challenge date) are scored on their own leaderboard.
+function createSession({ ownerId, player, category, questions, onExpire, shuffle = true, matchId = null, adaptive: isAdaptive = false, skill = 0, reviewRound = false, dailyChallenge = null, language = 'en' }) {
+  const now = Date.now();
+  const ordered = shuffle ? shuffleArray([...questions]) : [...questions];
+  const session = {
+    id: crypto.randomUUID(),
+    ownerId: ownerId,
+    player: player || { isGuest: true },
+    category: category,
+    matchId: matchId,
+    adaptive: isAdaptive,
+    reviewRound: reviewRound,
+    dailyChallenge: dailyChallenge,
+    language: language,
+    pool: isAdaptive ? ordered : null,
+    questions: ordered,
+    totalQuestions: isAdaptive ? Math.min(ordered.length, adaptive.ADAPTIVE_QUESTION_COUNT) : ordered.length,
+    skill: skill,
+    answers: {}, // QuestionID -> { answerIds, correct, points }
+    score: 0,
+    correctAnswers: 0,
+    difficulty: {
+      easy: { correct: 0, total: 0 },
+      medium: { correct: 0, total: 0 },
+      hard: { correct: 0, total: 0 }
+    },
+    startedAt: now,
+    endsAt: now + GAME_DURATION_SECONDS * 1000,
+    result: null
+  };
+
+  if (isAdaptive) {
+    const first = adaptive.pickQuestion(ordered, [], adaptive.difficultyForSkill(skill));
+    session.questions = first ? [first] : [];
+  }
+
+  session.timer = setTimeout(() => {
+    finishSession(session.id);
+    if (onExpire) onExpire(session);
+  }, GAME_DURATION_SECONDS * 1000);
+
+  sessions[session.id] = session;
+  return session;
+}
+
+function getSession(sessionId) {
+  return sessions[sessionId] || null;
+}
+
+// Grade one question and award difficulty points (see question-types.js for each type's rules).
+// `submitted` is an answer ID, or a list of answer IDs for multi-select and red-flag questions.
+function submitAnswer(sessionId, questionId, submitted) {
+  const session = sessions[sessionId];
+  if (!session) return { error: 'Game session not found' };
+  if (session.result) return { error: 'Game is already over' };
+
+  if (getTimeRemaining(session) <= 0) {
+    return { error: 'Time is up' };
+  }
+
+  const question = session.questions.find(q => q.QuestionID === questionId);
+  if (!question) return { error: 'Question is not part of this game' };
+  if (session.answers[questionId]) return { error: 'Question already answered' };
+
+  const difficulty = DIFFICULTY_POINTS[question.Difficulty] ? question.Difficulty : 'easy';
+  const graded = questionTypes.grade(question, submitted, DIFFICULTY_POINTS[difficulty]);
+  if (graded.error) return { error: graded.error };
+
+  const { correct, points, answerIds } = graded;
+  const type = questionTypes.typeOf(question);
+  const singleAnswer = !questionTypes.TYPES[type].multipleAnswers;
+  const answer = singleAnswer ? question.answers.find(a => a.AnswerID === answerIds[0]) : null;
+  const correctAnswers = question.answers.filter(a => a.isCorrect);
+
+  session.answers[questionId] = { answerIds, correct, points };
+  session.difficulty[difficulty].total++;
+  session.score += points;
+  if (correct) {
+    session.correctAnswers++;
+    session.difficulty[difficulty].correct++;
+  }
+  session.skill = adaptive.updateSkill(session.skill, difficulty, correct);
+
+  // Adaptive games choose the next question based on this answer
+  let nextQuestion = null;
+  if (session.adaptive && session.questions.length < session.totalQuestions) {
+    nextQuestion = adaptive.pickQuestion(
+      session.pool,
+      session.questions.map(q => q.QuestionID),
+      adaptive.nextDifficulty(difficulty, correct)
+    );
+    if (nextQuestion) session.questions.push(nextQuestion);
+  }
+
+  return {
+    questionId: questionId,
+    type: type,
+    answerId: answer ? answer.AnswerID : null,
+    answerIds: answerIds,
+    correct: correct,
+    correctAnswerId: singleAnswer && correctAnswers[0] ? correctAnswers[0].AnswerID : null,
+    correctAnswerIds: correctAnswers.map(a => a.AnswerID),
+    points: points,
+    maxPoints: DIFFICULTY_POINTS[difficulty],
+    score: session.score,
+    timeRemaining: getTimeRemaining(session),
+    explanation: question.Explanation || null,
+    answerExplanation: answer ? answer.Explanation || null : null,
+    // Multi-answer questions explain each option (or each part of the message) after grading
+    answerExplanations: singleAnswer ? {} : Object.fromEntries(question.answers
+      .filter(a => a.Explanation)
+      .map(a => [a.AnswerID, a.Explanation])),
+    nextQuestion: nextQuestion ? toClientQuestion(nextQuestion) : null
+  };
+}
+
+// Every question of a finished game with the player's choice, the correct answer and the explanations
+// Multi-answer questions list every chosen/correct answer, joined with '; '.
+function buildReview(session) {
+  return session.questions.map(question => {
+    const given = session.answers[question.QuestionID];
+    const type = questionTypes.typeOf(question);
+    const singleAnswer = !questionTypes.TYPES[type].multipleAnswers;
+    const chosenIds = given ? given.answerIds : [];
+    const chosen = question.answers.filter(a => chosenIds.includes(a.AnswerID));
+    const correctAnswers = question.answers.filter(a => a.isCorrect);
+    const single = list => singleAnswer && list.length === 1 ? list[0] : null;
+    const texts = list => list.length > 0 ? list.map(a => a.AnswerText).join('; ') : 'Nothing selected';
+
+    return {
+      questionId: question.QuestionID,
+      questionText: question.QuestionText,
+      type: type,
+      difficulty: question.Difficulty,
+      answered: Boolean(given),
+      correct: Boolean(given && given.correct),
+      points: given ? given.points : 0,
+      chosenAnswerId: single(chosen) ? single(chosen).AnswerID : null,
+      chosenAnswerText: given ? texts(chosen) : null,
+      chosenAnswerExplanation: single(chosen) && !single(chosen).isCorrect ? single(chosen).Explanation || null : null,
+      correctAnswerId: single(correctAnswers) ? single(correctAnswers).AnswerID : null,
+      correctAnswerText: texts(correctAnswers),
+      correctAnswerExplanation: single(correctAnswers) ? single(correctAnswers).Explanation || null : null,
+      answers: question.answers.map(a => ({
+        id: a.AnswerID,
+        text: a.AnswerText,
+        correct: Boolean(a.isCorrect),
+        chosen: chosenIds.includes(a.AnswerID),
+        explanation: singleAnswer ? null : a.Explanation || null
+      })),
+      explanation: question.Explanation || null
+    };
+  });
+}
+
+// End the session and apply the time bonus. Safe to call more than once.
+function finishSession(sessionId) {
+  const session = sessions[sessionId];
+  if (!session) return null;
+  if (session.result) return session.result;
+
+  clearTimeout(session.timer);
+
+  // Multiply the score by a factor based on remaining time
+  const timeRemaining = getTimeRemaining(session);
+  const timeBonusFactor = 1 + (timeRemaining / GAME_DURATION_SECONDS);
+  const finalScore = Math.round(session.score * timeBonusFactor);
+  const totalQuestions = session.totalQuestions;
+
+  session.result = {
+    sessionId: session.id,
+    category: session.category,
+    baseScore: session.score,
+    score: finalScore,
+    timeRemaining: timeRemaining,
+    timeBonusPercent: Math.round((timeRemaining / GAME_DURATION_SECONDS) * 100),
+    correctAnswers: session.correctAnswers,
+    answeredQuestions: Object.keys(session.answers).length,
+    totalQuestions: totalQuestions,
+    progressPercent: totalQuestions > 0 ? Math.round((session.correctAnswers / totalQuestions) * 100) : 0,
+    difficulty: session.difficulty,
+    adaptive: session.adaptive,
+    reviewRound: session.reviewRound,
+    dailyChallenge: session.dailyChallenge,
+    skillEstimate: adaptive.describeSkill(session.skill),
+    review: buildReview(session)
+  };
+
+  delete sessions[sessionId];
+  return session.result;
+}
+
+// Everything a reconnecting client needs to carry on with a running game
+function getClientState(session) {
+  return {
+    sessionId: session.id,
+    matchId: session.matchId,
+    category: session.category,
+    adaptive: session.adaptive,
+    reviewRound: session.reviewRound,
+    dailyChallenge: session.dailyChallenge,
+    language: session.language,
+    totalQuestions: session.totalQuestions,
+    questions: session.questions.map(toClientQuestion),
+    answeredQuestionIds: Object.keys(session.answers).map(Number),
+    score: session.score,
+    timeRemaining: getTimeRemaining(session)
+  };
+}
+
+// Drop a session without scoring it (abandoned or replaced games)
+function discardSession(sessionId) {
+  const session = sessions[sessionId];
+  if (!session) return;
+  clearTimeout(session.timer);
+  delete sessions[sessionId];
+}
+
+module.exports = {
+  GAME_DURATION_SECONDS,
+  DIFFICULTY_POINTS,
+  shuffleArray,
+  toClientQuestion,
+  getTimeRemaining,
+  getClientState,
+  createSession,
+  getSession,
+  submitAnswer,
+  finishSession,
+  discardSession
+};
@@ -0,0 +1,248 @@
+// http-api.js - Versioned JSON REST API (mounted at /api/v1) for LMS integrations and scripts.
+//
+// The routes call the same actions as the Socket.IO events (passed in from server.js), so both
+// behave the same way. Log in, register or start a guest session to get a session token, then send
+// it as "Authorization: Bearer <token>". Every error response looks like
+// { "error": { "code": "not_found", "message": "..." } } with the HTTP status from ERROR_STATUS.
+// The OpenAPI description of these routes is served at /api/v1/openapi.json (see openapi.js).
+const express = require('express');
+const authSessions = require('./auth-sessions');
+const authLog = require('./auth-log');
+const eventRateLimit = require('./event-rate-limit');
+const leaderboards = require('./leaderboards');
+const spacedRepetition = require('./spaced-repetition');
+const gameSessions = require('./game-sessions');
+const storage = require('./storage');
+const questionTranslations = require('./question-translations');
+const openapi = require('./openapi');
+
+const API_VERSION = 'v1';
+
+const ERROR_STATUS = {
+  invalid_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  account_locked: 429,
+  rate_limited: 429,
+  server_error: 500
+};
+
+function sendError(res, code, message, details) {
+  const status = ERROR_STATUS[code] || ERROR_STATUS.server_error;
+  res.status(status).json({
+    error: { code: ERROR_STATUS[code] ? code : 'server_error', message: message, ...details }
+  });
+}
+
+// Issue a session token for a REST client ({ sessionToken, sessionExpiresAt, user })
+async function startSession(identity, user) {
+  const { token, identity: session } = await authSessions.createAuthSession(identity);
+  return {
+    sessionToken: token,
+    sessionExpiresAt: new Date(session.expiresAt).toISOString(),
+    user: user
+  };
+}
+
+// Session token from the Authorization header, or null
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Require a valid session token (sets req.identity)
+async function authenticate(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return sendError(res, 'unauthorized', 'Send your session token as "Authorization: Bearer <token>"');
+  }
+
+  const { identity, error } = await authSessions.verifyAuthToken(token);
+  if (error) {
+    return sendError(res, 'unauthorized', error);
+  }
+
+  req.identity = identity;
+  next();
+}
+
+// Profiles, stats and history are only kept for registered players
+function registeredOnly(req, res, next) {
+  if (req.identity.isGuest) {
+    return sendError(res, 'forbidden', 'Create an account to use this');
+  }
+  next();
+}
+
+// The limit of the matching socket event, per client address
+function rateLimited(event) {
+  return eventRateLimit.createRequestLimiter(event, (req, res, retryAfter) => {
+    authLog.record(authLog.EVENTS.RATE_LIMITED, { address: req.ip, detail: `${req.method} ${req.originalUrl}` });
+    res.set('Retry-After', String(retryAfter));
+    sendError(res, 'rate_limited', `Too many requests. Try again in ${retryAfter} seconds.`, { retryAfter });
+  });
+}
+
+// `actions` are the functions from server.js shared with the socket handlers:
+// createAccount, logIn, logOut, newGuestName, getSessionUser, startCategoryGame,
+// getOwnGame, answerQuestion, endGame, loadLeaderboard, loadGameHistory
+function createApiRouter(actions) {
+  const router = express.Router();
+  router.use(express.json({ limit: '100kb' }));
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openapi.spec);
+  });
+
+  // Authentication
+
+  router.post('/auth/register', rateLimited('registerUser'), async (req, res) => {
+    const { user, error, code } = await actions.createAccount(req.body, req.ip);
+    if (error) return sendError(res, code, error);
+
+    res.status(201).json(await startSession(
+      { userId: user.UserID, username: user.Username },
+      await actions.getSessionUser({ userId: user.UserID, isGuest: false })
+    ));
+  });
+
+  router.post('/auth/login', rateLimited('login'), async (req, res) => {
+    const { user, error, code, lockTimeRemaining } = await actions.logIn(req.body || {}, req.ip);
+    if (error) {
+      if (lockTimeRemaining) res.set('Retry-After', String(lockTimeRemaining));
+      return sendError(res, code, error, lockTimeRemaining ? { lockTimeRemaining } : undefined);
+    }
+
+    res.json(await startSession(
+      { userId: user.UserID, username: user.Username },
+      await actions.getSessionUser({ userId: user.UserID, isGuest: false })
+    ));
+  });
+
+  router.post('/auth/guest', rateLimited('guestLogin'), async (req, res) => {
+    const username = await actions.newGuestName();
+    authLog.record(authLog.EVENTS.GUEST_LOGIN, { username: username, address: req.ip });
+    res.status(201).json(await startSession(
+      { username: username, isGuest: true },
+      await actions.getSessionUser({ username: username, isGuest: true })
+    ));
+  });
+
+  router.post('/auth/logout', authenticate, async (req, res) => {
+    await actions.logOut(req.identity, req.ip);
+    res.status(204).end();
+  });
+
+  // Questions and games
+
+  router.get('/categories', async (req, res) => {
+    res.json({ categories: await storage.getCategories() });
+  });
+
+  // Start a game: the questions of a category (without the correct answers), in `language`
+  // or the player's saved language where they are translated
+  router.post('/games', authenticate, async (req, res) => {
+    const { category, adaptive, language } = req.body || {};
+    if (typeof category !== 'string' || category === '') {
+      return sendError(res, 'invalid_request', 'category is required');
+    }
+    if (language !== undefined && !questionTranslations.normalizeLocale(language)) {
+      return sendError(res, 'invalid_request', 'language must be a language code like "da" or "pt-BR"');
+    }
+
+    const game = await actions.startCategoryGame(req.identity, { category, adaptive: adaptive === true, language });
+    if (!game.sessionId) {
+      return sendError(res, 'not_found', 'No questions in that category');
+    }
+    res.status(201).json(game);
+  });
+
+  router.get('/games/:sessionId', authenticate, (req, res) => {
+    const session = actions.getOwnGame(req.identity, req.params.sessionId);
+    if (!session) return sendError(res, 'not_found', 'Game session not found');
+    res.json(gameSessions.getClientState(session));
+  });
+
+  router.post('/games/:sessionId/answers', authenticate, async (req, res) => {
+    const { questionId, answerId, answerIds } = req.body || {};
+    const result = await actions.answerQuestion(req.identity, {
+      sessionId: req.params.sessionId,
+      questionId: questionId,
+      answerId: answerId,
+      answerIds: answerIds
+    });
+    if (result.error) return sendError(res, result.code, result.error);
+    res.json(result);
+  });
+
+  router.post('/games/:sessionId/end', authenticate, async (req, res) => {
+    const result = await actions.endGame(req.identity, req.params.sessionId);
+    if (result.error) return sendError(res, result.code, result.error);
+    res.json(result);
+  });
+
+  // Leaderboards (a session token is optional; with one the response includes your own rank)
+
+  router.get('/leaderboard', async (req, res) => {
+    const { board, error } = leaderboards.normalizeBoard({
+      window: req.query.window || 'all',
+      category: req.query.category || null,
+      page: req.query.page || 1
+    });
+    if (error) return sendError(res, 'invalid_request', error);
+
+    const token = bearerToken(req);
+    const { identity } = token ? await authSessions.verifyAuthToken(token) : {};
+    res.json(await actions.loadLeaderboard(board, identity ? identity.username : null));
+  });
+
+  // The signed-in player
+
+  router.get('/users/me', authenticate, async (req, res) => {
+    const user = await actions.getSessionUser(req.identity);
+    if (!user) return sendError(res, 'not_found', 'Your account could not be found');
+    res.json({ user });
+  });
+
+  router.get('/users/me/stats', authenticate, registeredOnly, async (req, res) => {
+    const user = await storage.findUserById(req.identity.userId);
+    if (!user) return sendError(res, 'not_found', 'Your account could not be found');
+
+    res.json({
+      highscore: user.Highscore,
+      gamesPlayed: user.GamesPlayed || 0,
+      categoryStats: (await storage.getUserStats(user.UserID)) || {},
+      review: await spacedRepetition.getSummary(user.UserID)
+    });
+  });
+
+  router.get('/users/me/history', authenticate, registeredOnly, async (req, res) => {
+    res.json(await actions.loadGameHistory(req.identity, {
+      page: req.query.page,
+      category: req.query.category
+    }));
+  });
+
+  router.use((req, res) => {
+    sendError(res, 'not_found', `No API route for ${req.method} ${req.path}`);
+  });
+
+  // Bad JSON bodies and unexpected failures get the same error shape
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+      return sendError(res, 'invalid_request', error.type === 'entity.too.large' ? 'Request body is too large' : 'Request body is not valid JSON');
+    }
+    console.error(`API error on ${req.method} ${req.originalUrl}:`, error);
+    sendError(res, 'server_error', 'Something went wrong');
+  });
+
+  return router;
+}
+
+module.exports = {
+  API_VERSION,
+  ERROR_STATUS,
+  createApiRouter
+};
@@ -0,0 +1,230 @@
+// leaderboards.js - Leaderboards by category and time window, with pages and the viewer's own rank.
+//
+// Daily and weekly boards (and every per-category board) rank each player's best GameResult in
+// the window; the all-time board over all categories ranks their high score. Every finished game
+// updates the player's best score per board in the LeaderboardScore table (recordResult), so a
+// board page is one ordered, paged query. Days and weeks (starting Monday) are in UTC.
+// Clients viewing a board join its socket.io room (see roomName) so updates only go to them.
+const storage = require('./storage');
+
+const WINDOWS = ['daily', 'weekly', 'all'];
+const PAGE_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the current day or week (ISO string), or null for all time
+function windowStart(window, now = new Date()) {
+  if (window === 'all') return null;
+
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (window === 'weekly') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setTime(start.getTime() - daysSinceMonday * DAY_MS);
+  }
+  return start.toISOString();
+}
+
+// Check a board request from a client. Returns { board } or { error }.
+function normalizeBoard({ window = 'all', category = null, page = 1 } = {}) {
+  if (!WINDOWS.includes(window)) {
+    return { error: 'Unknown leaderboard period' };
+  }
+  if (category !== null && category !== '' && (typeof category !== 'string' || category.length > 100)) {
+    return { error: 'Unknown category' };
+  }
+
+  return {
+    board: {
+      window: window,
+      category: category || null,
+      page: Math.max(1, Math.floor(Number(page)) || 1)
+    }
+  };
+}
+
+// Socket.io room for everyone viewing a board (any page)
+function roomName({ window, category }) {
+  return `leaderboard:${window}:${category || '*'}`;
+}
+
+// Boards that change when a game in `category` finishes
+function affectedRooms(category) {
+  return WINDOWS.flatMap(window => [
+    roomName({ window, category: null }),
+    roomName({ window, category })
+  ]);
+}
+
+// The LeaderboardScore rows a board is made of: Board ('daily', 'weekly' or 'all'), Period (the
+// day or week as YYYY-MM-DD, '' for all time) and Category ('' for every category)
+function boardKey({ window, category }, now = new Date()) {
+  const since = windowStart(window, now);
+  return {
+    Board: window,
+    Period: since ? since.slice(0, 10) : '',
+    Category: category || ''
+  };
+}
+
+// Every board a game (a GameResult row) counts for. Like high scores, the all-time board over
+// all categories only lists scores above 0.
+function boardsFor(result) {
+  const playedAt = new Date(result.PlayedAt);
+  return WINDOWS.flatMap(window => [
+    boardKey({ window, category: null }, playedAt),
+    boardKey({ window, category: result.Category }, playedAt)
+  ]).filter(key => key.Board !== 'all' || key.Category || result.Score > 0);
+}
+
+// Store a score on a board unless the player already has the same or a better one there
+async function keepBest(key, result) {
+  const [current] = await storage.select('LeaderboardScore', {
+    columns: 'Score',
+    where: { ...key, UserID: result.UserID },
+    limit: 1
+  });
+  if (current && current.Score >= result.Score) return;
+
+  await storage.upsert('LeaderboardScore', {
+    ...key,
+    UserID: result.UserID,
+    Username: result.Username,
+    Score: result.Score,
+    PlayedAt: result.PlayedAt
+  }, ['Board', 'Period', 'Category', 'UserID']);
+}
+
+// Put a finished game on every board where it is the player's best score
+async function recordResult(result) {
+  for (const key of boardsFor(result)) {
+    await keepBest(key, result);
+  }
+
+  // Days and weeks before the current week are no longer shown
+  await storage.remove('LeaderboardScore', {
+    Board: { in: ['daily', 'weekly'] },
+    Period: { lt: boardKey({ window: 'weekly' }).Period }
+  });
+}
+
+// Fill an empty LeaderboardScore table from the high scores and stored games (the first time
+// the server runs with it), a page of rows at a time
+const REBUILD_PAGE_SIZE = 500;
+
+async function rebuildScores() {
+  if (await storage.count('LeaderboardScore', {}) > 0) return;
+
+  // High scores set before games were stored count on the all-time board
+  for (let offset = 0; ; offset += REBUILD_PAGE_SIZE) {
+    const users = await storage.select('User', {
+      columns: 'UserID, Username, Highscore',
+      where: { Highscore: { gt: 0 } },
+      order: [{ column: 'UserID', ascending: true }],
+      limit: REBUILD_PAGE_SIZE,
+      offset: offset
+    });
+    if (users.length === 0) break;
+
+    const dates = await storage.select('Leaderboard', {
+      columns: 'UserID, Date',
+      where: { UserID: { in: users.map(user => user.UserID) } }
+    });
+    const dateByUser = new Map(dates.map(row => [row.UserID, row.Date]));
+
+    await storage.insert('LeaderboardScore', users.map(user => ({
+      ...boardKey({ window: 'all' }),
+      UserID: user.UserID,
+      Username: user.Username,
+      Score: user.Highscore,
+      PlayedAt: dateByUser.get(user.UserID) || null
+    })));
+    if (users.length < REBUILD_PAGE_SIZE) break;
+  }
+
+  // Games count on the boards of the current day and week only
+  for (let offset = 0; ; offset += REBUILD_PAGE_SIZE) {
+    const results = await storage.select('GameResult', {
+      columns: 'UserID, Username, Category, Score, PlayedAt',
+      order: [{ column: 'ResultID', ascending: true }],
+      limit: REBUILD_PAGE_SIZE,
+      offset: offset
+    });
+
+    for (const result of results) {
+      for (const key of boardsFor(result)) {
+        if (key.Period === boardKey({ window: key.Board }).Period) await keepBest(key, result);
+      }
+    }
+    if (results.length < REBUILD_PAGE_SIZE) break;
+  }
+}
+
+function formatEntry(row, rank) {
+  return { username: row.Username, score: row.Score, date: row.PlayedAt || null, rank: rank };
+}
+
+// One page of a board plus the viewer's own rank (even when it's on another page). Ranking,
+// paging and counting happen in the database. Players with the same score share a rank;
+// the earlier score comes first.
+async function getLeaderboard(board, viewer = null) {
+  const where = boardKey(board);
+  const order = [{ column: 'Score', ascending: false }, { column: 'PlayedAt', ascending: true }];
+
+  const totalEntries = await storage.count('LeaderboardScore', { where });
+  const totalPages = Math.max(1, Math.ceil(totalEntries / PAGE_SIZE));
+  const page = Math.min(board.page, totalPages);
+  const rows = await storage.select('LeaderboardScore', {
+    columns: 'Username, Score, PlayedAt',
+    where: where,
+    order: order,
+    limit: PAGE_SIZE,
+    offset: (page - 1) * PAGE_SIZE
+  });
+
+  // Rank of a score: one more than the number of better scores
+  const rankOf = async score => 1 + await storage.count('LeaderboardScore', { where: { ...where, Score: { gt: score } } });
+
+  const entries = [];
+  for (const [index, row] of rows.entries()) {
+    const previous = entries[index - 1];
+    const rank = !previous
+      ? await rankOf(row.Score)
+      : previous.score === row.Score ? previous.rank : (page - 1) * PAGE_SIZE + index + 1;
+    entries.push(formatEntry(row, rank));
+  }
+
+  let you = null;
+  const [own] = viewer
+    ? await storage.select('LeaderboardScore', { columns: 'Username, Score, PlayedAt', where: { ...where, Username: viewer }, limit: 1 })
+    : [];
+  if (own) {
+    const rank = await rankOf(own.Score);
+    const earlierTies = own.PlayedAt
+      ? await storage.count('LeaderboardScore', { where: { ...where, Score: own.Score, PlayedAt: { lt: own.PlayedAt } } })
+      : 0;
+    you = { ...formatEntry(own, rank), page: Math.floor((rank - 1 + earlierTies) / PAGE_SIZE) + 1 };
+  }
+
+  return {
+    window: board.window,
+    category: board.category,
+    page: page,
+    pageSize: PAGE_SIZE,
+    totalPages: totalPages,
+    totalEntries: totalEntries,
+    entries: entries,
+    you: you
+  };
+}
+
+module.exports = {
+  WINDOWS,
+  PAGE_SIZE,
+  windowStart,
+  normalizeBoard,
+  roomName,
+  affectedRooms,
+  recordResult,
+  rebuildScores,
+  getLeaderboard
+};
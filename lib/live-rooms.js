@@ -0,0 +1,330 @@
+// live-rooms.js - Live quizzes hosted by a presenter for a room of players
+//
+// An instructor opens a room for a category and shares its code; players join with the code.
+// The host starts each question for everyone at once. A round closes when its countdown runs
+// out or every connected player has answered, then the room sees how the answers were spread
+// and the scoreboard. After the last question the room shows the podium.
+//
+// Points follow the difficulty (see game-sessions.js) and question type grading, plus a bonus
+// for answering quickly. Rooms are kept in memory only; their scores are not saved to the
+// leaderboards or the players' statistics.
+const crypto = require('crypto');
+const { DIFFICULTY_POINTS, shuffleArray, toClientQuestion } = require('./game-sessions');
+const questionTypes = require('./question-types');
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_QUESTION_COUNT = 30;
+const DEFAULT_QUESTION_SECONDS = 20;
+const MIN_QUESTION_SECONDS = 5;
+const MAX_QUESTION_SECONDS = 120;
+const MAX_PLAYERS = 100;
+const PODIUM_SIZE = 3;
+// An instant correct answer earns this share of the question's points on top
+const SPEED_BONUS = 0.5;
+// How long a room waits for a host who lost their connection before it closes
+const HOST_RECONNECT_SECONDS = 120;
+// How long a finished room keeps its podium for players who reconnect
+const FINISHED_ROOM_MINUTES = 10;
+
+const PHASES = {
+  LOBBY: 'lobby',       // players are joining
+  QUESTION: 'question', // the countdown of a question is running
+  RESULTS: 'results',   // answer spread and scoreboard of the last question
+  FINISHED: 'finished'  // podium
+};
+
+// Open rooms by room code
+const rooms = {};
+
+function generateRoomCode() {
+  const bytes = crypto.randomBytes(ROOM_CODE_LENGTH);
+  return [...bytes].map(byte => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join('');
+}
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// A whole number within [min, max], or `fallback` when `value` isn't a number
+function clampNumber(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+// Open a room. `onChange` is called with the room when its state changes on its own (a
+// countdown ran out) and `onClose` with the room and a message when it closes on its own.
+function createRoom({ host, category, questions, questionCount, questionSeconds, onChange, onClose }) {
+  if (questions.length === 0) {
+    return { error: 'No questions available for this category' };
+  }
+
+  let code = generateRoomCode();
+  while (rooms[code]) {
+    code = generateRoomCode();
+  }
+
+  const count = clampNumber(questionCount, 1, MAX_QUESTION_COUNT, DEFAULT_QUESTION_COUNT);
+  const room = {
+    code: code,
+    host: host,
+    category: category,
+    questions: shuffleArray([...questions]).slice(0, count),
+    questionSeconds: clampNumber(questionSeconds, MIN_QUESTION_SECONDS, MAX_QUESTION_SECONDS, DEFAULT_QUESTION_SECONDS),
+    phase: PHASES.LOBBY,
+    questionIndex: -1,
+    players: {}, // username -> { username, score, correctAnswers, answerMs, lastPoints, connected }
+    round: null,
+    timer: null,
+    onChange: onChange,
+    onClose: onClose
+  };
+
+  rooms[code] = room;
+  return { room };
+}
+
+function getRoom(code) {
+  return rooms[normalizeCode(code)] || null;
+}
+
+// The open room a player hosts or plays in, if any
+function findRoomOf(username) {
+  return Object.values(rooms).find(room => room.host === username || room.players[username]) || null;
+}
+
+// Join (or rejoin) a room. Latecomers may join while it runs and start with no points.
+function joinRoom(code, username) {
+  const room = getRoom(code);
+  if (!room) return { error: 'No live game with that code' };
+  if (room.host === username) return { error: 'You are hosting this game' };
+
+  const player = room.players[username];
+  if (player) {
+    player.connected = true;
+    return { room };
+  }
+
+  if (room.phase === PHASES.FINISHED) return { error: 'This live game has finished' };
+  if (Object.keys(room.players).length >= MAX_PLAYERS) return { error: 'This live game is full' };
+
+  room.players[username] = {
+    username: username,
+    score: 0,
+    correctAnswers: 0,
+    answerMs: 0,
+    lastPoints: null,
+    connected: true
+  };
+  return { room };
+}
+
+function leaveRoom(room, username) {
+  delete room.players[username];
+  closeRoundIfEveryoneAnswered(room);
+}
+
+// A player's connections went away or came back. Disconnected players keep their score
+// but the round doesn't wait for them.
+function setConnected(room, username, connected) {
+  if (room.host === username) {
+    clearTimeout(room.hostTimer);
+    room.hostTimer = null;
+    if (!connected) {
+      room.hostTimer = setTimeout(() => expireRoom(room, 'The host left the live game'), HOST_RECONNECT_SECONDS * 1000);
+      room.hostTimer.unref();
+    }
+    return;
+  }
+
+  if (!room.players[username]) return;
+  room.players[username].connected = connected;
+  if (!connected) closeRoundIfEveryoneAnswered(room);
+}
+
+// Host: start the next question, or show the podium after the last one
+function nextStep(room) {
+  if (room.phase === PHASES.QUESTION) return { error: 'The current question is still running' };
+  if (room.phase === PHASES.FINISHED) return { error: 'This live game has finished' };
+
+  if (room.questionIndex + 1 >= room.questions.length) {
+    finishRoom(room);
+    return { room };
+  }
+
+  const now = Date.now();
+  room.questionIndex++;
+  room.phase = PHASES.QUESTION;
+  room.round = {
+    question: room.questions[room.questionIndex],
+    startedAt: now,
+    endsAt: now + room.questionSeconds * 1000,
+    answers: {} // username -> { answerIds, correct, points, answerMs }
+  };
+  Object.values(room.players).forEach(player => {
+    player.lastPoints = null;
+  });
+
+  room.timer = setTimeout(() => {
+    closeRound(room);
+    if (room.onChange) room.onChange(room);
+  }, room.questionSeconds * 1000);
+  return { room };
+}
+
+// Grade a player's answer to the running question. The points count once the round closes.
+// `submitted` is an answer ID, or a list of answer IDs for multi-select and red-flag questions.
+function submitAnswer(room, username, questionId, submitted) {
+  const round = room.round;
+  if (room.phase !== PHASES.QUESTION || !round) return { error: 'No question is running' };
+  if (!room.players[username]) return { error: 'You are not in this live game' };
+  if (round.question.QuestionID !== questionId) return { error: 'That question is no longer running' };
+  if (round.answers[username]) return { error: 'Question already answered' };
+
+  const question = round.question;
+  const basePoints = DIFFICULTY_POINTS[question.Difficulty] || DIFFICULTY_POINTS.easy;
+  const graded = questionTypes.grade(question, submitted, basePoints);
+  if (graded.error) return { error: graded.error };
+
+  const answerMs = Math.max(0, Date.now() - round.startedAt);
+  const timeShare = Math.max(0, 1 - answerMs / (round.endsAt - round.startedAt));
+  const bonus = graded.points > 0 ? Math.round(graded.points * SPEED_BONUS * timeShare) : 0;
+
+  round.answers[username] = {
+    answerIds: graded.answerIds,
+    correct: graded.correct,
+    points: graded.points + bonus,
+    answerMs: answerMs
+  };
+
+  closeRoundIfEveryoneAnswered(room);
+  return { room };
+}
+
+function closeRoundIfEveryoneAnswered(room) {
+  if (room.phase !== PHASES.QUESTION) return;
+  const waiting = Object.values(room.players)
+    .some(player => player.connected && !room.round.answers[player.username]);
+  if (!waiting) closeRound(room);
+}
+
+// End the running question (countdown over, everyone answered or the host skipped ahead)
+// and add its points to the scoreboard
+function closeRound(room) {
+  if (room.phase !== PHASES.QUESTION) return { error: 'No question is running' };
+
+  clearTimeout(room.timer);
+  room.timer = null;
+  room.phase = PHASES.RESULTS;
+
+  Object.values(room.players).forEach(player => {
+    const answer = room.round.answers[player.username];
+    player.lastPoints = answer ? answer.points : 0;
+    if (!answer) return;
+    player.score += answer.points;
+    player.answerMs += answer.answerMs;
+    if (answer.correct) player.correctAnswers++;
+  });
+  return { room };
+}
+
+function finishRoom(room) {
+  clearTimeout(room.timer);
+  room.phase = PHASES.FINISHED;
+  room.round = null;
+
+  room.expiryTimer = setTimeout(() => expireRoom(room, 'The live game has ended'), FINISHED_ROOM_MINUTES * 60 * 1000);
+  room.expiryTimer.unref();
+}
+
+// Close a room for good
+function closeRoom(room) {
+  clearTimeout(room.timer);
+  clearTimeout(room.hostTimer);
+  clearTimeout(room.expiryTimer);
+  delete rooms[room.code];
+}
+
+function expireRoom(room, message) {
+  if (rooms[room.code] !== room) return;
+  closeRoom(room);
+  if (room.onClose) room.onClose(room, message);
+}
+
+// Players by score; equal scores go to whoever answered faster overall
+function getStandings(room) {
+  return Object.values(room.players)
+    .sort((a, b) => b.score - a.score || a.answerMs - b.answerMs || a.username.localeCompare(b.username))
+    .map((player, i) => ({
+      rank: i + 1,
+      username: player.username,
+      score: player.score,
+      correctAnswers: player.correctAnswers,
+      lastPoints: player.lastPoints,
+      answered: Boolean(room.round && room.round.answers[player.username]),
+      connected: player.connected
+    }));
+}
+
+// How many players picked each answer of the closed question
+function getDistribution(room) {
+  const answers = Object.values(room.round.answers);
+  return {
+    answered: answers.length,
+    correct: answers.filter(answer => answer.correct).length,
+    answers: room.round.question.answers.map(answer => ({
+      answerId: answer.AnswerID,
+      text: answer.AnswerText,
+      correct: Boolean(answer.isCorrect),
+      count: answers.filter(given => given.answerIds.includes(answer.AnswerID)).length
+    }))
+  };
+}
+
+// What every connection in the room is shown. Correct answers are only included once the
+// round has closed.
+function getClientState(room) {
+  const round = room.round;
+  const standings = getStandings(room);
+
+  return {
+    code: room.code,
+    host: room.host,
+    category: room.category,
+    phase: room.phase,
+    questionNumber: room.questionIndex + 1,
+    totalQuestions: room.questions.length,
+    questionSeconds: room.questionSeconds,
+    question: round ? toClientQuestion(round.question) : null,
+    timeRemaining: room.phase === PHASES.QUESTION ? Math.max(0, Math.ceil((round.endsAt - Date.now()) / 1000)) : 0,
+    answeredCount: round ? Object.keys(round.answers).length : 0,
+    results: room.phase === PHASES.RESULTS ? {
+      distribution: getDistribution(room),
+      explanation: round.question.Explanation || ''
+    } : null,
+    standings: standings,
+    podium: room.phase === PHASES.FINISHED ? standings.slice(0, PODIUM_SIZE) : null
+  };
+}
+
+module.exports = {
+  PHASES,
+  DEFAULT_QUESTION_COUNT,
+  MAX_QUESTION_COUNT,
+  DEFAULT_QUESTION_SECONDS,
+  MIN_QUESTION_SECONDS,
+  MAX_QUESTION_SECONDS,
+  createRoom,
+  getRoom,
+  findRoomOf,
+  joinRoom,
+  leaveRoom,
+  setConnected,
+  nextStep,
+  submitAnswer,
+  closeRound,
+  closeRoom,
+  getClientState
+};
@@ -0,0 +1,123 @@
+// login-throttle.js - Failed-login limits per account and per client address.
+//
+// Every login attempt is stored in the LoginAttempt table before its password is checked, so a
+// restart doesn't hand out fresh attempts and parallel logins can't get past the limit: an
+// attempt only goes ahead when the attempts in the window, its own included, are within it.
+// Attempts count against the username that was tried - whether or not that account exists, so
+// the answers don't reveal which ones do - and against the address they came from:
+// - an account allows 3 attempts per 30 seconds and 10 per hour
+// - an address allows 20 attempts per 5 minutes and 100 per hour, so one client can't work
+//   through many accounts
+// An attempt over a limit is refused and not kept, so a lock lasts until enough earlier attempts
+// have left the window - never longer than an hour. A successful login clears the account's
+// attempts and is not counted against the address.
+const storage = require('./storage');
+
+const LIMITS = {
+  account: [
+    { attempts: Number(process.env.LOGIN_ACCOUNT_ATTEMPTS || 3), seconds: 30 },
+    { attempts: 10, seconds: 60 * 60 }
+  ],
+  address: [
+    { attempts: Number(process.env.LOGIN_ADDRESS_ATTEMPTS || 20), seconds: 5 * 60 },
+    { attempts: 100, seconds: 60 * 60 }
+  ]
+};
+
+// Usernames are compared the way the database does (case-insensitively)
+function throttleKeys(username, address) {
+  const keys = [];
+  if (typeof username === 'string' && username.trim()) {
+    keys.push({ key: `account:${username.trim().toLowerCase()}`, limits: LIMITS.account, type: 'account' });
+  }
+  if (address) {
+    keys.push({ key: `address:${address}`, limits: LIMITS.address, type: 'address' });
+  }
+  return keys;
+}
+
+function windowStart(seconds, now) {
+  return new Date(now - seconds * 1000).toISOString();
+}
+
+// Seconds until the attempts in a window, `earlier` of them before the next one, are back
+// under its limit
+async function secondsUntilAllowed(key, limit, earlier, now) {
+  const [oldest] = await storage.select('LoginAttempt', {
+    columns: 'AttemptedAt',
+    where: { ThrottleKey: key, AttemptedAt: { gt: windowStart(limit.seconds, now) } },
+    order: [{ column: 'AttemptedAt', ascending: true }],
+    limit: 1,
+    offset: earlier - limit.attempts
+  });
+  if (!oldest) return 1;
+  return Math.max(1, Math.ceil((new Date(oldest.AttemptedAt).getTime() + limit.seconds * 1000 - now) / 1000));
+}
+
+function longerLock(current, lockTimeRemaining, lockedBy) {
+  return current && current.lockTimeRemaining >= lockTimeRemaining ? current : { lockTimeRemaining, lockedBy };
+}
+
+// Count a login attempt before its password is checked. Returns { lockTimeRemaining, lockedBy }
+// when the account or the address is over a limit (the attempt is refused), else
+// { attemptIds, attemptsLeft, lockOnFailure }: the stored attempt (for recordSuccess), the attempts
+// the account has left should this one fail, and { lockTimeRemaining, lockedBy } when failing it
+// locks the account or the address.
+async function startAttempt(username, address) {
+  const now = Date.now();
+  const keys = throttleKeys(username, address);
+  if (keys.length === 0) return { attemptIds: [], attemptsLeft: LIMITS.account[0].attempts, lockOnFailure: null };
+
+  // Attempts older than the longest window no longer count
+  for (const entry of keys) {
+    const longest = Math.max(...entry.limits.map(limit => limit.seconds));
+    await storage.remove('LoginAttempt', { ThrottleKey: entry.key, AttemptedAt: { lt: windowStart(longest, now) } });
+  }
+
+  const attemptedAt = new Date(now).toISOString();
+  const rows = await storage.insert('LoginAttempt', keys.map(entry => ({ ThrottleKey: entry.key, AttemptedAt: attemptedAt })));
+
+  let refused = null;
+  let lockOnFailure = null;
+  let attemptsLeft = LIMITS.account[0].attempts;
+
+  for (const entry of keys) {
+    for (const limit of entry.limits) {
+      const attempts = await storage.count('LoginAttempt', {
+        where: { ThrottleKey: entry.key, AttemptedAt: { gt: windowStart(limit.seconds, now) } }
+      });
+
+      if (attempts > limit.attempts) {
+        refused = longerLock(refused, await secondsUntilAllowed(entry.key, limit, attempts - 1, now), entry.type);
+        continue;
+      }
+      if (entry.type === 'account') {
+        attemptsLeft = Math.min(attemptsLeft, limit.attempts - attempts);
+      }
+      if (attempts === limit.attempts) {
+        lockOnFailure = longerLock(lockOnFailure, await secondsUntilAllowed(entry.key, limit, attempts, now), entry.type);
+      }
+    }
+  }
+
+  const attemptIds = rows.map(row => row.AttemptID);
+  if (refused) {
+    await storage.remove('LoginAttempt', { AttemptID: { in: attemptIds } });
+    return refused;
+  }
+  return { attemptIds, attemptsLeft, lockOnFailure };
+}
+
+// A successful login clears the account's attempts and doesn't count against the address
+// (which keeps its earlier failures)
+async function recordSuccess(username, attemptIds = []) {
+  const [account] = throttleKeys(username, null);
+  if (account) await storage.remove('LoginAttempt', { ThrottleKey: account.key });
+  if (attemptIds.length > 0) await storage.remove('LoginAttempt', { AttemptID: { in: attemptIds } });
+}
+
+module.exports = {
+  LIMITS,
+  startAttempt,
+  recordSuccess
+};
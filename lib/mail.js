@@ -0,0 +1,65 @@
+// mail.js - Pluggable outgoing mail transports.
+// MAIL_TRANSPORT picks one of the built-in transports (console | file); a deployment can plug in
+// its own with setTransport({ send(message) }) - e.g. an SMTP or email API client.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+
+// Print messages to the server log (development default)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n--- End of email ---`);
+    }
+  };
+}
+
+// Write each message to its own file in an outbox folder
+function createFileTransport(options = {}) {
+  const outboxDir = options.outboxDir || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.txt`;
+      const content = `To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\nDate: ${new Date().toUTCString()}\n\n${message.text}\n`;
+      await fs.promises.writeFile(path.join(outboxDir, fileName), content);
+    }
+  };
+}
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+// Replace the transport (custom providers, tests)
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'Cybersecurity Awareness Game <no-reply@localhost>';
+  await getTransport().send({ from, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  setTransport
+};
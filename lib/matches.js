@@ -0,0 +1,167 @@
+// matches.js - Head-to-head challenge invitations and 1v1 match state
+const crypto = require('crypto');
+
+// How long a challenge invitation stays open
+const CHALLENGE_EXPIRY_SECONDS = 30;
+
+// Pending challenges by challenge ID
+const challenges = {};
+
+// Running matches by match ID
+const matches = {};
+
+// Invite another player. `onExpire` is called with the challenge if nobody answers in time.
+function createChallenge({ challenger, opponent, category, onExpire }) {
+  if (challenger === opponent) {
+    return { error: 'You cannot challenge yourself' };
+  }
+
+  const pending = Object.values(challenges).find(c =>
+    (c.challenger === challenger && c.opponent === opponent) ||
+    (c.challenger === opponent && c.opponent === challenger)
+  );
+  if (pending) {
+    return { error: 'A challenge between these players is already pending' };
+  }
+
+  const challenge = {
+    id: crypto.randomUUID(),
+    challenger: challenger,
+    opponent: opponent,
+    category: category,
+    expiresAt: Date.now() + CHALLENGE_EXPIRY_SECONDS * 1000
+  };
+
+  challenge.timer = setTimeout(() => {
+    delete challenges[challenge.id];
+    if (onExpire) onExpire(challenge);
+  }, CHALLENGE_EXPIRY_SECONDS * 1000);
+
+  challenges[challenge.id] = challenge;
+  return { challenge };
+}
+
+function getChallenge(challengeId) {
+  return challenges[challengeId] || null;
+}
+
+// Close a challenge (accepted, declined or cancelled)
+function removeChallenge(challengeId) {
+  const challenge = challenges[challengeId];
+  if (!challenge) return null;
+  clearTimeout(challenge.timer);
+  delete challenges[challengeId];
+  return challenge;
+}
+
+// Close every challenge a player is part of (e.g. when they go offline)
+function removeChallengesFor(username) {
+  return Object.values(challenges)
+    .filter(c => c.challenger === username || c.opponent === username)
+    .map(c => removeChallenge(c.id));
+}
+
+// Start a match between two players on one shared question set. `tournamentMatchId` is set
+// when the match is played for a tournament (see tournaments.js).
+function createMatch({ category, players, questions, tournamentMatchId = null }) {
+  const match = {
+    id: crypto.randomUUID(),
+    category: category,
+    players: players,
+    questions: questions,
+    tournamentMatchId: tournamentMatchId,
+    progress: {},
+    results: {},
+    outcome: null
+  };
+
+  players.forEach(username => {
+    match.progress[username] = { score: 0, answered: 0 };
+  });
+
+  matches[match.id] = match;
+  return match;
+}
+
+function getMatch(matchId) {
+  return matches[matchId] || null;
+}
+
+// Track a player's live score so it can be shown to their opponent
+function updateProgress(matchId, username, score) {
+  const match = matches[matchId];
+  if (!match || !match.progress[username]) return null;
+
+  match.progress[username].score = score;
+  match.progress[username].answered++;
+
+  return {
+    matchId: matchId,
+    username: username,
+    score: score,
+    answered: match.progress[username].answered,
+    totalQuestions: match.questions.length
+  };
+}
+
+// Work out the winner from the final scores
+function decideOutcome(match, forfeitedBy) {
+  const scores = {};
+  match.players.forEach(username => {
+    scores[username] = match.results[username] ? match.results[username].score : 0;
+  });
+
+  let winner = null;
+  if (forfeitedBy) {
+    winner = match.players.find(username => username !== forfeitedBy);
+  } else {
+    const [first, second] = match.players;
+    if (scores[first] > scores[second]) winner = first;
+    if (scores[second] > scores[first]) winner = second;
+  }
+
+  match.outcome = {
+    matchId: match.id,
+    category: match.category,
+    players: match.players,
+    scores: scores,
+    winner: winner,
+    draw: winner === null,
+    forfeitedBy: forfeitedBy || null,
+    tournamentMatchId: match.tournamentMatchId
+  };
+
+  delete matches[match.id];
+  return match.outcome;
+}
+
+// Store a player's final result. Returns the outcome once both players are done.
+function recordResult(matchId, username, result) {
+  const match = matches[matchId];
+  if (!match || match.outcome) return null;
+
+  match.results[username] = result;
+
+  const allFinished = match.players.every(player => match.results[player]);
+  return allFinished ? decideOutcome(match) : null;
+}
+
+// End the match early, awarding it to the player who stayed
+function forfeit(matchId, username) {
+  const match = matches[matchId];
+  if (!match || match.outcome) return null;
+  return decideOutcome(match, username);
+}
+
+module.exports = {
+  CHALLENGE_EXPIRY_SECONDS,
+  createChallenge,
+  getChallenge,
+  removeChallenge,
+  removeChallengesFor,
+  createMatch,
+  getMatch,
+  updateProgress,
+  recordResult,
+  forfeit
+};
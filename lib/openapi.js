@@ -0,0 +1,459 @@
+// openapi.js - OpenAPI 3 description of the REST API in http-api.js (served at /api/v1/openapi.json).
+// Keep it in step with the routes when they change.
+
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+
+const ERRORS = {
+  400: errorResponse('Invalid request (invalid_request)'),
+  401: errorResponse('Missing, invalid or expired session token (unauthorized)'),
+  403: errorResponse('Not allowed for this session, e.g. a guest (forbidden)'),
+  404: errorResponse('Not found (not_found)')
+};
+
+const sessionParam = {
+  name: 'sessionId',
+  in: 'path',
+  required: true,
+  description: 'Game session ID from POST /games',
+  schema: { type: 'string' }
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Cybersecurity Awareness Game API',
+    version: '1.0.0',
+    description: 'JSON API for the quiz game. Authenticate with the sessionToken from /auth/login, ' +
+      '/auth/register or /auth/guest, sent as "Authorization: Bearer <token>". The same token works ' +
+      'for the Socket.IO client (resumeSession). Errors always have the Error shape.'
+  },
+  servers: [{ url: '/api/v1' }],
+  components: {
+    securitySchemes: {
+      sessionToken: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: {
+                type: 'string',
+                enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'account_locked', 'rate_limited', 'server_error']
+              },
+              message: { type: 'string' },
+              lockTimeRemaining: { type: 'integer', description: 'Seconds until a locked account can log in again' }
+            }
+          }
+        }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer' },
+          username: { type: 'string' },
+          isGuest: { type: 'boolean' },
+          highscore: { type: 'integer' },
+          gamesPlayed: { type: 'integer' },
+          registrationDate: { type: 'string', format: 'date-time' },
+          role: { type: 'string', enum: ['player', 'instructor', 'moderator', 'admin'] },
+          language: { type: 'string', nullable: true, description: 'Language the player picked in the game, e.g. "da"' },
+          achievements: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                icon: { type: 'string' },
+                earnedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          sessionToken: { type: 'string' },
+          sessionExpiresAt: { type: 'string', format: 'date-time' },
+          user: ref('User')
+        }
+      },
+      Question: {
+        type: 'object',
+        properties: {
+          QuestionID: { type: 'integer' },
+          QuestionText: { type: 'string' },
+          Difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+          Category: { type: 'string' },
+          Type: { type: 'string', enum: ['multiple_choice', 'true_false', 'multi_select', 'red_flags'] },
+          Format: { type: 'string', enum: ['email', 'sms'], nullable: true },
+          answers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                AnswerID: { type: 'integer' },
+                AnswerText: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Game: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string' },
+          category: { type: 'string' },
+          adaptive: { type: 'boolean' },
+          reviewRound: { type: 'boolean' },
+          dailyChallenge: { type: 'string', format: 'date', nullable: true, description: 'Day (UTC) of the daily challenge this game is, otherwise null' },
+          language: { type: 'string', description: 'Language of the question text; untranslated questions are in English' },
+          totalQuestions: { type: 'integer' },
+          questions: { type: 'array', items: ref('Question'), description: 'Adaptive games start with one question and add the next to each answer result' },
+          answeredQuestionIds: { type: 'array', items: { type: 'integer' } },
+          score: { type: 'integer' },
+          timeRemaining: { type: 'integer', description: 'Seconds left before the game ends by itself' }
+        }
+      },
+      AnswerSubmission: {
+        type: 'object',
+        required: ['questionId'],
+        properties: {
+          questionId: { type: 'integer' },
+          answerId: { type: 'integer', description: 'multiple_choice and true_false questions' },
+          answerIds: { type: 'array', items: { type: 'integer' }, description: 'multi_select and red_flags questions' }
+        }
+      },
+      AnswerResult: {
+        type: 'object',
+        properties: {
+          questionId: { type: 'integer' },
+          type: { type: 'string' },
+          answerId: { type: 'integer', nullable: true },
+          answerIds: { type: 'array', items: { type: 'integer' } },
+          correct: { type: 'boolean' },
+          correctAnswerId: { type: 'integer', nullable: true },
+          correctAnswerIds: { type: 'array', items: { type: 'integer' } },
+          points: { type: 'integer' },
+          maxPoints: { type: 'integer' },
+          score: { type: 'integer' },
+          timeRemaining: { type: 'integer' },
+          explanation: { type: 'string', nullable: true },
+          answerExplanation: { type: 'string', nullable: true },
+          answerExplanations: { type: 'object', additionalProperties: { type: 'string' } },
+          nextQuestion: { allOf: [ref('Question')], nullable: true }
+        }
+      },
+      GameResults: {
+        type: 'object',
+        properties: {
+          sessionId: { type: 'string' },
+          category: { type: 'string' },
+          baseScore: { type: 'integer' },
+          score: { type: 'integer' },
+          timeRemaining: { type: 'integer' },
+          timeBonusPercent: { type: 'integer' },
+          correctAnswers: { type: 'integer' },
+          answeredQuestions: { type: 'integer' },
+          totalQuestions: { type: 'integer' },
+          progressPercent: { type: 'integer' },
+          newHighScore: { type: 'boolean' },
+          skillEstimate: { type: 'object' },
+          achievementsUnlocked: { type: 'array', items: { type: 'object' } },
+          review: { type: 'array', items: { type: 'object' }, description: 'Every question with the chosen and correct answers and explanations' }
+        }
+      },
+      LeaderboardEntry: {
+        type: 'object',
+        properties: {
+          rank: { type: 'integer' },
+          username: { type: 'string' },
+          score: { type: 'integer' },
+          date: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      Leaderboard: {
+        type: 'object',
+        properties: {
+          window: { type: 'string', enum: ['daily', 'weekly', 'all'] },
+          category: { type: 'string', nullable: true },
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          totalEntries: { type: 'integer' },
+          entries: { type: 'array', items: ref('LeaderboardEntry') },
+          you: {
+            allOf: [ref('LeaderboardEntry')],
+            nullable: true,
+            description: 'Your own entry (with the page it is on) when a session token is sent'
+          },
+          categories: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      Stats: {
+        type: 'object',
+        properties: {
+          highscore: { type: 'integer' },
+          gamesPlayed: { type: 'integer' },
+          categoryStats: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                correct: { type: 'integer' },
+                total: { type: 'integer' },
+                skill: { type: 'number' }
+              }
+            }
+          },
+          review: {
+            type: 'object',
+            properties: {
+              due: { type: 'integer' },
+              roundSize: { type: 'integer' },
+              scheduled: { type: 'integer' }
+            }
+          }
+        }
+      },
+      GameHistory: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          totalGames: { type: 'integer' },
+          games: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                category: { type: 'string' },
+                score: { type: 'integer' },
+                correctAnswers: { type: 'integer' },
+                answeredQuestions: { type: 'integer' },
+                totalQuestions: { type: 'integer' },
+                accuracy: { type: 'integer' },
+                difficulty: { type: 'object', nullable: true },
+                timeRemaining: { type: 'integer' },
+                adaptive: { type: 'boolean' },
+                matchId: { type: 'string', nullable: true },
+                playedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          },
+          trends: {
+            type: 'object',
+            additionalProperties: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  playedAt: { type: 'string', format: 'date-time' },
+                  accuracy: { type: 'integer' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  paths: {
+    '/auth/register': {
+      post: {
+        summary: 'Create an account and start a session',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['username', 'password'],
+            properties: {
+              username: { type: 'string' },
+              email: { type: 'string', format: 'email' },
+              password: { type: 'string', description: 'At least 10 characters with an uppercase and a lowercase letter, a number and a special character' }
+            }
+          })
+        },
+        responses: {
+          201: { description: 'Account created', ...json(ref('Session')) },
+          400: ERRORS[400],
+          409: errorResponse('Username already exists (conflict)'),
+          429: errorResponse('Too many requests from this address; see Retry-After (rate_limited)')
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        summary: 'Log in and start a session',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['username', 'password'],
+            properties: { username: { type: 'string' }, password: { type: 'string' } }
+          })
+        },
+        responses: {
+          200: { description: 'Logged in', ...json(ref('Session')) },
+          401: errorResponse('Unknown user or wrong password (unauthorized)'),
+          429: errorResponse('Too many attempts for this account or address, or too many requests; see Retry-After (account_locked or rate_limited)')
+        }
+      }
+    },
+    '/auth/guest': {
+      post: {
+        summary: 'Start a guest session (no profile, stats or history)',
+        responses: {
+          201: { description: 'Guest session', ...json(ref('Session')) },
+          429: errorResponse('Too many requests from this address; see Retry-After (rate_limited)')
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        summary: 'End the session (also signs out Socket.IO connections using it)',
+        security: [{ sessionToken: [] }],
+        responses: { 204: { description: 'Logged out' }, 401: ERRORS[401] }
+      }
+    },
+    '/categories': {
+      get: {
+        summary: 'Question categories',
+        responses: {
+          200: {
+            description: 'Category names',
+            ...json({ type: 'object', properties: { categories: { type: 'array', items: { type: 'string' } } } })
+          }
+        }
+      }
+    },
+    '/games': {
+      post: {
+        summary: 'Start a game: the questions of a category, without the correct answers',
+        description: 'Replaces any unfinished game of the same session. The game ends by itself when its time runs out.',
+        security: [{ sessionToken: [] }],
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['category'],
+            properties: {
+              category: { type: 'string' },
+              adaptive: { type: 'boolean', description: 'One question at a time, harder or easier depending on the answers' },
+              language: { type: 'string', description: 'Language for the questions, e.g. "da" (default: the player\'s saved language, else English)' }
+            }
+          })
+        },
+        responses: {
+          201: { description: 'Game started', ...json(ref('Game')) },
+          400: ERRORS[400],
+          401: ERRORS[401],
+          404: errorResponse('No questions in that category (not_found)')
+        }
+      }
+    },
+    '/games/{sessionId}': {
+      get: {
+        summary: 'State of a running game',
+        security: [{ sessionToken: [] }],
+        parameters: [sessionParam],
+        responses: {
+          200: { description: 'Game state', ...json(ref('Game')) },
+          401: ERRORS[401],
+          404: errorResponse('No running game with that ID for this session (not_found)')
+        }
+      }
+    },
+    '/games/{sessionId}/answers': {
+      post: {
+        summary: 'Answer a question (graded on the server)',
+        security: [{ sessionToken: [] }],
+        parameters: [sessionParam],
+        requestBody: { required: true, ...json(ref('AnswerSubmission')) },
+        responses: {
+          200: { description: 'Graded answer', ...json(ref('AnswerResult')) },
+          400: errorResponse('Already answered, time is up or the answer does not fit the question (invalid_request)'),
+          401: ERRORS[401],
+          404: ERRORS[404]
+        }
+      }
+    },
+    '/games/{sessionId}/end': {
+      post: {
+        summary: 'Finish the game and save the score (registered players)',
+        security: [{ sessionToken: [] }],
+        parameters: [sessionParam],
+        responses: {
+          200: { description: 'Final results', ...json(ref('GameResults')) },
+          401: ERRORS[401],
+          404: ERRORS[404]
+        }
+      }
+    },
+    '/leaderboard': {
+      get: {
+        summary: 'One page of a leaderboard',
+        description: 'The session token is optional; with one, "you" holds your own rank.',
+        security: [{}, { sessionToken: [] }],
+        parameters: [
+          { name: 'window', in: 'query', schema: { type: 'string', enum: ['daily', 'weekly', 'all'], default: 'all' } },
+          { name: 'category', in: 'query', schema: { type: 'string' } },
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } }
+        ],
+        responses: {
+          200: { description: 'Leaderboard page', ...json(ref('Leaderboard')) },
+          400: ERRORS[400]
+        }
+      }
+    },
+    '/users/me': {
+      get: {
+        summary: 'The signed-in player with achievements',
+        security: [{ sessionToken: [] }],
+        responses: {
+          200: { description: 'Profile', ...json({ type: 'object', properties: { user: ref('User') } }) },
+          401: ERRORS[401],
+          404: ERRORS[404]
+        }
+      }
+    },
+    '/users/me/stats': {
+      get: {
+        summary: 'High score, games played, accuracy per category and review queue',
+        security: [{ sessionToken: [] }],
+        responses: {
+          200: { description: 'Statistics', ...json(ref('Stats')) },
+          401: ERRORS[401],
+          403: ERRORS[403]
+        }
+      }
+    },
+    '/users/me/history': {
+      get: {
+        summary: 'Finished games, newest first, with accuracy trends per category',
+        security: [{ sessionToken: [] }],
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'category', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'History page', ...json(ref('GameHistory')) },
+          401: ERRORS[401],
+          403: ERRORS[403]
+        }
+      }
+    }
+  }
+};
+
+module.exports = { spec };
@@ -0,0 +1,59 @@
+// password-reset.js - Single-use, time-limited password reset tokens
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// Only a hash of the token is stored, so a leaked table can't be used to reset passwords
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a new token for a user, replacing any earlier unused ones
+async function createResetToken(userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  await storage.remove('PasswordReset', { UserID: userId, UsedAt: null });
+  await storage.insert('PasswordReset', [{
+    TokenHash: hashToken(token),
+    UserID: userId,
+    CreatedAt: new Date().toISOString(),
+    ExpiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+    UsedAt: null
+  }]);
+
+  return token;
+}
+
+// Check a token and mark it used. Returns the user ID it was issued for.
+async function consumeResetToken(token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return { error: 'Invalid or expired reset code' };
+  }
+
+  const [reset] = await storage.select('PasswordReset', {
+    where: { TokenHash: hashToken(token.trim()) },
+    limit: 1
+  });
+
+  if (!reset || reset.UsedAt || new Date(reset.ExpiresAt).getTime() < Date.now()) {
+    return { error: 'Invalid or expired reset code' };
+  }
+
+  // Only the first request to use the token succeeds
+  const used = await storage.update('PasswordReset', { UsedAt: new Date().toISOString() }, {
+    TokenHash: reset.TokenHash,
+    UsedAt: null
+  });
+  if (used.length === 0) {
+    return { error: 'Invalid or expired reset code' };
+  }
+
+  return { userId: reset.UserID };
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  createResetToken,
+  consumeResetToken
+};
@@ -0,0 +1,96 @@
+// passwords.js - Salted scrypt password hashing with upgrade of legacy SHA-256 hashes
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<version>$<N>$<r>$<p>$<salt base64>$<hash base64>
+const ALGORITHM = 'scrypt';
+const VERSION = 1;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Old accounts were stored as unsalted SHA-256 hex digests
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+function sha256(message) {
+  return crypto.createHash('sha256').update(message).digest('hex');
+}
+
+async function deriveKey(password, salt, params) {
+  return scrypt(password, salt, KEY_LENGTH, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+// Hash a password with a fresh per-user salt
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+
+  return [
+    ALGORITHM,
+    VERSION,
+    SCRYPT_PARAMS.N,
+    SCRYPT_PARAMS.r,
+    SCRYPT_PARAMS.p,
+    salt.toString('base64'),
+    key.toString('base64')
+  ].join('$');
+}
+
+// Check a password against a stored hash.
+// `needsRehash` is true when the stored hash is legacy or uses outdated parameters.
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    const valid = crypto.timingSafeEqual(
+      Buffer.from(sha256(password), 'hex'),
+      Buffer.from(storedHash.toLowerCase(), 'hex')
+    );
+    return { valid, needsRehash: valid };
+  }
+
+  const parts = storedHash.split('$');
+  if (parts.length !== 7 || parts[0] !== ALGORITHM) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const [, version, N, r, p, saltBase64, keyBase64] = parts;
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(keyBase64, 'base64');
+  const actual = await deriveKey(password, Buffer.from(saltBase64, 'base64'), params);
+
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  const outdated = Number(version) !== VERSION ||
+    params.N !== SCRYPT_PARAMS.N ||
+    params.r !== SCRYPT_PARAMS.r ||
+    params.p !== SCRYPT_PARAMS.p;
+
+  return { valid, needsRehash: valid && outdated };
+}
+
+// Same rules the client shows under "Password Requirements"
+function checkPasswordRequirements(password) {
+  const value = typeof password === 'string' ? password : '';
+  const unmet = [];
+  if (value.length < 10) unmet.push('At least 10 characters');
+  if (!/[A-Z]/.test(value)) unmet.push('At least 1 uppercase character');
+  if (!/[a-z]/.test(value)) unmet.push('At least 1 lowercase character');
+  if (!/[0-9]/.test(value)) unmet.push('At least 1 number');
+  if (!/[^A-Za-z0-9]/.test(value)) unmet.push('At least 1 special character');
+  return unmet;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  checkPasswordRequirements
+};
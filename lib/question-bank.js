@@ -0,0 +1,484 @@
+// question-bank.js - Authoring, validation and JSON/CSV import/export of questions.
+//
+// Interchange format (JSON), also used by data/seed-questions.json:
+//   { "questions": [ { "id": 12, "category": "...", "difficulty": "easy|medium|hard",
+//                      "type": "multiple_choice", "format": null,
+//                      "text": "...", "explanation": "...", "tags": ["email"], "retired": false,
+//                      "answers": [ { "text": "...", "correct": true, "explanation": "..." }, ... ],
+//                      "translations": { "da": { "text": "...", "explanation": "...",
+//                                                "answers": [ { "text": "...", "explanation": "..." } ] } } } ] }
+// "id" is optional: questions with an ID update that question, the rest are created.
+// "translations" is optional and keyed by locale (see question-translations.js); locales left out
+// keep their stored text and a locale set to null is removed.
+// "type" is one of the types in question-types.js (multiple_choice when left out); red_flags
+// questions also need a "format" ("email" or "sms") and list the parts of the message as answers.
+//
+// CSV format: one question per row with the header
+//   id,category,difficulty,text,tags,answer_a,answer_b,answer_c,answer_d,correct,retired,
+//   explanation,explanation_a,explanation_b,explanation_c,explanation_d,type
+// where tags are separated by ';', correct is the letter of the correct answer (a-d, or several
+// letters separated by ';' for multi_select) and retired is true/false. The id, retired,
+// explanation and type columns are optional. Questions that don't fit in four answer columns
+// (red_flags, multi_select with more than four answers) are JSON only and left out of CSV exports.
+// Translations go in extra columns named after the English ones plus the locale: text_da,
+// explanation_da, answer_a_da ... answer_d_da, explanation_a_da ... explanation_d_da.
+const storage = require('./storage');
+const { DIFFICULTY_POINTS } = require('./game-sessions');
+const questionTypes = require('./question-types');
+const questionTranslations = require('./question-translations');
+const { csvField, parseCsv } = require('./csv');
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_POINTS);
+const ANSWER_LETTERS = ['a', 'b', 'c', 'd'];
+const CSV_COLUMNS = [
+  'id', 'category', 'difficulty', 'text', 'tags',
+  'answer_a', 'answer_b', 'answer_c', 'answer_d', 'correct', 'retired',
+  'explanation', 'explanation_a', 'explanation_b', 'explanation_c', 'explanation_d', 'type'
+];
+const OPTIONAL_CSV_COLUMNS = ['id', 'retired', 'explanation', 'explanation_a', 'explanation_b', 'explanation_c', 'explanation_d', 'type'];
+// English column names that have a translated column (<name>_<locale>)
+const TRANSLATED_CSV_COLUMNS = [
+  'text', 'explanation',
+  ...ANSWER_LETTERS.map(letter => `answer_${letter}`),
+  ...ANSWER_LETTERS.map(letter => `explanation_${letter}`)
+];
+const TRANSLATED_CSV_COLUMN = /^(text|explanation|answer_[a-d]|explanation_[a-d])_([a-z]{2,3}(?:-[a-z0-9]{2,8})?)$/;
+
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_TAG_LENGTH = 30;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Tags may come back from the database as a JSON string
+function parseTags(tags) {
+  if (typeof tags === 'string') {
+    try {
+      tags = JSON.parse(tags);
+    } catch (error) {
+      tags = tags.split(/[;,]/);
+    }
+  }
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(tag => cleanText(String(tag)).toLowerCase()).filter(Boolean))];
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes'].includes(cleanText(String(value === undefined || value === null ? '' : value)).toLowerCase());
+}
+
+// The parts of a red-flags message keep their spacing and line breaks, so they join up into the message
+function messagePart(value) {
+  return typeof value === 'string' ? value.replace(/\r\n/g, '\n') : '';
+}
+
+// Bring authored input into the interchange shape
+function normalizeQuestion(input) {
+  const id = input.id === undefined || input.id === null || input.id === '' ? null : Number(input.id);
+  const type = cleanText(input.type).toLowerCase() || questionTypes.DEFAULT_TYPE;
+  return {
+    id: id,
+    category: cleanText(input.category),
+    difficulty: cleanText(input.difficulty).toLowerCase(),
+    type: type,
+    format: cleanText(input.format).toLowerCase() || null,
+    text: cleanText(input.text),
+    explanation: cleanText(input.explanation),
+    tags: parseTags(input.tags),
+    retired: parseBoolean(input.retired),
+    answers: (Array.isArray(input.answers) ? input.answers : []).map(answer => ({
+      text: type === 'red_flags' ? messagePart(answer && answer.text) : cleanText(answer && answer.text),
+      correct: parseBoolean(answer && answer.correct),
+      explanation: cleanText(answer && answer.explanation)
+    })),
+    translations: questionTranslations.normalizeTranslations(input.translations, type)
+  };
+}
+
+// List what is wrong with a normalized question (empty when it is valid)
+function validateQuestion(question) {
+  const errors = [];
+
+  if (question.id !== null && !(Number.isInteger(question.id) && question.id > 0)) {
+    errors.push('id must be a positive whole number');
+  }
+  if (!question.category) errors.push('category is required');
+  if (question.category.length > MAX_CATEGORY_LENGTH) errors.push(`category must be at most ${MAX_CATEGORY_LENGTH} characters`);
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!question.text) errors.push('text is required');
+  if (question.tags.some(tag => tag.length > MAX_TAG_LENGTH)) errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters`);
+
+  // Number of answers and correct answers depend on the question type
+  errors.push(...questionTypes.validateAnswers(question));
+  errors.push(...questionTranslations.validateTranslations(question));
+
+  return errors;
+}
+
+// Shape stored rows for authors (includes the correct answers - never send this to players)
+function formatQuestion(row, answers) {
+  return {
+    id: row.QuestionID,
+    category: row.Category,
+    difficulty: row.Difficulty,
+    type: questionTypes.typeOf(row),
+    format: row.Format || null,
+    text: row.QuestionText,
+    explanation: row.Explanation || '',
+    tags: parseTags(row.Tags),
+    retired: Boolean(row.Retired),
+    updatedAt: row.UpdatedAt || null,
+    answers: answers
+      .filter(answer => answer.QuestionID === row.QuestionID)
+      .sort((a, b) => a.AnswerID - b.AnswerID)
+      .map(answer => ({
+        id: answer.AnswerID,
+        text: answer.AnswerText,
+        correct: Boolean(answer.isCorrect),
+        explanation: answer.Explanation || ''
+      }))
+  };
+}
+
+// Questions for the authoring screen and exports. Filter by category, tag and retired state.
+async function listQuestions({ category, tag, includeRetired = true } = {}) {
+  const where = {};
+  if (category) where.Category = category;
+  if (!includeRetired) where.Retired = false;
+
+  const rows = await storage.select('Question', {
+    where: where,
+    order: [{ column: 'QuestionID', ascending: true }]
+  });
+  const answers = rows.length > 0
+    ? await storage.select('Answer', { where: { QuestionID: { in: rows.map(row => row.QuestionID) } } })
+    : [];
+
+  const questions = rows.map(row => formatQuestion(row, answers));
+  const wantedTag = tag ? cleanText(tag).toLowerCase() : null;
+  return withTranslations(wantedTag ? questions.filter(question => question.tags.includes(wantedTag)) : questions);
+}
+
+async function getQuestion(questionId) {
+  const [row] = await storage.select('Question', { where: { QuestionID: questionId }, limit: 1 });
+  if (!row) return null;
+  const answers = await storage.select('Answer', { where: { QuestionID: questionId } });
+  const [question] = await withTranslations([formatQuestion(row, answers)]);
+  return question;
+}
+
+// Add each question's translations ({ locale: { text, explanation, answers } })
+async function withTranslations(questions) {
+  const translations = await questionTranslations.getTranslations(questions);
+  return questions.map(question => ({ ...question, translations: translations[question.id] || {} }));
+}
+
+// Save the translations that came with a question, matched to its answers by position
+async function saveTranslations(questionId, translations) {
+  if (!translations) return;
+  const answers = await storage.select('Answer', { columns: 'AnswerID', where: { QuestionID: questionId } });
+  const answerIds = answers.map(answer => answer.AnswerID).sort((a, b) => a - b);
+  await questionTranslations.saveTranslations(questionId, answerIds, translations);
+}
+
+function toQuestionRow(question) {
+  return {
+    QuestionText: question.text,
+    Difficulty: question.difficulty,
+    Category: question.category,
+    Type: question.type,
+    Format: question.type === 'red_flags' ? question.format : null,
+    Explanation: question.explanation || null,
+    Tags: question.tags,
+    Retired: question.retired,
+    UpdatedAt: new Date().toISOString()
+  };
+}
+
+async function insertAnswers(questionId, answers) {
+  await storage.insert('Answer', answers.map(answer => ({
+    QuestionID: questionId,
+    AnswerText: answer.text,
+    isCorrect: answer.correct,
+    Explanation: answer.explanation || null
+  })));
+}
+
+// Create a question with its answers. Returns { question } or { errors }.
+async function createQuestion(input) {
+  const question = normalizeQuestion({ ...input, id: null });
+  const errors = validateQuestion(question);
+  if (errors.length > 0) return { errors };
+
+  const [saved] = await storage.insert('Question', [toQuestionRow(question)]);
+  await insertAnswers(saved.QuestionID, question.answers);
+  await saveTranslations(saved.QuestionID, question.translations);
+
+  return { question: await getQuestion(saved.QuestionID) };
+}
+
+// Replace a question's text, settings and answers. Returns { question }, { errors } or { error }.
+// Translations are only changed when the input has some. Games already running keep their own
+// copy of the question.
+async function updateQuestion(questionId, input) {
+  const question = normalizeQuestion({ ...input, id: questionId });
+  const errors = validateQuestion(question);
+  if (errors.length > 0) return { errors };
+
+  const [updated] = await storage.update('Question', toQuestionRow(question), { QuestionID: question.id });
+  if (!updated) return { error: 'Question not found' };
+
+  // Update answers in place so their IDs stay the same; add or remove any difference
+  const existing = (await storage.select('Answer', { where: { QuestionID: question.id } }))
+    .sort((a, b) => a.AnswerID - b.AnswerID);
+  for (let i = 0; i < question.answers.length; i++) {
+    const answer = question.answers[i];
+    if (existing[i]) {
+      await storage.update('Answer', {
+        AnswerText: answer.text,
+        isCorrect: answer.correct,
+        Explanation: answer.explanation || null
+      }, { AnswerID: existing[i].AnswerID });
+    } else {
+      await insertAnswers(question.id, [answer]);
+    }
+  }
+  for (const extra of existing.slice(question.answers.length)) {
+    await storage.remove('Answer', { AnswerID: extra.AnswerID });
+    await questionTranslations.removeAnswerTranslations(extra.AnswerID);
+  }
+  await saveTranslations(question.id, question.translations);
+
+  return { question: await getQuestion(question.id) };
+}
+
+// Retired questions stay in the database (and in exports) but are no longer used in games
+async function setRetired(questionId, retired) {
+  const [updated] = await storage.update('Question', {
+    Retired: Boolean(retired),
+    UpdatedAt: new Date().toISOString()
+  }, { QuestionID: questionId });
+  if (!updated) return { error: 'Question not found' };
+  return { question: await getQuestion(questionId) };
+}
+
+// CSV
+
+// Whether a question can be written as one CSV row
+function fitsCsv(question) {
+  return question.type !== 'red_flags' && question.answers.length <= ANSWER_LETTERS.length;
+}
+
+function toCsv(questions) {
+  const rows = questions.filter(fitsCsv);
+  const locales = [...new Set(rows.flatMap(question => Object.keys(question.translations)))].sort();
+  const header = [
+    ...CSV_COLUMNS,
+    ...locales.flatMap(locale => TRANSLATED_CSV_COLUMNS.map(name => `${name}_${locale}`))
+  ];
+
+  const lines = [header.join(',')];
+  rows.forEach(question => {
+    const correctLetters = question.answers
+      .map((answer, i) => answer.correct ? ANSWER_LETTERS[i] : null)
+      .filter(Boolean);
+    lines.push([
+      question.id,
+      question.category,
+      question.difficulty,
+      question.text,
+      question.tags.join(';'),
+      ...ANSWER_LETTERS.map((letter, i) => question.answers[i] ? question.answers[i].text : ''),
+      correctLetters.join(';'),
+      question.retired,
+      question.explanation,
+      ...ANSWER_LETTERS.map((letter, i) => question.answers[i] ? question.answers[i].explanation : ''),
+      question.type,
+      ...locales.flatMap(locale => translationCsvFields(question.translations[locale]))
+    ].map(csvField).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// The translated columns of one locale, in TRANSLATED_CSV_COLUMNS order
+function translationCsvFields(translation) {
+  if (!translation) return TRANSLATED_CSV_COLUMNS.map(() => '');
+  const answer = (i, field) => translation.answers[i] ? translation.answers[i][field] : '';
+  return [
+    translation.text,
+    translation.explanation,
+    ...ANSWER_LETTERS.map((letter, i) => answer(i, 'text')),
+    ...ANSWER_LETTERS.map((letter, i) => answer(i, 'explanation'))
+  ];
+}
+
+// Turn CSV rows into interchange questions
+function fromCsv(content) {
+  const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+  if (!header) return { questions: [], errors: ['The file is empty'] };
+
+  const columns = header.map(name => cleanText(name).toLowerCase());
+  const missing = CSV_COLUMNS.filter(name => !OPTIONAL_CSV_COLUMNS.includes(name) && !columns.includes(name));
+  if (missing.length > 0) {
+    return { questions: [], errors: [`Missing CSV columns: ${missing.join(', ')}`] };
+  }
+
+  const locales = [...new Set(columns
+    .map(name => TRANSLATED_CSV_COLUMN.exec(name))
+    .filter(Boolean)
+    .map(match => match[2]))];
+
+  const questions = rows.map(fields => {
+    const value = name => columns.includes(name) ? fields[columns.indexOf(name)] : '';
+    const correct = cleanText(value('correct')).toLowerCase().split(';').map(letter => letter.trim());
+    const letters = ANSWER_LETTERS.filter(letter => cleanText(value(`answer_${letter}`)) !== '' || correct.includes(letter));
+
+    // Locales whose columns are all empty in this row keep their stored translation
+    const translations = {};
+    locales.forEach(locale => {
+      const translation = {
+        text: value(`text_${locale}`),
+        explanation: value(`explanation_${locale}`),
+        answers: letters.map(letter => ({
+          text: value(`answer_${letter}_${locale}`),
+          explanation: value(`explanation_${letter}_${locale}`)
+        }))
+      };
+      const cells = [translation.text, translation.explanation, ...translation.answers.flatMap(answer => [answer.text, answer.explanation])];
+      if (cells.some(cell => cleanText(cell) !== '')) {
+        translations[locale] = translation;
+      }
+    });
+
+    return {
+      id: value('id'),
+      category: value('category'),
+      difficulty: value('difficulty'),
+      type: value('type'),
+      text: value('text'),
+      explanation: value('explanation'),
+      tags: cleanText(value('tags')).split(';'),
+      retired: value('retired'),
+      answers: letters.map(letter => ({
+        text: value(`answer_${letter}`),
+        correct: correct.includes(letter),
+        explanation: value(`explanation_${letter}`)
+      })),
+      translations: translations
+    };
+  });
+
+  return { questions, errors: [] };
+}
+
+function fromJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { questions: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    return { questions: [], errors: ['Expected an object with a "questions" list'] };
+  }
+  return { questions, errors: [] };
+}
+
+// Export the question bank as 'json' or 'csv' text
+async function exportQuestions(format = 'json', filters = {}) {
+  const questions = await listQuestions(filters);
+  if (format === 'csv') return toCsv(questions);
+
+  return JSON.stringify({
+    questions: questions.map(question => ({
+      id: question.id,
+      category: question.category,
+      difficulty: question.difficulty,
+      type: question.type,
+      format: question.format,
+      text: question.text,
+      explanation: question.explanation,
+      tags: question.tags,
+      retired: question.retired,
+      answers: question.answers.map(answer => ({
+        text: answer.text,
+        correct: answer.correct,
+        explanation: answer.explanation
+      })),
+      translations: question.translations
+    }))
+  }, null, 2) + '\n';
+}
+
+// Import 'json' or 'csv' text. Nothing is saved unless every question is valid.
+// Returns { created, updated, errors } where errors name the question number (1-based).
+async function importQuestions(content, format = 'json') {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { created: 0, updated: 0, errors: ['The file is empty'] };
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return { created: 0, updated: 0, errors: ['Format must be json or csv'] };
+  }
+
+  const parsed = format === 'csv' ? fromCsv(content) : fromJson(content);
+  if (parsed.errors.length > 0) {
+    return { created: 0, updated: 0, errors: parsed.errors };
+  }
+
+  const questions = parsed.questions.map(normalizeQuestion);
+  const errors = [];
+  questions.forEach((question, i) => {
+    validateQuestion(question).forEach(error => errors.push(`Question ${i + 1}: ${error}`));
+  });
+
+  // Questions with an ID must already exist
+  const ids = questions.filter(question => question.id !== null).map(question => question.id);
+  if (errors.length === 0 && ids.length > 0) {
+    const existing = await storage.select('Question', { columns: 'QuestionID', where: { QuestionID: { in: ids } } });
+    const found = new Set(existing.map(row => row.QuestionID));
+    questions.forEach((question, i) => {
+      if (question.id !== null && !found.has(question.id)) {
+        errors.push(`Question ${i + 1}: no question with id ${question.id}`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { created: 0, updated: 0, errors };
+  }
+
+  let created = 0;
+  let updated = 0;
+  for (const question of questions) {
+    if (question.id === null) {
+      await createQuestion(question);
+      created++;
+    } else {
+      await updateQuestion(question.id, question);
+      updated++;
+    }
+  }
+
+  return { created, updated, errors: [] };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  CSV_COLUMNS,
+  normalizeQuestion,
+  validateQuestion,
+  listQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  setRetired,
+  parseCsv,
+  exportQuestions,
+  importQuestions
+};
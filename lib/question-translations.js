@@ -0,0 +1,225 @@
+// question-translations.js - Question and answer text in other languages.
+//
+// Question and Answer rows hold the English text. QuestionTranslation and AnswerTranslation rows
+// hold the text for another locale ('da', 'pt-br'); any field a translation leaves empty is shown
+// in English. Players get their questions in the language they picked (User.Language).
+//
+// Interchange shape (see question-bank.js), answers in the same order as the English ones:
+//   "translations": { "da": { "text": "...", "explanation": "...",
+//                             "answers": [ { "text": "...", "explanation": "..." }, ... ] } }
+// An import that sets a locale to null removes that translation.
+const storage = require('./storage');
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// 'da', 'DA_dk' -> 'da', 'da-dk'; null when it isn't a language tag
+function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const locale = value.trim().toLowerCase().replace('_', '-');
+  return LOCALE_PATTERN.test(locale) ? locale : null;
+}
+
+// The locales to look in, most specific first ('da-dk' -> ['da-dk', 'da'])
+function lookupOrder(locale) {
+  const base = locale.split('-')[0];
+  return base === locale ? [locale] : [locale, base];
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// The first translated value of `field` in locale order, else the English one
+function translatedField(rows, locales, field, english) {
+  for (const locale of locales) {
+    const row = rows.find(candidate => candidate.Locale === locale);
+    if (row && row[field]) return row[field];
+  }
+  return english;
+}
+
+// Copies of game questions (storage.getQuestionsByCategory and friends) with their text in `locale`
+async function localizeQuestions(questions, locale) {
+  const wanted = normalizeLocale(locale);
+  if (!wanted || questions.length === 0) return questions;
+
+  const locales = lookupOrder(wanted);
+  if (locales.includes(DEFAULT_LOCALE)) return questions;
+
+  const where = {
+    QuestionID: { in: questions.map(question => question.QuestionID) },
+    Locale: { in: locales }
+  };
+  const [questionRows, answerRows] = await Promise.all([
+    storage.select('QuestionTranslation', { where }),
+    storage.select('AnswerTranslation', { where })
+  ]);
+  if (questionRows.length === 0 && answerRows.length === 0) return questions;
+
+  return questions.map(question => {
+    const rows = questionRows.filter(row => row.QuestionID === question.QuestionID);
+    return {
+      ...question,
+      QuestionText: translatedField(rows, locales, 'QuestionText', question.QuestionText),
+      Explanation: translatedField(rows, locales, 'Explanation', question.Explanation),
+      answers: question.answers.map(answer => {
+        const ownRows = answerRows.filter(row => row.AnswerID === answer.AnswerID);
+        return {
+          ...answer,
+          AnswerText: translatedField(ownRows, locales, 'AnswerText', answer.AnswerText),
+          Explanation: translatedField(ownRows, locales, 'Explanation', answer.Explanation)
+        };
+      })
+    };
+  });
+}
+
+// Translations of authoring questions (question-bank.formatQuestion) in the interchange shape,
+// as questionId -> { locale: { text, explanation, answers } }
+async function getTranslations(questions) {
+  if (questions.length === 0) return {};
+
+  const where = { QuestionID: { in: questions.map(question => question.id) } };
+  const [questionRows, answerRows] = await Promise.all([
+    storage.select('QuestionTranslation', { where, order: [{ column: 'Locale', ascending: true }] }),
+    storage.select('AnswerTranslation', { where })
+  ]);
+
+  const byQuestion = {};
+  questions.forEach(question => {
+    const locales = [...new Set([...questionRows, ...answerRows]
+      .filter(row => row.QuestionID === question.id)
+      .map(row => row.Locale))].sort();
+
+    byQuestion[question.id] = {};
+    locales.forEach(locale => {
+      const row = questionRows.find(candidate => candidate.QuestionID === question.id && candidate.Locale === locale);
+      byQuestion[question.id][locale] = {
+        text: row ? row.QuestionText || '' : '',
+        explanation: row ? row.Explanation || '' : '',
+        answers: question.answers.map(answer => {
+          const answerRow = answerRows.find(candidate => candidate.AnswerID === answer.id && candidate.Locale === locale);
+          return {
+            text: answerRow ? answerRow.AnswerText || '' : '',
+            explanation: answerRow ? answerRow.Explanation || '' : ''
+          };
+        })
+      };
+    });
+  });
+  return byQuestion;
+}
+
+// Bring authored translations into the interchange shape. Returns undefined when the input
+// has none, so saving a question without them leaves its stored translations alone.
+// Red-flags answers keep their spacing like the English message parts.
+function normalizeTranslations(input, type) {
+  if (input === undefined || input === null) return undefined;
+  if (typeof input !== 'object' || Array.isArray(input)) return { invalid: true };
+
+  const translations = {};
+  Object.keys(input).forEach(key => {
+    const entry = input[key];
+    const locale = normalizeLocale(key) || key;
+    if (entry === null) {
+      translations[locale] = null;
+      return;
+    }
+    translations[locale] = {
+      text: cleanText(entry && entry.text),
+      explanation: cleanText(entry && entry.explanation),
+      answers: (entry && Array.isArray(entry.answers) ? entry.answers : []).map(answer => ({
+        text: type === 'red_flags'
+          ? (typeof (answer && answer.text) === 'string' ? answer.text.replace(/\r\n/g, '\n') : '')
+          : cleanText(answer && answer.text),
+        explanation: cleanText(answer && answer.explanation)
+      }))
+    };
+  });
+  return translations;
+}
+
+// List what is wrong with a normalized question's translations (empty when they are valid)
+function validateTranslations(question) {
+  const translations = question.translations;
+  if (translations === undefined) return [];
+  if (translations.invalid) return ['translations must be an object of locale -> translation'];
+
+  const errors = [];
+  Object.keys(translations).forEach(locale => {
+    if (!normalizeLocale(locale)) {
+      errors.push(`translations: "${locale}" is not a language code (like "da" or "pt-br")`);
+      return;
+    }
+    if (lookupOrder(locale).includes(DEFAULT_LOCALE)) {
+      errors.push(`translations: ${locale} is the language of the question itself`);
+      return;
+    }
+
+    const translation = translations[locale];
+    if (translation === null) return;
+    if (!translation.text) errors.push(`translations.${locale}: text is required`);
+    if (translation.answers.length > 0 && translation.answers.length !== question.answers.length) {
+      errors.push(`translations.${locale}: has ${translation.answers.length} answers, the question has ${question.answers.length}`);
+    }
+  });
+  return errors;
+}
+
+// Save validated translations for a question. `answerIds` are its answers in order.
+// Locales set to null are removed; other stored locales are left as they are.
+async function saveTranslations(questionId, answerIds, translations) {
+  if (!translations) return;
+
+  for (const locale of Object.keys(translations)) {
+    const translation = translations[locale];
+    if (translation === null) {
+      await removeTranslations(questionId, locale);
+      continue;
+    }
+
+    await storage.upsert('QuestionTranslation', {
+      QuestionID: questionId,
+      Locale: locale,
+      QuestionText: translation.text,
+      Explanation: translation.explanation || null
+    }, ['QuestionID', 'Locale']);
+
+    for (let i = 0; i < answerIds.length; i++) {
+      const answer = translation.answers[i];
+      if (answer && (answer.text || answer.explanation)) {
+        await storage.upsert('AnswerTranslation', {
+          AnswerID: answerIds[i],
+          Locale: locale,
+          QuestionID: questionId,
+          AnswerText: answer.text || null,
+          Explanation: answer.explanation || null
+        }, ['AnswerID', 'Locale']);
+      } else {
+        await storage.remove('AnswerTranslation', { AnswerID: answerIds[i], Locale: locale });
+      }
+    }
+  }
+}
+
+async function removeTranslations(questionId, locale) {
+  await storage.remove('QuestionTranslation', { QuestionID: questionId, Locale: locale });
+  await storage.remove('AnswerTranslation', { QuestionID: questionId, Locale: locale });
+}
+
+// Drop the translations of an answer that was removed from its question
+async function removeAnswerTranslations(answerId) {
+  await storage.remove('AnswerTranslation', { AnswerID: answerId });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  localizeQuestions,
+  getTranslations,
+  normalizeTranslations,
+  validateTranslations,
+  saveTranslations,
+  removeAnswerTranslations
+};
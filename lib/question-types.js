@@ -0,0 +1,105 @@
+// question-types.js - The kinds of question a game can ask, with their authoring rules and grading.
+//
+//   multiple_choice  4 answers, exactly one correct. Full points for the correct answer.
+//   true_false       2 answers (e.g. "True" / "False"), exactly one correct. Full points or none.
+//   multi_select     "Choose all that apply": 3-8 answers, at least one correct. Each correct
+//                    choice earns its share of the points and each wrong choice takes a share away.
+//   red_flags        "Spot the red flags": the answers are the pieces of a mock email or SMS in
+//                    reading order; the correct ones are the suspicious parts. Scored like
+//                    multi_select, with the player's clicks as the chosen answers.
+//
+// Single-answer types are submitted with one answer ID, the others with a list of answer IDs.
+// A multi-answer question only counts as correct when the chosen set matches exactly.
+
+const DEFAULT_TYPE = 'multiple_choice';
+const MESSAGE_FORMATS = ['email', 'sms'];
+
+const TYPES = {
+  multiple_choice: { label: 'Multiple choice', multipleAnswers: false, minAnswers: 4, maxAnswers: 4 },
+  true_false: { label: 'True or false', multipleAnswers: false, minAnswers: 2, maxAnswers: 2 },
+  multi_select: { label: 'Choose all that apply', multipleAnswers: true, minAnswers: 3, maxAnswers: 8 },
+  red_flags: { label: 'Spot the red flags', multipleAnswers: true, minAnswers: 3, maxAnswers: 20 }
+};
+
+function typeOf(question) {
+  const type = question.Type || question.type;
+  return TYPES[type] ? type : DEFAULT_TYPE;
+}
+
+// Authoring checks for the answers of a normalized question (see question-bank.js)
+function validateAnswers(question) {
+  const errors = [];
+  const type = TYPES[question.type];
+  if (!type) {
+    return [`type must be one of: ${Object.keys(TYPES).join(', ')}`];
+  }
+
+  const count = question.answers.length;
+  if (type.minAnswers === type.maxAnswers && count !== type.minAnswers) {
+    errors.push(`exactly ${type.minAnswers} answers are required`);
+  } else if (count < type.minAnswers || count > type.maxAnswers) {
+    errors.push(`between ${type.minAnswers} and ${type.maxAnswers} answers are required`);
+  }
+  if (question.answers.some(answer => !answer.text.trim())) errors.push('every answer needs text');
+
+  const correctCount = question.answers.filter(answer => answer.correct).length;
+  if (!type.multipleAnswers && correctCount !== 1) {
+    errors.push(`exactly one answer must be correct (found ${correctCount})`);
+  }
+  if (type.multipleAnswers && correctCount === 0) {
+    errors.push(question.type === 'red_flags'
+      ? 'at least one part of the message must be a red flag'
+      : 'at least one answer must be correct');
+  }
+
+  if (question.type === 'red_flags' && !MESSAGE_FORMATS.includes(question.format)) {
+    errors.push(`format must be one of: ${MESSAGE_FORMATS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Turn a submitted answer (one ID or a list) into a list of distinct answer IDs
+function chosenAnswerIds(submitted) {
+  const list = Array.isArray(submitted) ? submitted : [submitted];
+  return [...new Set(list.filter(id => id !== undefined && id !== null))];
+}
+
+// Grade a submission for a stored question (with answers). `points` is the full value of the
+// question. Returns { correct, points, answerIds } or { error }.
+function grade(question, submitted, points) {
+  const type = TYPES[typeOf(question)];
+  const answerIds = chosenAnswerIds(submitted);
+
+  if (!type.multipleAnswers && (Array.isArray(submitted) || answerIds.length !== 1)) {
+    return { error: 'Choose one answer' };
+  }
+  if (type.multipleAnswers && !Array.isArray(submitted)) {
+    return { error: 'Send the chosen answers as a list' };
+  }
+  if (answerIds.some(id => !question.answers.some(answer => answer.AnswerID === id))) {
+    return { error: 'Answer is not part of this question' };
+  }
+
+  const correctIds = question.answers.filter(answer => answer.isCorrect).map(answer => answer.AnswerID);
+  const hits = answerIds.filter(id => correctIds.includes(id)).length;
+  const misses = answerIds.length - hits;
+  const correct = hits === correctIds.length && misses === 0;
+
+  if (!type.multipleAnswers) {
+    return { correct, points: correct ? points : 0, answerIds };
+  }
+
+  // Partial credit: share of the flags/answers found, minus a share for every wrong pick
+  const earned = correctIds.length > 0 ? Math.max(0, (hits - misses) / correctIds.length) : 0;
+  return { correct, points: Math.round(points * earned), answerIds };
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  MESSAGE_FORMATS,
+  TYPES,
+  typeOf,
+  validateAnswers,
+  grade
+};
@@ -0,0 +1,28 @@
+// roles.js - Account roles stored in User.Role ('player', 'instructor', 'moderator' or 'admin')
+const storage = require('./storage');
+
+const ROLES = {
+  PLAYER: 'player',
+  INSTRUCTOR: 'instructor',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+// Current role of a signed-in player. Guests are always players.
+// Read from the database each time so a changed role applies without logging in again.
+async function getRole(identity) {
+  if (!identity || identity.isGuest) return ROLES.PLAYER;
+  const user = await storage.findUserById(identity.userId);
+  return (user && user.Role) || ROLES.PLAYER;
+}
+
+// Whether a signed-in player has one of the given roles
+async function hasRole(identity, roles) {
+  return roles.includes(await getRole(identity));
+}
+
+module.exports = {
+  ROLES,
+  getRole,
+  hasRole
+};
@@ -0,0 +1,96 @@
+// spaced-repetition.js - Answer history and the "review my mistakes" schedule for registered players.
+//
+// Every answered question is stored in QuestionAttempt. ReviewSchedule keeps one row per player and
+// question in a Leitner box: a wrong answer puts the question back in box 0 (due straight away),
+// a right answer moves it up one box and it comes back after that box's interval.
+const storage = require('./storage');
+
+// Days until a question in each box is due again (the last box repeats)
+const BOX_INTERVAL_DAYS = [0, 1, 3, 7, 14, 30];
+
+// Longest review round, and the category name review rounds are shown under
+const REVIEW_ROUND_SIZE = 10;
+const REVIEW_CATEGORY = 'Review my mistakes';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dueDate(box, from) {
+  return new Date(from + BOX_INTERVAL_DAYS[box] * DAY_MS).toISOString();
+}
+
+// Store one answer and reschedule the question for this player
+async function recordAnswer(userId, { questionId, answerId, correct }) {
+  const now = Date.now();
+  const answeredAt = new Date(now).toISOString();
+
+  await storage.insert('QuestionAttempt', [{
+    UserID: userId,
+    QuestionID: questionId,
+    AnswerID: answerId,
+    Correct: correct,
+    AnsweredAt: answeredAt
+  }]);
+
+  const [scheduled] = await storage.select('ReviewSchedule', {
+    where: { UserID: userId, QuestionID: questionId },
+    limit: 1
+  });
+  const box = correct
+    ? Math.min((scheduled ? scheduled.Box : 0) + 1, BOX_INTERVAL_DAYS.length - 1)
+    : 0;
+
+  await storage.upsert('ReviewSchedule', {
+    UserID: userId,
+    QuestionID: questionId,
+    Box: box,
+    LastCorrect: correct,
+    LastAnsweredAt: answeredAt,
+    DueAt: dueDate(box, now)
+  }, ['UserID', 'QuestionID']);
+
+  return { box };
+}
+
+// Scheduled questions that are due, missed ones first, then the longest overdue
+async function getDueItems(userId) {
+  const rows = await storage.select('ReviewSchedule', {
+    where: { UserID: userId, DueAt: { lte: new Date().toISOString() } },
+    order: [{ column: 'DueAt', ascending: true }]
+  });
+  return rows.sort((a, b) => Number(Boolean(a.LastCorrect)) - Number(Boolean(b.LastCorrect)));
+}
+
+// Counts for the profile screen
+async function getSummary(userId) {
+  const [due, scheduled] = await Promise.all([
+    buildReviewRound(userId, Infinity),
+    storage.count('ReviewSchedule', { where: { UserID: userId } })
+  ]);
+  return {
+    due: due.length,
+    roundSize: Math.min(due.length, REVIEW_ROUND_SIZE),
+    scheduled: scheduled
+  };
+}
+
+// Questions for the next review round (retired questions are skipped), in schedule order
+async function buildReviewRound(userId, limit = REVIEW_ROUND_SIZE) {
+  const due = await getDueItems(userId);
+  const questions = await storage.getQuestionsByIds(due.map(row => row.QuestionID));
+  const byId = new Map(questions.map(question => [question.QuestionID, question]));
+
+  return due
+    .map(row => byId.get(row.QuestionID))
+    .filter(Boolean)
+    .slice(0, limit);
+}
+
+module.exports = {
+  BOX_INTERVAL_DAYS,
+  REVIEW_ROUND_SIZE,
+  REVIEW_CATEGORY,
+  recordAnswer,
+  getDueItems,
+  getSummary,
+  buildReviewRound
+};
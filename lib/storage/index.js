@@ -0,0 +1,189 @@
+// storage/index.js - Storage interface used by the game server.
+// Pick the backend with STORAGE_DRIVER (supabase | mysql). Every adapter exposes the same
+// table operations (select, count, insert, update, upsert, remove); the functions below
+// build the game's users, questions, leaderboard and stats on top of them.
+const fs = require('fs');
+const path = require('path');
+const { createSupabaseAdapter } = require('./supabase');
+const { createMySqlAdapter } = require('./mysql');
+
+const SEED_QUESTIONS_FILE = path.join(__dirname, '..', '..', 'data', 'seed-questions.json');
+
+const adapters = {
+  supabase: createSupabaseAdapter,
+  mysql: createMySqlAdapter
+};
+
+let adapter = null;
+
+// Create the configured adapter, set up its schema and seed an empty local question bank
+async function init(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+  if (!adapters[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  adapter = options.adapter || adapters[driver](options);
+  await adapter.init();
+
+  if (adapter.name !== 'supabase' && await adapter.count('Question') === 0) {
+    await seedQuestions();
+  }
+
+  return adapter;
+}
+
+function getAdapter() {
+  if (!adapter) throw new Error('Storage has not been initialized');
+  return adapter;
+}
+
+// Load the starter question bank into an empty database
+async function seedQuestions(file = SEED_QUESTIONS_FILE) {
+  const { questions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const question of questions) {
+    const [saved] = await getAdapter().insert('Question', [{
+      QuestionText: question.text,
+      Difficulty: question.difficulty,
+      Category: question.category,
+      Type: question.type || 'multiple_choice',
+      Format: question.format || null,
+      Explanation: question.explanation || null,
+      Tags: question.tags || [],
+      Retired: false
+    }]);
+
+    await getAdapter().insert('Answer', question.answers.map(answer => ({
+      QuestionID: saved.QuestionID,
+      AnswerText: answer.text,
+      isCorrect: Boolean(answer.correct),
+      Explanation: answer.explanation || null
+    })));
+  }
+
+  console.log(`Seeded ${questions.length} questions`);
+}
+
+// Generic table operations, for modules that need more than the helpers below
+const select = (table, query) => getAdapter().select(table, query);
+const count = (table, query) => getAdapter().count(table, query);
+const insert = (table, rows) => getAdapter().insert(table, rows);
+const update = (table, values, where) => getAdapter().update(table, values, where);
+const upsert = (table, row, conflictColumns) => getAdapter().upsert(table, row, conflictColumns);
+const remove = (table, where) => getAdapter().remove(table, where);
+
+// Users
+
+async function findUserByUsername(username) {
+  const [user] = await select('User', { where: { Username: username }, limit: 1 });
+  return user || null;
+}
+
+async function findUserById(userId) {
+  const [user] = await select('User', { where: { UserID: userId }, limit: 1 });
+  return user || null;
+}
+
+async function createUser(user) {
+  const [created] = await insert('User', [user]);
+  return created;
+}
+
+async function updateUser(userId, updates) {
+  const [updated] = await update('User', updates, { UserID: userId });
+  return updated || null;
+}
+
+// Questions and answers
+
+// Questions in play for a category (retired questions are left out)
+async function getQuestionsByCategory(category) {
+  return getQuestionsWhere({ Category: category, Retired: false });
+}
+
+// Questions in play with the given IDs, from any category
+async function getQuestionsByIds(questionIds) {
+  if (questionIds.length === 0) return [];
+  return getQuestionsWhere({ QuestionID: { in: questionIds }, Retired: false });
+}
+
+// Questions matching `where`, each with its answers
+async function getQuestionsWhere(where) {
+  const questions = await select('Question', {
+    columns: 'QuestionID, QuestionText, Difficulty, Category, Type, Format, Explanation',
+    where: where
+  });
+
+  const answers = await select('Answer', {
+    columns: 'AnswerID, QuestionID, AnswerText, isCorrect, Explanation',
+    where: { QuestionID: { in: questions.map(q => q.QuestionID) } }
+  });
+
+  return questions.map(question => ({
+    ...question,
+    answers: answers.filter(a => a.QuestionID === question.QuestionID)
+  }));
+}
+
+// Names of all categories that have questions in play
+async function getCategories() {
+  const questions = await select('Question', { columns: 'Category', where: { Retired: false } });
+  return [...new Set(questions.map(q => q.Category))].sort();
+}
+
+// Leaderboard
+
+async function saveLeaderboardEntry(entry) {
+  const [saved] = await upsert('Leaderboard', entry, ['UserID']);
+  return saved;
+}
+
+// Finished games of registered players (one row per game)
+
+async function saveGameResult(result) {
+  const [saved] = await insert('GameResult', [result]);
+  return saved;
+}
+
+// Per-category statistics
+
+async function getUserStats(userId) {
+  const [stats] = await select('UserStats', { where: { UserID: userId }, limit: 1 });
+  return stats ? stats.CategoryStats : null;
+}
+
+async function saveUserStats(userId, categoryStats) {
+  const [saved] = await upsert('UserStats', { UserID: userId, CategoryStats: categoryStats }, ['UserID']);
+  return saved;
+}
+
+// Head-to-head matches
+
+async function saveMatch(match) {
+  const [saved] = await insert('Match', [match]);
+  return saved;
+}
+
+module.exports = {
+  init,
+  seedQuestions,
+  select,
+  count,
+  insert,
+  update,
+  upsert,
+  remove,
+  findUserByUsername,
+  findUserById,
+  createUser,
+  updateUser,
+  getQuestionsByCategory,
+  getQuestionsByIds,
+  getCategories,
+  saveLeaderboardEntry,
+  saveGameResult,
+  getUserStats,
+  saveUserStats,
+  saveMatch
+};
@@ -0,0 +1,278 @@
+// mysql.js - Storage adapter for a local MySQL/MariaDB database (offline play and testing)
+const mysql = require('mysql2/promise');
+const { TABLES } = require('./schema');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+// Quote a table or column name
+function id(name) {
+  return '`' + String(name).replace(/`/g, '``') + '`';
+}
+
+// Convert a JavaScript value into something mysql2 can bind
+function toSqlValue(value) {
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) return new Date(value);
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+// Build a WHERE clause from `where` objects (same format as the Supabase adapter); several
+// objects are combined with AND
+function buildWhere(...wheres) {
+  const clauses = [];
+  const params = [];
+
+  wheres.flatMap(where => Object.entries(where || {})).forEach(([column, condition]) => {
+    if (condition === null) {
+      clauses.push(`${id(column)} IS NULL`);
+    } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+      Object.entries(condition).forEach(([operator, value]) => {
+        if (operator === 'in') {
+          if (value.length === 0) {
+            clauses.push('FALSE');
+          } else {
+            clauses.push(`${id(column)} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value.map(toSqlValue));
+          }
+        } else if (operator === 'is') {
+          clauses.push(`${id(column)} IS ${value === null ? 'NULL' : 'NOT NULL'}`);
+        } else if (OPERATORS[operator]) {
+          clauses.push(`${id(column)} ${OPERATORS[operator]} ?`);
+          params.push(toSqlValue(value));
+        } else {
+          throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+      });
+    } else {
+      clauses.push(`${id(column)} = ?`);
+      params.push(toSqlValue(condition));
+    }
+  });
+
+  return {
+    sql: clauses.length > 0 ? ' WHERE ' + clauses.join(' AND ') : '',
+    params
+  };
+}
+
+// Columns declared as BOOLEAN come back from MySQL as 0/1
+function booleanColumns(table) {
+  const definition = TABLES[table];
+  if (!definition) return [];
+  return Object.keys(definition.columns)
+    .filter(column => /^BOOLEAN\b/i.test(definition.columns[column]));
+}
+
+// Give rows the same shape the Supabase adapter returns
+function normalizeRows(table, rows) {
+  const booleans = booleanColumns(table);
+  return rows.map(row => {
+    const normalized = { ...row };
+    Object.keys(normalized).forEach(column => {
+      if (normalized[column] instanceof Date) {
+        normalized[column] = normalized[column].toISOString();
+      } else if (booleans.includes(column) && normalized[column] !== null) {
+        normalized[column] = Boolean(normalized[column]);
+      }
+    });
+    return normalized;
+  });
+}
+
+function selectColumns(columns) {
+  if (!columns || columns === '*') return '*';
+  return columns.split(',').map(column => id(column.trim())).join(', ');
+}
+
+function createMySqlAdapter(options = {}) {
+  const config = {
+    host: options.host || process.env.MYSQL_HOST || 'localhost',
+    port: Number(options.port || process.env.MYSQL_PORT || 3306),
+    user: options.user || process.env.MYSQL_USER || 'root',
+    password: options.password !== undefined ? options.password : (process.env.MYSQL_PASSWORD || ''),
+    database: options.database || process.env.MYSQL_DATABASE || 'cybersecurity_game'
+  };
+
+  let pool = null;
+
+  async function query(sql, params = []) {
+    const [rows] = await pool.query(sql, params);
+    return rows;
+  }
+
+  // Create missing tables, then add any columns introduced since the table was created
+  async function createSchema() {
+    for (const [table, definition] of Object.entries(TABLES)) {
+      const columns = Object.entries(definition.columns)
+        .map(([column, type]) => `${id(column)} ${type}`);
+      columns.push(`PRIMARY KEY (${[].concat(definition.primaryKey).map(id).join(', ')})`);
+      (definition.unique || []).forEach(keyColumns => {
+        columns.push(`UNIQUE KEY ${id('uq_' + keyColumns.join('_'))} (${keyColumns.map(id).join(', ')})`);
+      });
+      (definition.indexes || []).forEach(keyColumns => {
+        columns.push(`KEY ${id('ix_' + keyColumns.join('_'))} (${keyColumns.map(id).join(', ')})`);
+      });
+
+      await query(`CREATE TABLE IF NOT EXISTS ${id(table)} (\n  ${columns.join(',\n  ')}\n) CHARACTER SET utf8mb4`);
+
+      const existing = await query(
+        'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?',
+        [config.database, table]
+      );
+      const existingNames = existing.map(row => row.COLUMN_NAME);
+
+      for (const [column, type] of Object.entries(definition.columns)) {
+        if (!existingNames.includes(column)) {
+          console.log(`Adding column ${table}.${column}`);
+          await query(`ALTER TABLE ${id(table)} ADD COLUMN ${id(column)} ${type}`);
+        }
+      }
+    }
+  }
+
+  // Look up rows by primary key (used to return inserted/updated rows)
+  async function selectByPrimaryKey(table, keys) {
+    const primaryKey = TABLES[table].primaryKey;
+    if (Array.isArray(primaryKey)) {
+      const rows = [];
+      for (const key of keys) {
+        rows.push(...await adapter.select(table, { where: key }));
+      }
+      return rows;
+    }
+    return adapter.select(table, { where: { [primaryKey]: { in: keys.map(key => key[primaryKey]) } } });
+  }
+
+  function primaryKeyOf(table, row) {
+    const key = {};
+    [].concat(TABLES[table].primaryKey).forEach(column => {
+      key[column] = row[column];
+    });
+    return key;
+  }
+
+  const adapter = {
+    name: 'mysql',
+
+    async init() {
+      // Create the database itself if needed so a fresh MySQL install works out of the box
+      const connection = await mysql.createConnection({
+        host: config.host,
+        port: config.port,
+        user: config.user,
+        password: config.password
+      });
+      await connection.query(`CREATE DATABASE IF NOT EXISTS ${id(config.database)} CHARACTER SET utf8mb4`);
+      await connection.end();
+
+      pool = mysql.createPool({ ...config, timezone: 'Z', connectionLimit: 10 });
+      await createSchema();
+      console.log(`Connected to MySQL database ${config.database} on ${config.host}:${config.port}`);
+    },
+
+    async select(table, { columns = '*', where, order = [], limit, offset } = {}) {
+      const filter = buildWhere(where);
+      let sql = `SELECT ${selectColumns(columns)} FROM ${id(table)}${filter.sql}`;
+      if (order.length > 0) {
+        sql += ' ORDER BY ' + order
+          .map(({ column, ascending = true }) => `${id(column)} ${ascending ? 'ASC' : 'DESC'}`)
+          .join(', ');
+      }
+      if (limit !== undefined) {
+        sql += ` LIMIT ${Number(limit)}`;
+        if (offset !== undefined) sql += ` OFFSET ${Number(offset)}`;
+      }
+      return normalizeRows(table, await query(sql, filter.params));
+    },
+
+    async count(table, { where } = {}) {
+      const filter = buildWhere(where);
+      const rows = await query(`SELECT COUNT(*) AS total FROM ${id(table)}${filter.sql}`, filter.params);
+      return Number(rows[0].total);
+    },
+
+    async insert(table, rows) {
+      const primaryKey = TABLES[table].primaryKey;
+      const keys = [];
+
+      for (const row of [].concat(rows)) {
+        const columns = Object.keys(row);
+        const result = await query(
+          `INSERT INTO ${id(table)} (${columns.map(id).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          columns.map(column => toSqlValue(row[column]))
+        );
+        const key = primaryKeyOf(table, row);
+        if (!Array.isArray(primaryKey) && key[primaryKey] === undefined) {
+          key[primaryKey] = result.insertId;
+        }
+        keys.push(key);
+      }
+
+      return selectByPrimaryKey(table, keys);
+    },
+
+    // Returns the rows the UPDATE changed. Each matching row is updated on its own with `where`
+    // still in the statement, so a row another request changed in the meantime (a reset code
+    // used twice at once) is left out, as with Supabase.
+    async update(table, values, where) {
+      const matching = await adapter.select(table, { where });
+      const columns = Object.keys(values);
+      const changed = [];
+
+      for (const row of matching) {
+        const filter = buildWhere(where, primaryKeyOf(table, row));
+        const result = await query(
+          `UPDATE ${id(table)} SET ${columns.map(column => `${id(column)} = ?`).join(', ')}${filter.sql}`,
+          [...columns.map(column => toSqlValue(values[column])), ...filter.params]
+        );
+        if (result.affectedRows > 0) changed.push(row);
+      }
+      if (changed.length === 0) return [];
+
+      // Re-read by primary key in case the update changed the filtered columns
+      return selectByPrimaryKey(table, changed.map(row => primaryKeyOf(table, { ...row, ...values })));
+    },
+
+    async upsert(table, row, conflictColumns) {
+      const columns = Object.keys(row);
+      const updates = columns.filter(column => !conflictColumns.includes(column));
+      const assignments = updates.length > 0
+        ? updates.map(column => `${id(column)} = VALUES(${id(column)})`).join(', ')
+        : `${id(conflictColumns[0])} = ${id(conflictColumns[0])}`;
+
+      await query(
+        `INSERT INTO ${id(table)} (${columns.map(id).join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON DUPLICATE KEY UPDATE ${assignments}`,
+        columns.map(column => toSqlValue(row[column]))
+      );
+
+      const where = {};
+      conflictColumns.forEach(column => {
+        where[column] = row[column];
+      });
+      return adapter.select(table, { where });
+    },
+
+    async remove(table, where) {
+      const filter = buildWhere(where);
+      await query(`DELETE FROM ${id(table)}${filter.sql}`, filter.params);
+    },
+
+    async close() {
+      if (pool) await pool.end();
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = { createMySqlAdapter };
@@ -0,0 +1,361 @@
+// schema.js - Table definitions shared by the SQL adapters.
+// Mirrors the tables used on Supabase so both backends store the same columns.
+// New columns can be added here; the SQL adapter adds missing columns on startup.
+
+const TABLES = {
+  User: {
+    primaryKey: 'UserID',
+    columns: {
+      UserID: 'INT NOT NULL AUTO_INCREMENT',
+      Username: 'VARCHAR(50) NOT NULL',
+      Password_hash: 'VARCHAR(255) NOT NULL',
+      email: 'VARCHAR(255) NULL',
+      Highscore: 'INT NOT NULL DEFAULT 0',
+      GamesPlayed: 'INT NOT NULL DEFAULT 0',
+      RegistrationDate: 'DATETIME(3) NULL',
+      Role: "VARCHAR(20) NOT NULL DEFAULT 'player'",
+      Language: 'VARCHAR(12) NULL'
+    },
+    unique: [['Username']]
+  },
+
+  Question: {
+    primaryKey: 'QuestionID',
+    columns: {
+      QuestionID: 'INT NOT NULL AUTO_INCREMENT',
+      QuestionText: 'TEXT NOT NULL',
+      Difficulty: 'VARCHAR(10) NOT NULL',
+      Category: 'VARCHAR(100) NOT NULL',
+      Type: "VARCHAR(20) NOT NULL DEFAULT 'multiple_choice'",
+      Format: 'VARCHAR(10) NULL',
+      Explanation: 'TEXT NULL',
+      Tags: 'JSON NULL',
+      Retired: 'BOOLEAN NOT NULL DEFAULT FALSE',
+      UpdatedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['Category']]
+  },
+
+  Answer: {
+    primaryKey: 'AnswerID',
+    columns: {
+      AnswerID: 'INT NOT NULL AUTO_INCREMENT',
+      QuestionID: 'INT NOT NULL',
+      AnswerText: 'TEXT NOT NULL',
+      isCorrect: 'BOOLEAN NOT NULL DEFAULT FALSE',
+      Explanation: 'TEXT NULL'
+    },
+    indexes: [['QuestionID']]
+  },
+
+  QuestionTranslation: {
+    primaryKey: ['QuestionID', 'Locale'],
+    columns: {
+      QuestionID: 'INT NOT NULL',
+      Locale: 'VARCHAR(12) NOT NULL',
+      QuestionText: 'TEXT NOT NULL',
+      Explanation: 'TEXT NULL'
+    }
+  },
+
+  AnswerTranslation: {
+    primaryKey: ['AnswerID', 'Locale'],
+    columns: {
+      AnswerID: 'INT NOT NULL',
+      Locale: 'VARCHAR(12) NOT NULL',
+      QuestionID: 'INT NOT NULL',
+      AnswerText: 'TEXT NULL',
+      Explanation: 'TEXT NULL'
+    },
+    indexes: [['QuestionID', 'Locale']]
+  },
+
+  Leaderboard: {
+    primaryKey: 'UserID',
+    columns: {
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Score: 'INT NOT NULL DEFAULT 0',
+      Date: 'DATETIME(3) NULL'
+    }
+  },
+
+  GameResult: {
+    primaryKey: 'ResultID',
+    columns: {
+      ResultID: 'INT NOT NULL AUTO_INCREMENT',
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Category: 'VARCHAR(100) NOT NULL',
+      Score: 'INT NOT NULL DEFAULT 0',
+      CorrectAnswers: 'INT NOT NULL DEFAULT 0',
+      AnsweredQuestions: 'INT NOT NULL DEFAULT 0',
+      TotalQuestions: 'INT NOT NULL DEFAULT 0',
+      DifficultyStats: 'JSON NULL',
+      TimeRemaining: 'INT NOT NULL DEFAULT 0',
+      Adaptive: 'BOOLEAN NOT NULL DEFAULT FALSE',
+      MatchID: 'VARCHAR(36) NULL',
+      PlayedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['PlayedAt'], ['Category', 'PlayedAt'], ['UserID']]
+  },
+
+  LeaderboardScore: {
+    primaryKey: ['Board', 'Period', 'Category', 'UserID'],
+    columns: {
+      Board: 'VARCHAR(10) NOT NULL',
+      Period: 'VARCHAR(10) NOT NULL',
+      Category: 'VARCHAR(100) NOT NULL',
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Score: 'INT NOT NULL DEFAULT 0',
+      PlayedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['Board', 'Period', 'Category', 'Score']]
+  },
+
+  UserStats: {
+    primaryKey: 'UserID',
+    columns: {
+      UserID: 'INT NOT NULL',
+      CategoryStats: 'JSON NULL'
+    }
+  },
+
+  Match: {
+    primaryKey: 'MatchID',
+    columns: {
+      MatchID: 'INT NOT NULL AUTO_INCREMENT',
+      Category: 'VARCHAR(100) NOT NULL',
+      Player1: 'VARCHAR(50) NOT NULL',
+      Player2: 'VARCHAR(50) NOT NULL',
+      Player1Score: 'INT NOT NULL DEFAULT 0',
+      Player2Score: 'INT NOT NULL DEFAULT 0',
+      Winner: 'VARCHAR(50) NULL',
+      ForfeitedBy: 'VARCHAR(50) NULL',
+      CompletedAt: 'DATETIME(3) NULL'
+    }
+  },
+
+  PasswordReset: {
+    primaryKey: 'TokenHash',
+    columns: {
+      TokenHash: 'CHAR(64) NOT NULL',
+      UserID: 'INT NOT NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL',
+      ExpiresAt: 'DATETIME(3) NOT NULL',
+      UsedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['UserID']]
+  },
+
+  LoginAttempt: {
+    primaryKey: 'AttemptID',
+    columns: {
+      AttemptID: 'INT NOT NULL AUTO_INCREMENT',
+      ThrottleKey: 'VARCHAR(150) NOT NULL',
+      AttemptedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['ThrottleKey', 'AttemptedAt']]
+  },
+
+  AuthEvent: {
+    primaryKey: 'EventID',
+    columns: {
+      EventID: 'INT NOT NULL AUTO_INCREMENT',
+      Event: 'VARCHAR(30) NOT NULL',
+      Username: 'VARCHAR(50) NULL',
+      UserID: 'INT NULL',
+      IpAddress: 'VARCHAR(64) NULL',
+      Detail: 'VARCHAR(255) NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['Username'], ['Event'], ['IpAddress']]
+  },
+
+  Session: {
+    primaryKey: 'SessionID',
+    columns: {
+      SessionID: 'CHAR(32) NOT NULL',
+      UserID: 'INT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      IsGuest: 'BOOLEAN NOT NULL DEFAULT FALSE',
+      CreatedAt: 'DATETIME(3) NOT NULL',
+      ExpiresAt: 'DATETIME(3) NOT NULL',
+      RevokedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['UserID'], ['ExpiresAt']]
+  },
+
+  ChatMessage: {
+    primaryKey: 'MessageID',
+    columns: {
+      MessageID: 'INT NOT NULL AUTO_INCREMENT',
+      UserID: 'INT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Channel: "VARCHAR(160) NOT NULL DEFAULT 'lobby'",
+      Recipient: 'VARCHAR(50) NULL',
+      Message: 'TEXT NOT NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL',
+      DeletedAt: 'DATETIME(3) NULL',
+      DeletedBy: 'VARCHAR(50) NULL'
+    },
+    indexes: [['Channel']]
+  },
+
+  ChatMute: {
+    primaryKey: 'Username',
+    columns: {
+      Username: 'VARCHAR(50) NOT NULL',
+      MutedUntil: 'DATETIME(3) NOT NULL',
+      MutedBy: 'VARCHAR(50) NOT NULL'
+    }
+  },
+
+  QuestionAttempt: {
+    primaryKey: 'AttemptID',
+    columns: {
+      AttemptID: 'INT NOT NULL AUTO_INCREMENT',
+      UserID: 'INT NOT NULL',
+      QuestionID: 'INT NOT NULL',
+      AnswerID: 'INT NULL',
+      Correct: 'BOOLEAN NOT NULL',
+      AnsweredAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['UserID']]
+  },
+
+  ReviewSchedule: {
+    primaryKey: ['UserID', 'QuestionID'],
+    columns: {
+      UserID: 'INT NOT NULL',
+      QuestionID: 'INT NOT NULL',
+      Box: 'INT NOT NULL DEFAULT 0',
+      LastCorrect: 'BOOLEAN NOT NULL DEFAULT FALSE',
+      LastAnsweredAt: 'DATETIME(3) NOT NULL',
+      DueAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['UserID', 'DueAt']]
+  },
+
+  UserAchievement: {
+    primaryKey: ['UserID', 'AchievementID'],
+    columns: {
+      UserID: 'INT NOT NULL',
+      AchievementID: 'VARCHAR(50) NOT NULL',
+      EarnedAt: 'DATETIME(3) NOT NULL'
+    }
+  },
+
+  Classroom: {
+    primaryKey: 'ClassID',
+    columns: {
+      ClassID: 'INT NOT NULL AUTO_INCREMENT',
+      Name: 'VARCHAR(100) NOT NULL',
+      JoinCode: 'CHAR(6) NOT NULL',
+      InstructorID: 'INT NOT NULL',
+      InstructorName: 'VARCHAR(50) NOT NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL'
+    },
+    unique: [['JoinCode']],
+    indexes: [['InstructorID']]
+  },
+
+  ClassMember: {
+    primaryKey: ['ClassID', 'UserID'],
+    columns: {
+      ClassID: 'INT NOT NULL',
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      JoinedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['UserID']]
+  },
+
+  Assignment: {
+    primaryKey: 'AssignmentID',
+    columns: {
+      AssignmentID: 'INT NOT NULL AUTO_INCREMENT',
+      ClassID: 'INT NOT NULL',
+      Category: 'VARCHAR(100) NOT NULL',
+      DueAt: 'DATETIME(3) NOT NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['ClassID']]
+  },
+
+  DailyChallenge: {
+    primaryKey: 'ChallengeDate',
+    columns: {
+      ChallengeDate: 'CHAR(10) NOT NULL',
+      QuestionIDs: 'JSON NOT NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL'
+    }
+  },
+
+  DailyChallengeResult: {
+    primaryKey: ['ChallengeDate', 'UserID'],
+    columns: {
+      ChallengeDate: 'CHAR(10) NOT NULL',
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Score: 'INT NOT NULL DEFAULT 0',
+      CorrectAnswers: 'INT NOT NULL DEFAULT 0',
+      TotalQuestions: 'INT NOT NULL DEFAULT 0',
+      StartedAt: 'DATETIME(3) NOT NULL',
+      CompletedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['UserID']]
+  },
+
+  Tournament: {
+    primaryKey: 'TournamentID',
+    columns: {
+      TournamentID: 'INT NOT NULL AUTO_INCREMENT',
+      Name: 'VARCHAR(100) NOT NULL',
+      Category: 'VARCHAR(100) NOT NULL',
+      Format: 'VARCHAR(20) NOT NULL',
+      Status: "VARCHAR(20) NOT NULL DEFAULT 'registration'",
+      OrganizerID: 'INT NOT NULL',
+      OrganizerName: 'VARCHAR(50) NOT NULL',
+      CurrentRound: 'INT NOT NULL DEFAULT 0',
+      TotalRounds: 'INT NOT NULL DEFAULT 0',
+      Winner: 'VARCHAR(50) NULL',
+      CreatedAt: 'DATETIME(3) NOT NULL',
+      StartedAt: 'DATETIME(3) NULL',
+      FinishedAt: 'DATETIME(3) NULL'
+    }
+  },
+
+  TournamentPlayer: {
+    primaryKey: ['TournamentID', 'UserID'],
+    columns: {
+      TournamentID: 'INT NOT NULL',
+      UserID: 'INT NOT NULL',
+      Username: 'VARCHAR(50) NOT NULL',
+      Seed: 'INT NULL',
+      JoinedAt: 'DATETIME(3) NOT NULL'
+    },
+    indexes: [['UserID']]
+  },
+
+  TournamentMatch: {
+    primaryKey: 'TournamentMatchID',
+    columns: {
+      TournamentMatchID: 'INT NOT NULL AUTO_INCREMENT',
+      TournamentID: 'INT NOT NULL',
+      Round: 'INT NOT NULL',
+      Position: 'INT NOT NULL',
+      Player1: 'VARCHAR(50) NULL',
+      Player2: 'VARCHAR(50) NULL',
+      Player1Score: 'INT NOT NULL DEFAULT 0',
+      Player2Score: 'INT NOT NULL DEFAULT 0',
+      Winner: 'VARCHAR(50) NULL',
+      Status: "VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      CompletedAt: 'DATETIME(3) NULL'
+    },
+    indexes: [['TournamentID']]
+  }
+};
+
+module.exports = { TABLES };
@@ -0,0 +1,86 @@
+// supabase.js - Storage adapter for the hosted Supabase database
+const { createClient } = require('@supabase/supabase-js');
+
+const DEFAULT_SUPABASE_URL = 'https://cclodkiuzkvynhnauaeu.supabase.co';
+
+function createSupabaseAdapter(options = {}) {
+  const supabaseUrl = options.url || process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const supabaseKey = options.key || process.env.SUPABASE_KEY;
+
+  if (!supabaseKey) {
+    throw new Error('SUPABASE_KEY is not set. Add it to .env or use STORAGE_DRIVER=mysql to run locally.');
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Turn a `where` object into Supabase filters.
+  // Plain values mean equality, objects map operators to values: { Score: { gte: 10 } }
+  function applyFilters(query, where = {}) {
+    Object.entries(where).forEach(([column, condition]) => {
+      if (condition === null) {
+        query = query.is(column, null);
+      } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+        Object.entries(condition).forEach(([operator, value]) => {
+          query = query[operator](column, value);
+        });
+      } else {
+        query = query.eq(column, condition);
+      }
+    });
+    return query;
+  }
+
+  // Throw Supabase errors so callers can handle them like any other failure
+  function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+  }
+
+  return {
+    name: 'supabase',
+
+    // The hosted schema is managed in the Supabase dashboard
+    async init() {},
+
+    async select(table, { columns = '*', where, order = [], limit, offset } = {}) {
+      let query = applyFilters(supabase.from(table).select(columns), where);
+      order.forEach(({ column, ascending = true }) => {
+        query = query.order(column, { ascending });
+      });
+      if (limit !== undefined && offset !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      } else if (limit !== undefined) {
+        query = query.limit(limit);
+      }
+      return unwrap(await query) || [];
+    },
+
+    async count(table, { where } = {}) {
+      const query = applyFilters(supabase.from(table).select('*', { count: 'exact', head: true }), where);
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    async insert(table, rows) {
+      return unwrap(await supabase.from(table).insert(rows).select()) || [];
+    },
+
+    async update(table, values, where) {
+      return unwrap(await applyFilters(supabase.from(table).update(values), where).select()) || [];
+    },
+
+    async upsert(table, row, conflictColumns) {
+      const query = supabase.from(table).upsert(row, { onConflict: conflictColumns.join(',') }).select();
+      return unwrap(await query) || [];
+    },
+
+    async remove(table, where) {
+      unwrap(await applyFilters(supabase.from(table).delete(), where));
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createSupabaseAdapter };
@@ -0,0 +1,480 @@
+// tournaments.js - Single-elimination and round-robin tournaments of 1v1 matches in one category.
+//
+// An organizer (instructor or admin) creates a tournament and registration opens. Starting it seeds
+// the registered players by their all-time high score (User.Highscore) and draws every match up
+// front in TournamentMatch rows; the organizer then starts the rounds one by one. A match is played
+// like a challenge (see matches.js) once both players press Play, and its server-graded outcome
+// decides the winner:
+// - single elimination: seed 1 meets the lowest seed, the top seeds get the byes when the player
+//   count isn't a power of two, and winners move into the next round's match. A drawn match goes
+//   to the better seed.
+// - round robin: everybody plays everybody once (circle method). A win is worth 3 points and a
+//   draw 1; equal points are split by the total match score, then by seed.
+const storage = require('./storage');
+
+const FORMATS = {
+  SINGLE_ELIMINATION: 'single_elimination',
+  ROUND_ROBIN: 'round_robin'
+};
+
+const STATUS = {
+  REGISTRATION: 'registration',
+  RUNNING: 'running',
+  FINISHED: 'finished'
+};
+
+const MATCH_STATUS = {
+  PENDING: 'pending',     // its round hasn't started or a player is still to be decided
+  READY: 'ready',         // both players known and the round is running
+  COMPLETED: 'completed'
+};
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+const MAX_NAME_LENGTH = 100;
+const POINTS = { win: 3, draw: 1, loss: 0 };
+
+// Ready checks and running games of tournament matches. Kept in memory: after a restart the
+// players just press Play again.
+const readyPlayers = {};   // TournamentMatchID -> Set of usernames
+const playingMatches = {}; // TournamentMatchID -> match ID (matches.js)
+
+function formatTournament(row) {
+  return {
+    id: row.TournamentID,
+    name: row.Name,
+    category: row.Category,
+    format: row.Format,
+    status: row.Status,
+    organizer: row.OrganizerName,
+    currentRound: row.CurrentRound,
+    totalRounds: row.TotalRounds,
+    winner: row.Winner || null,
+    createdAt: row.CreatedAt
+  };
+}
+
+function formatMatch(row) {
+  return {
+    id: row.TournamentMatchID,
+    round: row.Round,
+    position: row.Position,
+    player1: row.Player1 || null,
+    player2: row.Player2 || null,
+    player1Score: row.Player1Score,
+    player2Score: row.Player2Score,
+    winner: row.Winner || null,
+    status: row.Status,
+    playing: Boolean(playingMatches[row.TournamentMatchID]),
+    ready: [...(readyPlayers[row.TournamentMatchID] || [])]
+  };
+}
+
+async function getTournament(tournamentId) {
+  const [row] = await storage.select('Tournament', { where: { TournamentID: Number(tournamentId) }, limit: 1 });
+  return row || null;
+}
+
+async function getMatch(tournamentMatchId) {
+  const [row] = await storage.select('TournamentMatch', { where: { TournamentMatchID: Number(tournamentMatchId) }, limit: 1 });
+  return row || null;
+}
+
+async function getPlayers(tournamentId) {
+  return storage.select('TournamentPlayer', {
+    where: { TournamentID: tournamentId },
+    order: [{ column: 'JoinedAt', ascending: true }]
+  });
+}
+
+async function getMatches(tournamentId) {
+  const rows = await storage.select('TournamentMatch', { where: { TournamentID: tournamentId } });
+  return rows.sort((a, b) => a.Round - b.Round || a.Position - b.Position);
+}
+
+// Whether a player may run a tournament (its organizer, or any admin)
+function canManage(tournament, identity, isAdmin = false) {
+  return isAdmin || tournament.OrganizerID === identity.userId;
+}
+
+async function createTournament(organizer, { name, category, format }, categories) {
+  const tournamentName = typeof name === 'string' ? name.trim() : '';
+  if (!tournamentName) return { error: 'Give the tournament a name' };
+  if (tournamentName.length > MAX_NAME_LENGTH) return { error: `Tournament names can be at most ${MAX_NAME_LENGTH} characters` };
+  if (!categories.includes(category)) return { error: 'Unknown category' };
+  if (!Object.values(FORMATS).includes(format)) return { error: 'Pick single elimination or round robin' };
+
+  const [row] = await storage.insert('Tournament', [{
+    Name: tournamentName,
+    Category: category,
+    Format: format,
+    Status: STATUS.REGISTRATION,
+    OrganizerID: organizer.userId,
+    OrganizerName: organizer.username,
+    CurrentRound: 0,
+    TotalRounds: 0,
+    Winner: null,
+    CreatedAt: new Date().toISOString()
+  }]);
+  return { tournament: formatTournament(row) };
+}
+
+// Every tournament, newest first, with its player count and whether the viewer is in it
+async function listTournaments(viewer) {
+  const rows = await storage.select('Tournament', { order: [{ column: 'TournamentID', ascending: false }] });
+  const players = await storage.select('TournamentPlayer', {
+    columns: 'TournamentID, Username',
+    where: { TournamentID: { in: rows.map(row => row.TournamentID) } }
+  });
+
+  return rows.map(row => {
+    const entrants = players.filter(player => player.TournamentID === row.TournamentID);
+    return {
+      ...formatTournament(row),
+      players: entrants.length,
+      joined: entrants.some(player => player.Username === viewer.username)
+    };
+  });
+}
+
+async function joinTournament(player, tournament) {
+  if (tournament.Status !== STATUS.REGISTRATION) return { error: 'Registration for this tournament is closed' };
+
+  const players = await getPlayers(tournament.TournamentID);
+  if (players.some(entrant => entrant.UserID === player.userId)) return { error: `You are already in ${tournament.Name}` };
+  if (players.length >= MAX_PLAYERS) return { error: 'This tournament is full' };
+
+  await storage.insert('TournamentPlayer', [{
+    TournamentID: tournament.TournamentID,
+    UserID: player.userId,
+    Username: player.username,
+    Seed: null,
+    JoinedAt: new Date().toISOString()
+  }]);
+  return {};
+}
+
+async function leaveTournament(player, tournament) {
+  if (tournament.Status !== STATUS.REGISTRATION) return { error: 'The tournament has already started' };
+
+  const joined = await storage.count('TournamentPlayer', { where: { TournamentID: tournament.TournamentID, UserID: player.userId } });
+  if (joined === 0) return { error: 'You are not in this tournament' };
+
+  await storage.remove('TournamentPlayer', { TournamentID: tournament.TournamentID, UserID: player.userId });
+  return {};
+}
+
+// Seed order of a bracket's first round, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6], so the top seeds
+// can only meet in the late rounds
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+// Matches of a single-elimination bracket for players in seed order. Later rounds start empty.
+function drawElimination(seeded) {
+  const size = 2 ** Math.ceil(Math.log2(seeded.length));
+  const order = bracketOrder(size);
+  const rounds = Math.log2(size);
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    for (let position = 0; position < size / 2 ** round; position++) {
+      matches.push({
+        Round: round,
+        Position: position,
+        Player1: round === 1 ? seeded[order[position * 2] - 1] || null : null,
+        Player2: round === 1 ? seeded[order[position * 2 + 1] - 1] || null : null
+      });
+    }
+  }
+  return { matches, rounds };
+}
+
+// Matches of a round robin for players in seed order: the circle method, one fixed player and
+// the others rotating. With an odd count, whoever is paired with the empty seat sits the round out.
+function drawRoundRobin(seeded) {
+  const seats = seeded.length % 2 === 0 ? [...seeded] : [...seeded, null];
+  const rounds = seats.length - 1;
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    let position = 0;
+    for (let i = 0; i < seats.length / 2; i++) {
+      const home = seats[i];
+      const away = seats[seats.length - 1 - i];
+      if (home && away) {
+        matches.push({ Round: round, Position: position++, Player1: home, Player2: away });
+      }
+    }
+    seats.splice(1, 0, seats.pop());
+  }
+  return { matches, rounds };
+}
+
+// Close registration: seed the players by high score, draw every match and start round 1.
+// Returns the matches that are ready to play.
+async function startTournament(tournament) {
+  if (tournament.Status !== STATUS.REGISTRATION) return { error: 'The tournament has already started' };
+
+  const players = await getPlayers(tournament.TournamentID);
+  if (players.length < MIN_PLAYERS) return { error: `A tournament needs at least ${MIN_PLAYERS} players` };
+
+  // Highest high score first; earlier registration breaks ties
+  const users = await storage.select('User', {
+    columns: 'UserID, Highscore',
+    where: { UserID: { in: players.map(player => player.UserID) } }
+  });
+  const highscores = new Map(users.map(user => [user.UserID, user.Highscore || 0]));
+  const seeded = [...players].sort((a, b) => highscores.get(b.UserID) - highscores.get(a.UserID));
+
+  for (let i = 0; i < seeded.length; i++) {
+    await storage.update('TournamentPlayer', { Seed: i + 1 }, { TournamentID: tournament.TournamentID, UserID: seeded[i].UserID });
+  }
+
+  const names = seeded.map(player => player.Username);
+  const draw = tournament.Format === FORMATS.ROUND_ROBIN ? drawRoundRobin(names) : drawElimination(names);
+  await storage.insert('TournamentMatch', draw.matches.map(match => ({
+    TournamentID: tournament.TournamentID,
+    Round: match.Round,
+    Position: match.Position,
+    Player1: match.Player1,
+    Player2: match.Player2,
+    Player1Score: 0,
+    Player2Score: 0,
+    Winner: null,
+    Status: MATCH_STATUS.PENDING,
+    CompletedAt: null
+  })));
+
+  await storage.update('Tournament', {
+    Status: STATUS.RUNNING,
+    TotalRounds: draw.rounds,
+    StartedAt: new Date().toISOString()
+  }, { TournamentID: tournament.TournamentID });
+
+  // First-round byes go straight through
+  const started = { ...tournament, Status: STATUS.RUNNING, TotalRounds: draw.rounds };
+  if (tournament.Format === FORMATS.SINGLE_ELIMINATION) {
+    const firstRound = (await getMatches(tournament.TournamentID)).filter(match => match.Round === 1);
+    for (const match of firstRound.filter(candidate => !candidate.Player1 || !candidate.Player2)) {
+      await completeMatch(started, match, { winner: match.Player1 || match.Player2, scores: {} });
+    }
+  }
+
+  return startRound(started);
+}
+
+// Start the next round once every match of the current one is decided.
+// Returns { tournament, round, ready } with the matches that can now be played.
+async function startRound(tournament) {
+  if (tournament.Status !== STATUS.RUNNING) return { error: 'The tournament is not running' };
+
+  const matches = await getMatches(tournament.TournamentID);
+  const open = matches.filter(match => match.Round === tournament.CurrentRound && match.Status !== MATCH_STATUS.COMPLETED);
+  if (open.length > 0) return { error: `Round ${tournament.CurrentRound} is still being played` };
+  if (tournament.CurrentRound >= tournament.TotalRounds) return { error: 'This was the last round' };
+
+  const round = tournament.CurrentRound + 1;
+  await storage.update('Tournament', { CurrentRound: round }, { TournamentID: tournament.TournamentID });
+
+  const ready = matches.filter(match => match.Round === round && match.Status === MATCH_STATUS.PENDING &&
+    match.Player1 && match.Player2);
+  for (const match of ready) {
+    await storage.update('TournamentMatch', { Status: MATCH_STATUS.READY }, { TournamentMatchID: match.TournamentMatchID });
+  }
+
+  return {
+    tournament: { ...tournament, CurrentRound: round },
+    round: round,
+    ready: ready.map(match => formatMatch({ ...match, Status: MATCH_STATUS.READY }))
+  };
+}
+
+// Store a decided match and move its winner on. `outcome` is { winner, scores } (scores by
+// username; a null winner is a draw). Finishes the tournament after its last match.
+async function completeMatch(tournament, match, outcome) {
+  const isElimination = tournament.Format === FORMATS.SINGLE_ELIMINATION;
+  let winner = outcome.winner || null;
+
+  if (!winner && isElimination) {
+    winner = await betterSeed(tournament.TournamentID, match.Player1, match.Player2);
+  }
+
+  await storage.update('TournamentMatch', {
+    Player1Score: outcome.scores[match.Player1] || 0,
+    Player2Score: outcome.scores[match.Player2] || 0,
+    Winner: winner,
+    Status: MATCH_STATUS.COMPLETED,
+    CompletedAt: new Date().toISOString()
+  }, { TournamentMatchID: match.TournamentMatchID });
+  delete readyPlayers[match.TournamentMatchID];
+  delete playingMatches[match.TournamentMatchID];
+
+  if (isElimination && match.Round < tournament.TotalRounds) {
+    const slot = match.Position % 2 === 0 ? 'Player1' : 'Player2';
+    await storage.update('TournamentMatch', { [slot]: winner }, {
+      TournamentID: tournament.TournamentID,
+      Round: match.Round + 1,
+      Position: Math.floor(match.Position / 2)
+    });
+  }
+
+  const matches = await getMatches(tournament.TournamentID);
+  const roundComplete = matches
+    .filter(candidate => candidate.Round === match.Round)
+    .every(candidate => candidate.Status === MATCH_STATUS.COMPLETED);
+
+  let champion = null;
+  if (roundComplete && match.Round === tournament.TotalRounds) {
+    champion = isElimination ? winner : (await getStandings(tournament.TournamentID, matches))[0].username;
+    await storage.update('Tournament', {
+      Status: STATUS.FINISHED,
+      Winner: champion,
+      FinishedAt: new Date().toISOString()
+    }, { TournamentID: tournament.TournamentID });
+  }
+
+  return { winner, roundComplete, champion };
+}
+
+// The better-seeded of two players (lower seed number)
+async function betterSeed(tournamentId, first, second) {
+  const players = await getPlayers(tournamentId);
+  const seedOf = username => (players.find(player => player.Username === username) || {}).Seed || Infinity;
+  return seedOf(first) <= seedOf(second) ? first : second;
+}
+
+// The result of a played match (an outcome from matches.js), or the organizer deciding a match
+// that couldn't be played (`outcome` = { winner, scores: {} })
+async function recordResult(tournamentMatchId, outcome) {
+  const match = await getMatch(tournamentMatchId);
+  if (!match || match.Status !== MATCH_STATUS.READY) return { error: 'This match is not being played' };
+
+  const tournament = await getTournament(match.TournamentID);
+  if (outcome.winner && ![match.Player1, match.Player2].includes(outcome.winner)) {
+    return { error: 'The winner must be one of the players' };
+  }
+
+  const result = await completeMatch(tournament, match, outcome);
+  return { tournament: formatTournament(tournament), match: formatMatch(match), ...result };
+}
+
+// Round-robin table (single elimination lists the players in seed order with their wins)
+async function getStandings(tournamentId, matches) {
+  const players = await getPlayers(tournamentId);
+  const table = new Map(players.map(player => [player.Username, {
+    username: player.Username,
+    seed: player.Seed,
+    played: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+    score: 0
+  }]));
+
+  matches.filter(match => match.Status === MATCH_STATUS.COMPLETED && match.Player1 && match.Player2).forEach(match => {
+    [[match.Player1, match.Player1Score], [match.Player2, match.Player2Score]].forEach(([username, score]) => {
+      const entry = table.get(username);
+      if (!entry) return;
+      entry.played++;
+      entry.score += score;
+      if (!match.Winner) {
+        entry.draws++;
+        entry.points += POINTS.draw;
+      } else if (match.Winner === username) {
+        entry.wins++;
+        entry.points += POINTS.win;
+      } else {
+        entry.losses++;
+        entry.points += POINTS.loss;
+      }
+    });
+  });
+
+  return [...table.values()].sort((a, b) =>
+    b.points - a.points || b.score - a.score || (a.seed || Infinity) - (b.seed || Infinity));
+}
+
+// A tournament with its players, the matches of every round and the standings
+async function getDetails(tournament, viewer, isAdmin = false) {
+  const [players, matches] = await Promise.all([
+    getPlayers(tournament.TournamentID),
+    getMatches(tournament.TournamentID)
+  ]);
+
+  const rounds = [];
+  for (let round = 1; round <= tournament.TotalRounds; round++) {
+    rounds.push({
+      round: round,
+      matches: matches.filter(match => match.Round === round).map(formatMatch)
+    });
+  }
+
+  return {
+    ...formatTournament(tournament),
+    canManage: canManage(tournament, viewer, isAdmin),
+    joined: players.some(player => player.Username === viewer.username),
+    players: players
+      .map(player => ({ username: player.Username, seed: player.Seed }))
+      .sort((a, b) => (a.seed || Infinity) - (b.seed || Infinity)),
+    rounds: rounds,
+    standings: tournament.Status === STATUS.REGISTRATION ? [] : await getStandings(tournament.TournamentID, matches)
+  };
+}
+
+// A player is ready to play their match. Returns { ready: true } once both players are.
+function setReady(match, username) {
+  if (match.Status !== MATCH_STATUS.READY) return { error: 'This match is not ready to be played' };
+  if (![match.Player1, match.Player2].includes(username)) return { error: 'This is not your match' };
+  if (playingMatches[match.TournamentMatchID]) return { error: 'This match is already being played' };
+
+  const ready = readyPlayers[match.TournamentMatchID] || new Set();
+  ready.add(username);
+  readyPlayers[match.TournamentMatchID] = ready;
+  return { ready: ready.has(match.Player1) && ready.has(match.Player2) };
+}
+
+// The match game started (matches.js match ID) or ended without a result
+function setPlaying(tournamentMatchId, matchId) {
+  delete readyPlayers[tournamentMatchId];
+  if (matchId) {
+    playingMatches[tournamentMatchId] = matchId;
+  } else {
+    delete playingMatches[tournamentMatchId];
+  }
+}
+
+function isPlaying(tournamentMatchId) {
+  return Boolean(playingMatches[tournamentMatchId]);
+}
+
+module.exports = {
+  FORMATS,
+  STATUS,
+  MATCH_STATUS,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  POINTS,
+  bracketOrder,
+  getTournament,
+  getMatch,
+  getPlayers,
+  canManage,
+  createTournament,
+  listTournaments,
+  joinTournament,
+  leaveTournament,
+  startTournament,
+  startRound,
+  recordResult,
+  getDetails,
+  setReady,
+  setPlaying,
+  isPlaying
+};
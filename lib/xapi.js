@@ -0,0 +1,357 @@
+// xapi.js - xAPI (Tin Can) learning records for a Learning Record Store.
+//
+// Registered players' games are reported as statements: "attempted" when a game starts,
+// "answered" for every question, "completed" (with the score and pass/fail) when it ends and
+// "earned" for each achievement. Guests have no lasting identity and are not reported.
+//
+// XAPI_TRANSPORT picks where the statements go:
+//   off   (default) nothing is recorded
+//   lrs   POST to XAPI_ENDPOINT/statements. Statements wait in a queue and are retried with
+//         a growing delay while the LRS cannot be reached; when the queue is full the oldest
+//         ones are written to the file sink instead of being lost
+//   file  append to a JSON-lines file per day in XAPI_FILE_DIR (offline or development use)
+// A deployment can plug in its own transport with setTransport({ send(statements) }).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const XAPI_VERSION = '1.0.3';
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', 'data', 'xapi');
+// Share of the questions a player must get right to pass a game
+const PASS_PERCENT = Number(process.env.XAPI_PASS_PERCENT || 70);
+const QUEUE_LIMIT = Number(process.env.XAPI_QUEUE_LIMIT || 1000);
+const BATCH_SIZE = 50;
+const RETRY_MIN_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const VERBS = {
+  attempted: 'http://adlnet.gov/expapi/verbs/attempted',
+  answered: 'http://adlnet.gov/expapi/verbs/answered',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  earned: 'http://id.tincanapi.com/verb/earned'
+};
+
+const ACTIVITY_TYPES = {
+  assessment: 'http://adlnet.gov/expapi/activities/assessment',
+  interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+  badge: 'http://activitystrea.ms/schema/1.0/badge'
+};
+
+function appUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+}
+
+// Append the statements to statements-<date>.jsonl
+function createFileTransport(options = {}) {
+  const fileDir = options.fileDir || process.env.XAPI_FILE_DIR || DEFAULT_FILE_DIR;
+
+  return {
+    name: 'file',
+    async send(statements) {
+      await fs.promises.mkdir(fileDir, { recursive: true });
+      const fileName = `statements-${new Date().toISOString().slice(0, 10)}.jsonl`;
+      const lines = statements.map(statement => JSON.stringify(statement) + '\n').join('');
+      await fs.promises.appendFile(path.join(fileDir, fileName), lines);
+    }
+  };
+}
+
+// POST the statements to the LRS statements resource (HTTP basic auth)
+function createLrsTransport() {
+  const endpoint = (process.env.XAPI_ENDPOINT || '').replace(/\/+$/, '');
+  if (!endpoint) {
+    throw new Error('XAPI_TRANSPORT is "lrs" but XAPI_ENDPOINT is not set');
+  }
+  const credentials = Buffer.from(`${process.env.XAPI_USERNAME || ''}:${process.env.XAPI_PASSWORD || ''}`).toString('base64');
+
+  return {
+    name: 'lrs',
+    async send(statements) {
+      const response = await fetch(`${endpoint}/statements`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Basic ${credentials}`,
+          'X-Experience-API-Version': XAPI_VERSION
+        },
+        body: JSON.stringify(statements),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`LRS answered ${response.status} ${response.statusText}`);
+        // The LRS rejected the statements themselves; sending them again will not help
+        error.rejected = response.status >= 400 && response.status < 500 &&
+          ![401, 403, 408, 429].includes(response.status);
+        throw error;
+      }
+    }
+  };
+}
+
+const transports = {
+  off: () => null,
+  lrs: createLrsTransport,
+  file: createFileTransport
+};
+
+let transport;
+
+function getTransport() {
+  if (transport === undefined) {
+    const name = (process.env.XAPI_TRANSPORT || 'off').toLowerCase();
+    if (!transports[name]) {
+      throw new Error(`Unknown XAPI_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+// Replace the transport (custom LRS clients, tests). Pass null to stop recording.
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+// Statements waiting for the transport, oldest first
+let queue = [];
+let sending = false;
+let retryTimer = null;
+let retryDelay = RETRY_MIN_MS;
+
+// Keep statements that cannot go to the LRS in the local file sink
+async function writeToFileSink(statements, reason) {
+  try {
+    await createFileTransport().send(statements);
+    console.error(`xAPI: ${reason}; wrote ${statements.length} statement(s) to the local file sink`);
+  } catch (error) {
+    console.error(`xAPI: ${reason}; could not save ${statements.length} statement(s):`, error);
+  }
+}
+
+async function flush() {
+  if (sending || retryTimer || queue.length === 0) return;
+
+  const current = getTransport();
+  if (!current) {
+    queue = [];
+    return;
+  }
+
+  sending = true;
+  const batch = queue.slice(0, BATCH_SIZE);
+  let failed = false;
+  try {
+    await current.send(batch);
+    retryDelay = RETRY_MIN_MS;
+  } catch (error) {
+    if (error.rejected) {
+      await writeToFileSink(batch, error.message);
+    } else {
+      failed = true;
+      console.error(`xAPI: could not send ${batch.length} statement(s), retrying in ${retryDelay / 1000}s:`, error.message);
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        flush();
+      }, retryDelay);
+      retryTimer.unref();
+      retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+    }
+  } finally {
+    sending = false;
+  }
+
+  if (!failed) {
+    const sent = new Set(batch);
+    queue = queue.filter(statement => !sent.has(statement));
+    flush();
+  }
+}
+
+// Queue statements for the transport. Never throws: learning records must not break a game.
+function record(statements) {
+  try {
+    if (!getTransport() || statements.length === 0) return;
+  } catch (error) {
+    console.error('xAPI:', error.message);
+    return;
+  }
+
+  queue.push(...statements);
+  if (queue.length > QUEUE_LIMIT) {
+    // Never drop the batch being sent, only older statements still waiting
+    const overflow = queue.slice(sending ? BATCH_SIZE : 0).slice(0, queue.length - QUEUE_LIMIT);
+    const dropped = new Set(overflow);
+    queue = queue.filter(statement => !dropped.has(statement));
+    writeToFileSink(overflow, `retry queue is full (${QUEUE_LIMIT})`);
+  }
+  flush();
+}
+
+// Building statements
+
+function actor(player) {
+  return {
+    objectType: 'Agent',
+    name: player.username,
+    account: { homePage: appUrl(), name: player.username }
+  };
+}
+
+function verb(name) {
+  return { id: VERBS[name], display: { 'en-US': name } };
+}
+
+// The quiz of one category (or the spaced-repetition review round, or one day's challenge)
+function gameActivity(session) {
+  let name = `${session.category} quiz`;
+  let id = `${appUrl()}/xapi/activities/category/${encodeURIComponent(session.category)}`;
+  if (session.reviewRound) {
+    name = 'Review round';
+    id = `${appUrl()}/xapi/activities/review`;
+  } else if (session.dailyChallenge) {
+    name = `Daily challenge ${session.dailyChallenge}`;
+    id = `${appUrl()}/xapi/activities/daily-challenge/${session.dailyChallenge}`;
+  }
+
+  return {
+    objectType: 'Activity',
+    id: id,
+    definition: {
+      type: ACTIVITY_TYPES.assessment,
+      name: { 'en-US': name }
+    }
+  };
+}
+
+// Question text is in the language the game was played in
+function questionActivity(question, language) {
+  const correctIds = question.answers.filter(answer => answer.isCorrect).map(answer => String(answer.AnswerID));
+  return {
+    objectType: 'Activity',
+    id: `${appUrl()}/xapi/activities/question/${question.QuestionID}`,
+    definition: {
+      type: ACTIVITY_TYPES.interaction,
+      name: { [language]: question.QuestionText },
+      interactionType: 'choice',
+      choices: question.answers.map(answer => ({
+        id: String(answer.AnswerID),
+        description: { [language]: answer.AnswerText }
+      })),
+      correctResponsesPattern: [correctIds.join('[,]')]
+    }
+  };
+}
+
+// Statements of one game share its session ID as the xAPI registration
+function context(session, parent) {
+  const extensions = {
+    [`${appUrl()}/xapi/extensions/adaptive`]: Boolean(session.adaptive)
+  };
+  if (session.matchId) extensions[`${appUrl()}/xapi/extensions/match`] = session.matchId;
+
+  return {
+    registration: session.id,
+    platform: 'Cybersecurity Awareness Game',
+    language: session.language || 'en',
+    ...(parent ? { contextActivities: { parent: [parent] } } : {}),
+    extensions: extensions
+  };
+}
+
+function statement(player, verbName, object, fields) {
+  return {
+    id: crypto.randomUUID(),
+    actor: actor(player),
+    verb: verb(verbName),
+    object: object,
+    timestamp: new Date().toISOString(),
+    ...fields
+  };
+}
+
+// ISO 8601 duration, e.g. PT95S
+function duration(milliseconds) {
+  return `PT${Math.max(0, Math.round(milliseconds / 1000))}S`;
+}
+
+// Game events (server.js calls these; guests are skipped)
+
+function gameStarted(session) {
+  if (session.player.isGuest) return;
+  record([statement(session.player, 'attempted', gameActivity(session), {
+    context: context(session)
+  })]);
+}
+
+// `result` is the grading result from gameSessions.submitAnswer
+function questionAnswered(session, result) {
+  if (session.player.isGuest) return;
+  const question = session.questions.find(q => q.QuestionID === result.questionId);
+  if (!question) return;
+
+  record([statement(session.player, 'answered', questionActivity(question, session.language || 'en'), {
+    result: {
+      success: result.correct,
+      response: result.answerIds.map(String).join('[,]'),
+      score: {
+        raw: result.points,
+        min: 0,
+        max: result.maxPoints,
+        scaled: result.maxPoints > 0 ? result.points / result.maxPoints : 0
+      }
+    },
+    context: context(session, gameActivity(session))
+  })]);
+}
+
+// `result` is session.result from gameSessions.finishSession
+function gameCompleted(session, result) {
+  if (session.player.isGuest) return;
+  const percent = result.totalQuestions > 0 ? (result.correctAnswers / result.totalQuestions) * 100 : 0;
+
+  record([statement(session.player, 'completed', gameActivity(session), {
+    result: {
+      completion: true,
+      success: percent >= PASS_PERCENT,
+      score: {
+        raw: result.score,
+        min: 0,
+        scaled: Math.round(percent) / 100
+      },
+      duration: duration(Date.now() - session.startedAt),
+      extensions: {
+        [`${appUrl()}/xapi/extensions/correct-answers`]: result.correctAnswers,
+        [`${appUrl()}/xapi/extensions/answered-questions`]: result.answeredQuestions,
+        [`${appUrl()}/xapi/extensions/total-questions`]: result.totalQuestions
+      }
+    },
+    context: context(session)
+  })]);
+}
+
+// `unlocked` are achievements from achievements.awardAchievements
+function achievementsEarned(session, unlocked) {
+  if (session.player.isGuest) return;
+  record(unlocked.map(achievement => statement(session.player, 'earned', {
+    objectType: 'Activity',
+    id: `${appUrl()}/xapi/activities/achievement/${encodeURIComponent(achievement.id)}`,
+    definition: {
+      type: ACTIVITY_TYPES.badge,
+      name: { 'en-US': achievement.title },
+      description: { 'en-US': achievement.description }
+    }
+  }, {
+    context: context(session, gameActivity(session))
+  })));
+}
+
+module.exports = {
+  PASS_PERCENT,
+  setTransport,
+  gameStarted,
+  questionAnswered,
+  gameCompleted,
+  achievementsEarned
+};
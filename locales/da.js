@@ -0,0 +1,468 @@
+// Danish interface text. Strings left out here are shown in English.
+addTranslations('da', 'Dansk', {
+    'app.title': 'Spil om IT-sikkerhed',
+    'app.logoAlt': 'Logo for spillet om IT-sikkerhed',
+
+    'common.allCategories': 'Alle kategorier',
+    'common.backToLogin': 'Tilbage til login',
+    'common.backToMainMenu': 'Tilbage til hovedmenuen',
+    'common.backToMenu': 'Tilbage til menuen',
+    'common.cancel': 'Annuller',
+    'common.close': 'Luk',
+    'common.next': 'Næste',
+    'common.ok': 'OK',
+    'common.pageOf': 'Side {page} af {total}',
+    'common.playAgain': 'Spil igen',
+    'common.previous': 'Forrige',
+    'common.viewLeaderboard': 'Se ranglisten',
+
+    'status.currentScreen': 'Aktuel skærm:',
+    'status.language': 'Sprog:',
+
+    'splash.loading': 'Indlæser spillet...',
+    'splash.skip': 'Gå til login',
+
+    'form.username': 'Brugernavn:',
+    'form.password': 'Adgangskode:',
+    'form.email': 'E-mail:',
+    'form.allFieldsRequired': 'Alle felter skal udfyldes',
+    'form.invalidEmail': 'Indtast en gyldig e-mailadresse',
+
+    'login.submit': 'Log ind',
+    'login.forgotPassword': 'Glemt adgangskode?',
+    'login.createAccount': 'Opret konto',
+    'login.guest': 'Spil som gæst',
+    'login.required': 'Brugernavn og adgangskode skal udfyldes',
+    'login.invalid': 'Forkert brugernavn eller adgangskode',
+    'login.lockedCountdown.one': 'Kontoen er låst. Prøv igen om {count} sekund.',
+    'login.lockedCountdown.other': 'Kontoen er låst. Prøv igen om {count} sekunder.',
+    'login.unlocked': 'Kontoen er låst op. Du kan prøve igen.',
+    'session.expired': 'Din session er udløbet. Log ind igen.',
+
+    'account.title': 'Opret konto',
+    'account.submit': 'Opret konto',
+    'account.created': 'Kontoen er oprettet!',
+
+    'password.requirements': 'Krav til adgangskoden:',
+    'password.requirement.length': 'Mindst 10 tegn',
+    'password.requirement.uppercase': 'Mindst 1 stort bogstav',
+    'password.requirement.lowercase': 'Mindst 1 lille bogstav',
+    'password.requirement.number': 'Mindst 1 tal',
+    'password.requirement.special': 'Mindst 1 specialtegn',
+
+    'reset.title': 'Nulstil adgangskode',
+    'reset.intro': 'Indtast dit brugernavn og e-mailadressen på din konto. Vi sender dig en nulstillingskode, der kan bruges én gang.',
+    'reset.sendCode': 'Send kode',
+    'reset.haveCode': 'Jeg har en kode',
+    'reset.code': 'Nulstillingskode:',
+    'reset.newPassword': 'Ny adgangskode:',
+    'reset.submit': 'Nulstil adgangskode',
+    'reset.requestNewCode': 'Bed om en ny kode',
+    'reset.enterCode': 'Indtast koden fra din e-mail',
+    'reset.invalidCode': 'Koden er ugyldig eller udløbet',
+    'reset.success': 'Adgangskoden er ændret!',
+
+    'menu.title': 'Hovedmenu',
+    'menu.welcome': 'Velkommen til spillet om IT-sikkerhed!',
+    'menu.welcomeUser': 'Velkommen, {username}! Test din viden om trusler og beskyttelse på nettet.',
+    'menu.play': 'Spil',
+    'menu.live': 'Live-quiz',
+    'menu.tournaments': 'Turneringer',
+    'menu.profile': 'Profil',
+    'menu.leaderboard': 'Rangliste',
+    'menu.classes': 'Hold',
+    'menu.questionBank': 'Spørgsmålsbank',
+    'menu.auditLog': 'Revisionslog',
+    'menu.logout': 'Log ud',
+
+    'players.title': 'Spillere online',
+    'players.challenge': 'Udfordr',
+    'players.message': 'Besked',
+    'players.you': '{username} (dig)',
+
+    'selection.title': 'Vælg spil',
+    'selection.intro': 'Vælg et scenarie om IT-sikkerhed:',
+    'selection.adaptive': 'Tilpasset sværhedsgrad (spørgsmålene bliver sværere eller lettere efter dine svar)',
+    'selection.phishing.title': 'Phishing-angreb',
+    'selection.phishing.description': 'Lær at genkende og undgå phishing.',
+    'selection.social.title': 'Social manipulation',
+    'selection.social.description': 'Lær at genkende og undgå social manipulation.',
+    'selection.mobile.title': 'Sikkerhed på mobilen',
+    'selection.mobile.description': 'Beskyt din smartphone mod forskellige trusler.',
+    'selection.review.title': 'Gennemgå mine fejl',
+    'selection.review.description': 'Øv de spørgsmål, du svarede forkert på eller ikke har set længe.',
+    'selection.review.due.one': '{count} klar nu.',
+    'selection.review.due.other': '{count} klar nu.',
+    'selection.review.nothingDue': 'Intet at gennemgå lige nu.',
+
+    'category.Phishing Defense': 'Forsvar mod phishing',
+    'category.Social Engineering': 'Social manipulation',
+    'category.Password Security': 'Sikre adgangskoder',
+    'category.Daily Challenge': 'Dagens udfordring',
+
+    'difficulty.easy': 'Let',
+    'difficulty.medium': 'Middel',
+    'difficulty.hard': 'Svær',
+
+    'skill.beginner': 'Begynder',
+    'skill.intermediate': 'Øvet',
+    'skill.advanced': 'Erfaren',
+
+    'questionType.multiple_choice': 'Multiple choice',
+    'questionType.true_false': 'Sandt eller falsk',
+    'questionType.multi_select': 'Vælg alle der passer',
+    'questionType.red_flags': 'Find faresignalerne',
+
+    'game.categoryTitle': 'Quiz: {category}',
+    'game.question': 'Spørgsmål',
+    'game.score': 'Point:',
+    'game.time': 'Tid:',
+    'game.secondsUnit': ' sek.',
+    'game.difficultyLevel': 'Sværhedsgrad: {level}',
+    'game.submitAnswer': 'Svar',
+    'game.nextQuestion': 'Næste spørgsmål',
+    'game.end': 'Afslut spil',
+    'game.loadingQuestions': 'Indlæser spørgsmål...',
+    'game.noQuestions': 'Der er ingen spørgsmål i denne kategori. Prøv en anden kategori.',
+    'game.noQuestionsFound': 'Ingen spørgsmål fundet.',
+    'game.backToCategories': 'Tilbage til kategorierne',
+    'game.loadError': 'Spørgsmålene kunne ikke indlæses: {message}',
+    'game.notEnoughAnswers': 'Fejl: Spørgsmålet har ikke nok svarmuligheder.',
+    'game.endedWhileDisconnected': 'Dit spil sluttede, mens du var afbrudt.',
+    'game.hint.trueFalse': 'Sandt eller falsk?',
+    'game.hint.multiSelect': 'Vælg alle der passer, og tryk så på Svar.',
+    'game.hint.redFlags': 'Klik på alle mistænkelige dele af beskeden, og tryk så på Svar.',
+
+    'answer.correct': 'Rigtigt! Det er det rigtige svar.',
+    'answer.correctAll': 'Rigtigt! Du fandt dem alle.',
+    'answer.partlyRight': 'Delvist rigtigt: {points} af {maxPoints} point.',
+    'answer.incorrect': 'Forkert.',
+    'answer.incorrectShowAnswer': 'Forkert. Det rigtige svar er {letter}.',
+    'answer.missedHint': 'Stiplede rammer viser, hvad du overså.',
+
+    'match.status': 'mod {opponent}: {score} point ({answered} besvaret)',
+    'match.waiting': 'Venter på, at {opponent} bliver færdig...',
+    'match.draw': 'Uafgjort!',
+    'match.win': 'Du vinder!',
+    'match.winForfeit': 'Du vinder! {opponent} forlod kampen.',
+    'match.lost': '{winner} vinder!',
+
+    'challenge.title': 'Udfordr {opponent}',
+    'challenge.chooseCategory': 'Vælg en kategori:',
+    'challenge.category.phishing': 'Phishing',
+    'challenge.category.social': 'Social manipulation',
+    'challenge.category.mobile': 'Sikkerhed på mobilen',
+    'challenge.request': '{challenger} udfordrer dig til en quiz om {category}! Tager du imod?',
+    'challenge.sent.one': 'Udfordringen er sendt til {opponent}. Venter {count} sekund på svar...',
+    'challenge.sent.other': 'Udfordringen er sendt til {opponent}. Venter {count} sekunder på svar...',
+    'challenge.declined': '{opponent} afslog din udfordring.',
+    'challenge.expired': 'Udfordringen er udløbet.',
+
+    'results.title': 'Resultat',
+    'results.yourScore': 'Dine point:',
+    'results.correctAnswers': 'Rigtige svar:',
+    'results.summary': 'Oversigt:',
+    'results.category': 'Kategori:',
+    'results.categoryName': '{category}',
+    'results.reviewRound': 'Gennemgang (øvelse - tæller ikke med i dine point)',
+    'results.dailyChallenge': 'Dagens udfordring - se din placering på udfordringens rangliste',
+    'results.byDifficulty': 'Spørgsmål efter sværhedsgrad:',
+    'results.easy': 'Lette:',
+    'results.medium': 'Middel:',
+    'results.hard': 'Svære:',
+    'results.skillEstimate': 'Dit niveau i {category}: {level} ({percent}%) - anbefalet sværhedsgrad: {difficulty}',
+    'results.recommendations': 'Anbefalinger:',
+    'results.timeBonus': 'Tidsbonus!',
+    'results.timeBonusDetail.one': 'Du blev færdig med {count} sekund tilbage og får {percent}% bonus!',
+    'results.timeBonusDetail.other': 'Du blev færdig med {count} sekunder tilbage og får {percent}% bonus!',
+    'results.reviewAnswers': 'Gennemgå svarene',
+
+    'recommendation.easy': 'Genopfrisk det grundlæggende om {category}',
+    'recommendation.medium': 'Øv dig i at genkende mere komplekse trusler inden for {category}',
+    'recommendation.hard': 'Lær avancerede måder at forebygge angreb inden for {category}',
+    'recommendation.otherCategories': 'Prøv vores andre kategorier for at styrke din samlede viden',
+    'recommendation.twoFactor': 'Overvej at slå totrinsbekræftelse til på dine vigtige konti',
+
+    'review.title': 'Gennemgå svarene',
+    'review.intro': 'Gå alle spørgsmålene fra dit sidste spil igennem, og lær hvorfor det rigtige svar er rigtigt.',
+    'review.backToResults': 'Tilbage til resultatet',
+    'review.difficulty': 'Sværhedsgrad:',
+    'review.yourAnswer': 'Dit svar:',
+    'review.correctAnswer': 'Rigtigt svar:',
+    'review.whyNotYours': 'Hvorfor dit svar ikke passer:',
+    'review.whyRight': 'Hvorfor dette er rigtigt:',
+    'review.explanation': 'Forklaring:',
+    'review.notAnswered': 'Ikke besvaret',
+    'review.nothingSelected': 'Intet valgt',
+    'review.outcome.correct': 'rigtigt, +{points} point',
+    'review.outcome.partlyRight': 'delvist rigtigt, +{points} point',
+    'review.outcome.incorrect': 'forkert',
+
+    'leaderboard.title': 'Rangliste',
+    'leaderboard.period': 'Periode:',
+    'leaderboard.category': 'Kategori:',
+    'leaderboard.window.daily': 'I dag',
+    'leaderboard.window.weekly': 'Denne uge',
+    'leaderboard.window.all': 'Altid',
+    'leaderboard.empty': 'Ingen resultater i denne periode endnu.',
+    'leaderboard.yourRank': 'Din placering:',
+    'leaderboard.rank': 'Nr. {rank} af {total} ({score} point)',
+    'leaderboard.notRanked': 'Ikke placeret endnu',
+    'leaderboard.viewProfile': 'Se profil',
+
+    'table.rank': 'Placering',
+    'table.player': 'Spiller',
+    'table.score': 'Point',
+    'table.date': 'Dato',
+    'table.category': 'Kategori',
+    'table.correct': 'Rigtige',
+    'table.timeLeft': 'Tid tilbage',
+    'table.due': 'Frist',
+    'table.completed': 'Gennemført',
+    'table.late': 'For sent',
+    'table.students': 'Elever',
+    'table.assignments': 'Opgaver',
+    'table.completion': 'Gennemført',
+    'table.classAccuracy': 'Holdets træfsikkerhed',
+
+    'profile.title': 'Profil',
+    'profile.information': 'Brugeroplysninger',
+    'profile.username': 'Brugernavn:',
+    'profile.joinDate': 'Oprettet:',
+    'profile.gamesPlayed': 'Spil spillet:',
+    'profile.highScore': 'Rekord:',
+    'profile.reviewDue': 'Klar til gennemgang:',
+    'profile.questions': 'spørgsmål',
+    'profile.statistics': 'Statistik',
+    'profile.phishing': 'Viden om phishing:',
+    'profile.social': 'Social manipulation:',
+    'profile.mobile': 'Sikkerhed på mobilen:',
+    'profile.categoryDetail.one': '{correct} rigtige ud af {count} spørgsmål',
+    'profile.categoryDetail.other': '{correct} rigtige ud af {count} spørgsmål',
+    'profile.achievements': 'Præstationer',
+    'profile.accuracyOverTime': 'Træfsikkerhed over tid',
+    'profile.history': 'Spilhistorik',
+
+    'history.adaptive': 'tilpasset',
+    'history.match': 'kamp',
+    'history.empty': 'Du har ikke spillet endnu.',
+    'history.chartEmpty': 'Spil nogle spil for at se dine fremskridt her.',
+
+    'achievements.unlocked': 'Ny præstation!',
+    'achievements.guest': 'Opret en konto for at opnå præstationer.',
+    'achievements.none': 'Ingen præstationer endnu.',
+    'achievements.earnedOn': 'Opnået {date}',
+    'achievements.notEarned': 'Ikke opnået endnu',
+
+    'achievement.first_game.title': 'De første skridt',
+    'achievement.first_game.description': 'Gennemfør dit første spil',
+    'achievement.perfect_score.title': 'Perfekt sikkerhed',
+    'achievement.perfect_score.description': 'Få 100% i en quiz',
+    'achievement.social_master.title': 'Ekspert i social manipulation',
+    'achievement.social_master.description': 'Få mindst 90% i kategorien Social manipulation',
+    'achievement.mobile_guardian.title': 'Mobilvogter',
+    'achievement.mobile_guardian.description': 'Få mindst 90% i kategorien Sikkerhed på mobilen',
+    'achievement.phishing_detector.title': 'Phishing-detektor',
+    'achievement.phishing_detector.description': 'Få mindst 90% i kategorien Phishing',
+    'achievement.speed_demon.title': 'Lynhurtig',
+    'achievement.speed_demon.description': 'Besvar alle spørgsmål i en quiz med mindst 30 sekunder tilbage',
+    'achievement.hot_streak.title': 'I hopla',
+    'achievement.hot_streak.description': 'Svar rigtigt på 10 spørgsmål i træk',
+    'achievement.daily_streak.title': 'Vanedyr',
+    'achievement.daily_streak.description': 'Spil 3 dage i træk',
+    'achievement.all_rounder.title': 'Alsidig',
+    'achievement.all_rounder.description': 'Gennemfør et spil i alle kategorier',
+    'achievement.second_look.title': 'Et ekstra kig',
+    'achievement.second_look.description': 'Gennemfør en runde "Gennemgå mine fejl"',
+
+    'chat.title': 'Chat',
+    'chat.placeholder': 'Skriv en besked...',
+    'chat.send': 'Send',
+    'chat.lobby': 'Lobby',
+    'chat.match': 'Kamp',
+    'chat.deleteMessage': 'Slet besked',
+    'chat.kicked.one': '{by} har fjernet dig fra kanalen i {count} minut.',
+    'chat.kicked.other': '{by} har fjernet dig fra kanalen i {count} minutter.',
+
+    'classes.title': 'Hold',
+    'classes.mine': 'Mine hold',
+    'classes.joinCode': 'Holdkode',
+    'classes.join': 'Tilmeld hold',
+    'classes.enterCode': 'Indtast holdkoden fra din underviser',
+    'classes.noneJoined': 'Du er ikke tilmeldt et hold endnu.',
+    'classes.enrolledTitle': '{name} (underviser: {instructor})',
+    'classes.noAssignments': 'Ingen opgaver endnu.',
+    'classes.assignmentDue': '{category} - frist {due}',
+    'classes.assignmentAdded': 'Ny opgave på {className}: {category}, frist {due}',
+    'classes.play': 'Spil',
+    'classes.leave': 'Forlad hold',
+    'classes.confirmLeave': 'Forlad {name}?',
+    'classes.status.completed': 'gennemført',
+    'classes.status.late': 'for sent',
+    'classes.status.pending': 'mangler',
+    'classes.status.missed': 'overskredet',
+    'classes.teaching': 'Hold jeg underviser',
+    'classes.name': 'Holdnavn',
+    'classes.create': 'Opret hold',
+    'classes.noneTeaching': 'Opret et hold, og del holdkoden med dine elever.',
+    'classes.taughtTitle.one': '{name} · {count} elev · holdkode',
+    'classes.taughtTitle.other': '{name} · {count} elever · holdkode',
+    'classes.remove': 'Fjern',
+    'classes.assign': 'Giv opgave',
+    'classes.viewReport': 'Se rapport',
+    'classes.exportCsv': 'Eksporter CSV',
+    'classes.closeReport': 'Luk rapport',
+    'classes.assignments': 'Opgaver',
+    'classes.categories': 'Kategorier',
+    'classes.students': 'Elever',
+    'classes.reportTitle.one': 'Rapport: {name} ({count} elev)',
+    'classes.reportTitle.other': 'Rapport: {name} ({count} elever)',
+    'classes.report.student': 'Elev',
+    'classes.report.completed': 'Gennemført',
+    'classes.report.completedOf': '{completed} af {total}',
+    'classes.report.accuracy': 'Træfsikkerhed i {category}',
+    'classes.report.noStudents': 'Ingen elever er tilmeldt endnu. Del holdkoden med dem.',
+    'classes.confirmRemove': 'Fjern {username} fra {name}?',
+
+    'live.title': 'Live-quiz',
+    'live.joinTitle': 'Deltag i en live-quiz',
+    'live.roomCode': 'Rumkode',
+    'live.join': 'Deltag',
+    'live.enterCode': 'Indtast rumkoden fra din vært',
+    'live.hostTitle': 'Vær vært for en live-quiz',
+    'live.questionCount': 'Spørgsmål:',
+    'live.questionSeconds': 'Sekunder pr. spørgsmål:',
+    'live.create': 'Opret rum',
+    'live.roomCodeLabel': 'Rumkode:',
+    'live.questionOf': '{category} - spørgsmål {number} af {total}',
+    'live.lobbyHost.one': '{count} spiller er med. Start, når alle er klar.',
+    'live.lobbyHost.other': '{count} spillere er med. Start, når alle er klar.',
+    'live.lobbyPlayer': 'Venter på, at {host} starter quizzen...',
+    'live.answeredCount': '{answered} af {total} spillere har svaret',
+    'live.waitingForOthers': 'Svar sendt. Venter på de andre...',
+    'live.pointsEarned': '+{points} point for det spørgsmål!',
+    'live.noPoints': 'Ingen point for det spørgsmål.',
+    'live.finalPlace': 'Du blev nr. {rank} af {total}!',
+    'live.finished': 'Quizzen er slut.',
+    'live.answers': 'Sådan svarede rummet',
+    'live.correctCount': '{correct} af {answered} svarede rigtigt',
+    'live.points': '{score} point',
+    'live.scoreboard': 'Pointtavle',
+    'live.lastQuestion': 'Sidste spørgsmål',
+    'live.offline': 'offline',
+    'live.noPlayers': 'Ingen spillere endnu. Del rumkoden.',
+    'live.start': 'Start quiz',
+    'live.nextQuestion': 'Næste spørgsmål',
+    'live.showPodium': 'Vis podiet',
+    'live.showResults': 'Vis resultater nu',
+    'live.end': 'Afslut live-quiz',
+    'live.leave': 'Forlad',
+
+    'daily.title': 'Dagens udfordring',
+    'daily.play': 'Spil dagens udfordring',
+    'daily.leaderboard': 'Udfordringens rangliste',
+    'daily.ready.one': 'Dagens udfordring er klar: {count} spørgsmål, ét forsøg.',
+    'daily.ready.other': 'Dagens udfordring er klar: {count} spørgsmål, ét forsøg.',
+    'daily.done': 'Klaret for i dag! Du fik {score} point ({correct}/{total} rigtige).',
+    'daily.unfinished': 'Du startede dagens udfordring, men gjorde den ikke færdig.',
+    'daily.unavailable': 'Der er ingen udfordring i dag.',
+    'daily.guest': 'Opret en konto for at deltage i dagens udfordring.',
+    'daily.streak.one': 'Stime: {count} dag (bedste: {best})',
+    'daily.streak.other': 'Stime: {count} dage (bedste: {best})',
+    'daily.nextIn': 'Næste udfordring om {hours} t {minutes} min ({time})',
+    'daily.noResults': 'Ingen har gjort dagens udfordring færdig endnu.',
+
+    'tournaments.title': 'Turneringer',
+    'tournaments.createTitle': 'Arranger en turnering',
+    'tournaments.name': 'Turneringens navn',
+    'tournaments.create': 'Opret turnering',
+    'tournaments.singleElimination': 'Knockout',
+    'tournaments.roundRobin': 'Alle mod alle',
+    'tournaments.none': 'Ingen turneringer endnu.',
+    'tournaments.info': '{category} - {format} - arrangeret af {organizer}',
+    'tournaments.playerCount.one': '{count} spiller',
+    'tournaments.playerCount.other': '{count} spillere',
+    'tournaments.registration': 'Tilmeldingen er åben',
+    'tournaments.running': 'Runde {round} af {total}',
+    'tournaments.finished': 'Afsluttet - vinder: {winner}',
+    'tournaments.youAreIn': '(du er med)',
+    'tournaments.view': 'Vis',
+    'tournaments.join': 'Tilmeld',
+    'tournaments.leave': 'Afmeld',
+    'tournaments.start': 'Luk tilmeldingen og start',
+    'tournaments.startRound': 'Start runde {round}',
+    'tournaments.all': 'Alle turneringer',
+    'tournaments.players': 'Spillere',
+    'tournaments.noPlayers': 'Ingen har tilmeldt sig endnu.',
+    'tournaments.seeded': '{username} (seedet {seed})',
+    'tournaments.standings': 'Stilling',
+    'tournaments.played': 'Spillet',
+    'tournaments.record': 'V/U/T',
+    'tournaments.points': 'Point',
+    'tournaments.round': 'Runde {round}',
+    'tournaments.final': 'Finale',
+    'tournaments.bye': 'Fri',
+    'tournaments.toBeDecided': 'Afgøres senere',
+    'tournaments.playing': 'Spilles nu',
+    'tournaments.won': '{winner} vandt',
+    'tournaments.draw': 'Uafgjort',
+    'tournaments.matchWaiting': 'Klar til at blive spillet',
+    'tournaments.readyPlayers': 'Klar: {players}',
+    'tournaments.play': 'Spil kamp',
+    'tournaments.award': 'Tildel {username} sejren',
+    'tournaments.confirmAward': 'Tildel {username} sejren i denne kamp uden at spille den?',
+    'tournaments.matchReady': '{name}: din kamp i runde {round} mod {opponent} er klar. Åbn Turneringer for at spille den.',
+    'tournaments.opponentReady': '{name}: {opponent} er klar til at spille jeres kamp.',
+    'tournaments.roundComplete': '{name}: runde {round} er færdigspillet.',
+    'tournaments.finishedNotice': '{name} er slut. {winner} vandt turneringen!',
+    'tournaments.youWon': 'Du vandt {name}!',
+
+    'auditLog.title': 'Revisionslog',
+    'auditLog.username': 'Brugernavn',
+    'auditLog.allEvents': 'Alle hændelser',
+    'auditLog.address': 'IP-adresse',
+    'auditLog.search': 'Søg',
+    'auditLog.time': 'Tidspunkt',
+    'auditLog.event': 'Hændelse',
+    'auditLog.detail': 'Detaljer',
+    'auditLog.empty': 'Ingen hændelser matcher.',
+    'rateLimit.slowDown': 'Du går for hurtigt frem. Prøv igen om {seconds} sekunder.',
+    'invalidPayload.rejected': 'Anmodningen kunne ikke sendes. Kontroller det, du har indtastet, og prøv igen.',
+
+    'questionBank.title': 'Spørgsmålsbank',
+    'questionBank.tag': 'Mærke',
+    'questionBank.showRetired': 'Vis udgåede',
+    'questionBank.refresh': 'Opdater',
+    'questionBank.newQuestion': 'Nyt spørgsmål',
+    'questionBank.editQuestion': 'Rediger spørgsmål #{id}',
+    'questionBank.empty': 'Ingen spørgsmål fundet.',
+    'questionBank.tagList': 'mærker: {tags}',
+    'questionBank.retired': 'udgået',
+    'questionBank.edit': 'Rediger',
+    'questionBank.retire': 'Tag ud',
+    'questionBank.restore': 'Gendan',
+    'questionBank.category': 'Kategori',
+    'questionBank.difficulty': 'Sværhedsgrad',
+    'questionBank.type': 'Spørgsmålstype',
+    'questionBank.format': 'Beskeden vises som',
+    'questionBank.format.email': 'E-mail',
+    'questionBank.format.sms': 'SMS',
+    'questionBank.text': 'Spørgsmål',
+    'questionBank.explanation': 'Forklaring (vises efter svaret)',
+    'questionBank.tags': 'Mærker (adskilt med komma)',
+    'questionBank.answers.single': 'Svar (vælg det rigtige; forklaringen ved et svar er valgfri)',
+    'questionBank.answers.multiple': 'Svar (sæt flueben ved alle rigtige, 3 til 8 svar)',
+    'questionBank.answers.redFlags': 'Beskedens dele i læserækkefølge (sæt flueben ved faresignalerne; medtag mellemrum og linjeskift, som de skal vises)',
+    'questionBank.answerPlaceholder': 'Svar {letter}',
+    'questionBank.whyPlaceholder': 'Hvorfor (valgfrit)',
+    'questionBank.removeAnswer': 'Fjern svar',
+    'questionBank.addAnswer': 'Tilføj svar',
+    'questionBank.save': 'Gem spørgsmål',
+    'questionBank.saved': 'Spørgsmålet er gemt',
+    'questionBank.importExport': 'Import / eksport',
+    'questionBank.export': 'Eksporter',
+    'questionBank.import': 'Importer',
+    'questionBank.chooseFile': 'Vælg en JSON- eller CSV-fil at importere',
+    'questionBank.importFailed': 'Intet blev importeret:',
+    'questionBank.imported': 'Importeret: {created} oprettet, {updated} opdateret'
+});
@@ -0,0 +1,443 @@
+// English interface text - the fallback for strings another language leaves out.
+// {name} placeholders are filled in by t(); keys ending in .one / .other are picked by tn().
+addTranslations('en', 'English', {
+    'app.title': 'Cybersecurity Awareness Game',
+    'app.logoAlt': 'Cybersecurity Game Logo',
+
+    'common.allCategories': 'All categories',
+    'common.backToLogin': 'Back to Login',
+    'common.backToMainMenu': 'Back to Main Menu',
+    'common.backToMenu': 'Back to Menu',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.next': 'Next',
+    'common.ok': 'OK',
+    'common.pageOf': 'Page {page} of {total}',
+    'common.playAgain': 'Play Again',
+    'common.previous': 'Previous',
+    'common.viewLeaderboard': 'View Leaderboard',
+
+    'status.currentScreen': 'Current Screen:',
+    'status.language': 'Language:',
+
+    'splash.loading': 'Loading game resources...',
+    'splash.skip': 'Skip to Login',
+
+    'form.username': 'Username:',
+    'form.password': 'Password:',
+    'form.email': 'Email:',
+    'form.allFieldsRequired': 'All fields are required',
+    'form.invalidEmail': 'Please enter a valid email address',
+
+    'login.submit': 'Login',
+    'login.forgotPassword': 'Forgot password?',
+    'login.createAccount': 'Create Account',
+    'login.guest': 'Play as Guest',
+    'login.required': 'Username and password are required',
+    'login.invalid': 'Invalid username or password',
+    'login.lockedCountdown.one': 'Account locked. Try again in {count} second.',
+    'login.lockedCountdown.other': 'Account locked. Try again in {count} seconds.',
+    'login.unlocked': 'Account unlocked. You may try again.',
+    'session.expired': 'Your session has expired. Please log in again.',
+
+    'account.title': 'Create Account',
+    'account.submit': 'Create Account',
+    'account.created': 'Account created successfully!',
+
+    'password.requirements': 'Password Requirements:',
+    'password.requirement.length': 'At least 10 characters',
+    'password.requirement.uppercase': 'At least 1 uppercase character',
+    'password.requirement.lowercase': 'At least 1 lowercase character',
+    'password.requirement.number': 'At least 1 number',
+    'password.requirement.special': 'At least 1 special character',
+
+    'reset.title': 'Reset Password',
+    'reset.intro': "Enter your username and the email address on your account. We'll email you a single-use reset code.",
+    'reset.sendCode': 'Send Reset Code',
+    'reset.haveCode': 'I Have a Code',
+    'reset.code': 'Reset Code:',
+    'reset.newPassword': 'New Password:',
+    'reset.submit': 'Reset Password',
+    'reset.requestNewCode': 'Request a New Code',
+    'reset.enterCode': 'Enter the reset code from your email',
+    'reset.invalidCode': 'Invalid or expired reset code',
+    'reset.success': 'Password changed successfully!',
+
+    'menu.title': 'Main Menu',
+    'menu.welcome': 'Welcome to the Cybersecurity Awareness Game!',
+    'menu.welcomeUser': 'Welcome, {username}! Test your knowledge about cybersecurity threats and protections.',
+    'menu.play': 'Play Game',
+    'menu.live': 'Live Quiz',
+    'menu.tournaments': 'Tournaments',
+    'menu.profile': 'User Profile',
+    'menu.leaderboard': 'Leaderboard',
+    'menu.classes': 'Classes',
+    'menu.questionBank': 'Question Bank',
+    'menu.auditLog': 'Audit Log',
+    'menu.logout': 'Logout',
+
+    'players.title': 'Online Players',
+    'players.challenge': 'Challenge',
+    'players.message': 'Message',
+    'players.you': '{username} (You)',
+
+    'selection.title': 'Game Selection',
+    'selection.intro': 'Choose a cybersecurity scenario to play:',
+    'selection.adaptive': 'Adaptive difficulty (questions get harder or easier based on your answers)',
+    'selection.phishing.title': 'Phishing Attacks',
+    'selection.phishing.description': 'Learn to identify and avoid phishing attempts.',
+    'selection.social.title': 'Social Engineering',
+    'selection.social.description': 'Learn to identify and avoid social engineering attempts.',
+    'selection.mobile.title': 'Mobile Device Security',
+    'selection.mobile.description': 'Protecting your smartphone from various threats.',
+    'selection.review.title': 'Review My Mistakes',
+    'selection.review.description': "Practice questions you got wrong or haven't seen for a while.",
+    'selection.review.due.one': '{count} due now.',
+    'selection.review.due.other': '{count} due now.',
+    'selection.review.nothingDue': 'Nothing due right now.',
+
+    'difficulty.easy': 'Easy',
+    'difficulty.medium': 'Medium',
+    'difficulty.hard': 'Hard',
+
+    'skill.beginner': 'Beginner',
+    'skill.intermediate': 'Intermediate',
+    'skill.advanced': 'Advanced',
+
+    'questionType.multiple_choice': 'Multiple choice',
+    'questionType.true_false': 'True or false',
+    'questionType.multi_select': 'Choose all that apply',
+    'questionType.red_flags': 'Spot the red flags',
+
+    'game.categoryTitle': '{category} Security Quiz',
+    'game.question': 'Question',
+    'game.score': 'Score:',
+    'game.time': 'Time:',
+    'game.secondsUnit': 's',
+    'game.difficultyLevel': 'Difficulty: {level}',
+    'game.submitAnswer': 'Submit Answer',
+    'game.nextQuestion': 'Next Question',
+    'game.end': 'End Game',
+    'game.loadingQuestions': 'Loading questions...',
+    'game.noQuestions': 'No questions available for this category. Please try another category.',
+    'game.noQuestionsFound': 'No questions found.',
+    'game.backToCategories': 'Back to Categories',
+    'game.loadError': 'Error loading questions: {message}',
+    'game.notEnoughAnswers': "Error: This question doesn't have enough answer options.",
+    'game.endedWhileDisconnected': 'Your game ended while you were disconnected.',
+    'game.hint.trueFalse': 'True or false?',
+    'game.hint.multiSelect': 'Choose all that apply, then press Submit Answer.',
+    'game.hint.redFlags': 'Click every suspicious part of the message, then press Submit Answer.',
+
+    'answer.correct': "Correct! That's the right answer.",
+    'answer.correctAll': 'Correct! You found them all.',
+    'answer.partlyRight': 'Partly right: {points} of {maxPoints} points.',
+    'answer.incorrect': 'Incorrect.',
+    'answer.incorrectShowAnswer': 'Incorrect. The right answer is {letter}.',
+    'answer.missedHint': 'Dashed outlines show what you missed.',
+
+    'match.status': 'vs {opponent}: {score} points ({answered} answered)',
+    'match.waiting': 'Waiting for {opponent} to finish...',
+    'match.draw': "It's a draw!",
+    'match.win': 'You win!',
+    'match.winForfeit': 'You win! {opponent} left the match.',
+    'match.lost': '{winner} wins!',
+
+    'challenge.title': 'Challenge {opponent}',
+    'challenge.chooseCategory': 'Choose a category:',
+    'challenge.category.phishing': 'Phishing',
+    'challenge.category.social': 'Social Engineering',
+    'challenge.category.mobile': 'Mobile Security',
+    'challenge.request': '{challenger} has challenged you to a {category} quiz! Accept?',
+    'challenge.sent.one': 'Challenge sent to {opponent}. Waiting {count} second for a reply...',
+    'challenge.sent.other': 'Challenge sent to {opponent}. Waiting {count} seconds for a reply...',
+    'challenge.declined': '{opponent} declined your challenge.',
+    'challenge.expired': 'The challenge expired.',
+
+    'results.title': 'Game Results',
+    'results.yourScore': 'Your Score:',
+    'results.correctAnswers': 'Correct Answers:',
+    'results.summary': 'Performance Summary:',
+    'results.category': 'Category:',
+    'results.categoryName': '{category} Security',
+    'results.reviewRound': 'Review round (practice - not added to your score)',
+    'results.dailyChallenge': "Today's daily challenge - see where you rank on the challenge leaderboard",
+    'results.byDifficulty': 'Questions by Difficulty:',
+    'results.easy': 'Easy:',
+    'results.medium': 'Medium:',
+    'results.hard': 'Hard:',
+    'results.skillEstimate': 'Skill estimate for {category}: {level} ({percent}%) - recommended difficulty: {difficulty}',
+    'results.recommendations': 'Recommendations:',
+    'results.timeBonus': 'Time Bonus!',
+    'results.timeBonusDetail.one': 'You completed the quiz with {count} second remaining, earning a {percent}% score bonus!',
+    'results.timeBonusDetail.other': 'You completed the quiz with {count} seconds remaining, earning a {percent}% score bonus!',
+    'results.reviewAnswers': 'Review Answers',
+
+    'recommendation.easy': 'Review basic {category} security concepts',
+    'recommendation.medium': 'Practice identifying more complex {category} security threats',
+    'recommendation.hard': 'Learn advanced techniques for {category} attack prevention',
+    'recommendation.otherCategories': 'Try our other security categories to improve your overall awareness',
+    'recommendation.twoFactor': 'Consider setting up two-factor authentication for your important accounts',
+
+    'review.title': 'Review Answers',
+    'review.intro': 'Go through every question from your last game and learn why the right answer is right.',
+    'review.backToResults': 'Back to Results',
+    'review.difficulty': 'Difficulty:',
+    'review.yourAnswer': 'Your answer:',
+    'review.correctAnswer': 'Correct answer:',
+    'review.whyNotYours': 'Why not your answer:',
+    'review.whyRight': 'Why this is right:',
+    'review.explanation': 'Explanation:',
+    'review.notAnswered': 'Not answered',
+    'review.nothingSelected': 'Nothing selected',
+    'review.outcome.correct': 'correct, +{points} points',
+    'review.outcome.partlyRight': 'partly right, +{points} points',
+    'review.outcome.incorrect': 'incorrect',
+
+    'leaderboard.title': 'Leaderboard',
+    'leaderboard.period': 'Period:',
+    'leaderboard.category': 'Category:',
+    'leaderboard.window.daily': 'Today',
+    'leaderboard.window.weekly': 'This week',
+    'leaderboard.window.all': 'All time',
+    'leaderboard.empty': 'No scores yet for this period.',
+    'leaderboard.yourRank': 'Your Rank:',
+    'leaderboard.rank': '#{rank} of {total} (Score: {score})',
+    'leaderboard.notRanked': 'Not ranked yet',
+    'leaderboard.viewProfile': 'View Profile',
+
+    'table.rank': 'Rank',
+    'table.player': 'Player',
+    'table.score': 'Score',
+    'table.date': 'Date',
+    'table.category': 'Category',
+    'table.correct': 'Correct',
+    'table.timeLeft': 'Time Left',
+    'table.due': 'Due',
+    'table.completed': 'Completed',
+    'table.late': 'Late',
+    'table.students': 'Students',
+    'table.assignments': 'Assignments',
+    'table.completion': 'Completion',
+    'table.classAccuracy': 'Class accuracy',
+
+    'profile.title': 'User Profile',
+    'profile.information': 'User Information',
+    'profile.username': 'Username:',
+    'profile.joinDate': 'Join Date:',
+    'profile.gamesPlayed': 'Games Played:',
+    'profile.highScore': 'High Score:',
+    'profile.reviewDue': 'Due for Review:',
+    'profile.questions': 'questions',
+    'profile.statistics': 'Performance Statistics',
+    'profile.phishing': 'Phishing Knowledge:',
+    'profile.social': 'Social Engineering:',
+    'profile.mobile': 'Mobile Security:',
+    'profile.categoryDetail.one': '{correct} correct out of {count} question',
+    'profile.categoryDetail.other': '{correct} correct out of {count} questions',
+    'profile.achievements': 'Achievements',
+    'profile.accuracyOverTime': 'Accuracy Over Time',
+    'profile.history': 'Game History',
+
+    'history.adaptive': 'adaptive',
+    'history.match': 'match',
+    'history.empty': 'No games played yet.',
+    'history.chartEmpty': 'Play some games to see your progress here.',
+
+    'achievements.unlocked': 'Achievement Unlocked!',
+    'achievements.guest': 'Create an account to earn achievements.',
+    'achievements.none': 'No achievements yet.',
+    'achievements.earnedOn': 'Earned {date}',
+    'achievements.notEarned': 'Not earned yet',
+
+    'chat.title': 'Chat',
+    'chat.placeholder': 'Type a message...',
+    'chat.send': 'Send',
+    'chat.lobby': 'Lobby',
+    'chat.match': 'Match',
+    'chat.deleteMessage': 'Delete message',
+    'chat.kicked.one': 'You were removed from the channel by {by} for {count} minute.',
+    'chat.kicked.other': 'You were removed from the channel by {by} for {count} minutes.',
+
+    'classes.title': 'Classes',
+    'classes.mine': 'My Classes',
+    'classes.joinCode': 'Join code',
+    'classes.join': 'Join Class',
+    'classes.enterCode': 'Enter the join code from your instructor',
+    'classes.noneJoined': 'You have not joined a class yet.',
+    'classes.enrolledTitle': '{name} (instructor: {instructor})',
+    'classes.noAssignments': 'No assignments yet.',
+    'classes.assignmentDue': '{category} - due {due}',
+    'classes.assignmentAdded': 'New assignment in {className}: {category}, due {due}',
+    'classes.play': 'Play',
+    'classes.leave': 'Leave Class',
+    'classes.confirmLeave': 'Leave {name}?',
+    'classes.status.completed': 'completed',
+    'classes.status.late': 'late',
+    'classes.status.pending': 'pending',
+    'classes.status.missed': 'missed',
+    'classes.teaching': 'Classes I Teach',
+    'classes.name': 'Class name',
+    'classes.create': 'Create Class',
+    'classes.noneTeaching': 'Create a class and share its join code with your students.',
+    'classes.taughtTitle.one': '{name} · {count} student · join code',
+    'classes.taughtTitle.other': '{name} · {count} students · join code',
+    'classes.remove': 'Remove',
+    'classes.assign': 'Assign Quiz',
+    'classes.viewReport': 'View Report',
+    'classes.exportCsv': 'Export CSV',
+    'classes.closeReport': 'Close Report',
+    'classes.assignments': 'Assignments',
+    'classes.categories': 'Categories',
+    'classes.students': 'Students',
+    'classes.reportTitle.one': 'Report: {name} ({count} student)',
+    'classes.reportTitle.other': 'Report: {name} ({count} students)',
+    'classes.report.student': 'Student',
+    'classes.report.completed': 'Completed',
+    'classes.report.completedOf': '{completed} of {total}',
+    'classes.report.accuracy': '{category} accuracy',
+    'classes.report.noStudents': 'No students have joined yet. Share the join code with them.',
+    'classes.confirmRemove': 'Remove {username} from {name}?',
+
+    'live.title': 'Live Quiz',
+    'live.joinTitle': 'Join a Live Quiz',
+    'live.roomCode': 'Room code',
+    'live.join': 'Join',
+    'live.enterCode': 'Enter the room code from your host',
+    'live.hostTitle': 'Host a Live Quiz',
+    'live.questionCount': 'Questions:',
+    'live.questionSeconds': 'Seconds per question:',
+    'live.create': 'Create Room',
+    'live.roomCodeLabel': 'Room code:',
+    'live.questionOf': '{category} - question {number} of {total}',
+    'live.lobbyHost.one': '{count} player has joined. Start when everyone is in.',
+    'live.lobbyHost.other': '{count} players have joined. Start when everyone is in.',
+    'live.lobbyPlayer': 'Waiting for {host} to start the quiz...',
+    'live.answeredCount': '{answered} of {total} players have answered',
+    'live.waitingForOthers': 'Answer sent. Waiting for the others...',
+    'live.pointsEarned': '+{points} points for that question!',
+    'live.noPoints': 'No points for that question.',
+    'live.finalPlace': 'You finished #{rank} of {total}!',
+    'live.finished': 'The quiz is over.',
+    'live.answers': 'How the room answered',
+    'live.correctCount': '{correct} of {answered} answered correctly',
+    'live.points': '{score} points',
+    'live.scoreboard': 'Scoreboard',
+    'live.lastQuestion': 'Last question',
+    'live.offline': 'offline',
+    'live.noPlayers': 'No players yet. Share the room code.',
+    'live.start': 'Start Quiz',
+    'live.nextQuestion': 'Next Question',
+    'live.showPodium': 'Show Podium',
+    'live.showResults': 'Show Results Now',
+    'live.end': 'End Live Quiz',
+    'live.leave': 'Leave',
+
+    'daily.title': 'Daily Challenge',
+    'daily.play': "Play Today's Challenge",
+    'daily.leaderboard': 'Challenge Leaderboard',
+    'daily.ready.one': "Today's challenge is ready: {count} question, one attempt.",
+    'daily.ready.other': "Today's challenge is ready: {count} questions, one attempt.",
+    'daily.done': 'Done for today! You scored {score} points ({correct}/{total} correct).',
+    'daily.unfinished': "You started today's challenge but didn't finish it.",
+    'daily.unavailable': 'There is no daily challenge today.',
+    'daily.guest': 'Create an account to take part in the daily challenge.',
+    'daily.streak.one': 'Streak: {count} day (best: {best})',
+    'daily.streak.other': 'Streak: {count} days (best: {best})',
+    'daily.nextIn': 'Next challenge in {hours}h {minutes}m ({time})',
+    'daily.noResults': "Nobody has finished today's challenge yet.",
+
+    'tournaments.title': 'Tournaments',
+    'tournaments.createTitle': 'Organize a Tournament',
+    'tournaments.name': 'Tournament name',
+    'tournaments.create': 'Create Tournament',
+    'tournaments.singleElimination': 'Single elimination',
+    'tournaments.roundRobin': 'Round robin',
+    'tournaments.none': 'No tournaments yet.',
+    'tournaments.info': '{category} - {format} - organized by {organizer}',
+    'tournaments.playerCount.one': '{count} player',
+    'tournaments.playerCount.other': '{count} players',
+    'tournaments.registration': 'Registration is open',
+    'tournaments.running': 'Round {round} of {total}',
+    'tournaments.finished': 'Finished - winner: {winner}',
+    'tournaments.youAreIn': "(you're in)",
+    'tournaments.view': 'View',
+    'tournaments.join': 'Join',
+    'tournaments.leave': 'Leave',
+    'tournaments.start': 'Close Registration and Start',
+    'tournaments.startRound': 'Start Round {round}',
+    'tournaments.all': 'All Tournaments',
+    'tournaments.players': 'Players',
+    'tournaments.noPlayers': 'Nobody has joined yet.',
+    'tournaments.seeded': '{username} (seed {seed})',
+    'tournaments.standings': 'Standings',
+    'tournaments.played': 'Played',
+    'tournaments.record': 'W/D/L',
+    'tournaments.points': 'Points',
+    'tournaments.round': 'Round {round}',
+    'tournaments.final': 'Final',
+    'tournaments.bye': 'Bye',
+    'tournaments.toBeDecided': 'To be decided',
+    'tournaments.playing': 'Being played now',
+    'tournaments.won': '{winner} won',
+    'tournaments.draw': 'Draw',
+    'tournaments.matchWaiting': 'Ready to play',
+    'tournaments.readyPlayers': 'Ready: {players}',
+    'tournaments.play': 'Play Match',
+    'tournaments.award': 'Award to {username}',
+    'tournaments.confirmAward': 'Award this match to {username} without playing it?',
+    'tournaments.matchReady': '{name}: your round {round} match against {opponent} is ready. Open Tournaments to play it.',
+    'tournaments.opponentReady': '{name}: {opponent} is ready to play your match.',
+    'tournaments.roundComplete': '{name}: round {round} is complete.',
+    'tournaments.finishedNotice': '{name} is over. {winner} won the tournament!',
+    'tournaments.youWon': 'You won {name}!',
+
+    'auditLog.title': 'Audit Log',
+    'auditLog.username': 'Username',
+    'auditLog.allEvents': 'All events',
+    'auditLog.address': 'IP address',
+    'auditLog.search': 'Search',
+    'auditLog.time': 'Time',
+    'auditLog.event': 'Event',
+    'auditLog.detail': 'Detail',
+    'auditLog.empty': 'No matching events.',
+    'rateLimit.slowDown': 'You are going too fast. Try again in {seconds} seconds.',
+    'invalidPayload.rejected': 'That request could not be sent. Please check what you entered and try again.',
+
+    'questionBank.title': 'Question Bank',
+    'questionBank.tag': 'Tag',
+    'questionBank.showRetired': 'Show retired',
+    'questionBank.refresh': 'Refresh',
+    'questionBank.newQuestion': 'New Question',
+    'questionBank.editQuestion': 'Edit Question #{id}',
+    'questionBank.empty': 'No questions found.',
+    'questionBank.tagList': 'tags: {tags}',
+    'questionBank.retired': 'retired',
+    'questionBank.edit': 'Edit',
+    'questionBank.retire': 'Retire',
+    'questionBank.restore': 'Restore',
+    'questionBank.category': 'Category',
+    'questionBank.difficulty': 'Difficulty',
+    'questionBank.type': 'Question type',
+    'questionBank.format': 'Message shown as',
+    'questionBank.format.email': 'Email',
+    'questionBank.format.sms': 'SMS',
+    'questionBank.text': 'Question',
+    'questionBank.explanation': 'Explanation (shown after answering)',
+    'questionBank.tags': 'Tags (comma separated)',
+    'questionBank.answers.single': 'Answers (select the correct one; the explanation next to an answer is optional)',
+    'questionBank.answers.multiple': 'Answers (tick every correct one, 3 to 8 answers)',
+    'questionBank.answers.redFlags': 'Message parts in reading order (tick the red flags; include spaces and line breaks as they should appear)',
+    'questionBank.answerPlaceholder': 'Answer {letter}',
+    'questionBank.whyPlaceholder': 'Why (optional)',
+    'questionBank.removeAnswer': 'Remove answer',
+    'questionBank.addAnswer': 'Add Answer',
+    'questionBank.save': 'Save Question',
+    'questionBank.saved': 'Question saved',
+    'questionBank.importExport': 'Import / Export',
+    'questionBank.export': 'Export',
+    'questionBank.import': 'Import',
+    'questionBank.chooseFile': 'Choose a JSON or CSV file to import',
+    'questionBank.importFailed': 'Nothing was imported:',
+    'questionBank.imported': 'Imported: {created} created, {updated} updated'
+});
@@ -0,0 +1,51 @@
+// question-bank.js - Import or export the question bank from the command line.
+// Uses the same storage settings (.env) as the server, so content kept in version control
+// can be loaded into any environment.
+//
+//   node scripts/question-bank.js export questions.json
+//   node scripts/question-bank.js import questions.csv
+//
+// The format comes from the file extension (.json or .csv). See lib/question-bank.js for both formats.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const storage = require('../lib/storage');
+const questionBank = require('../lib/question-bank');
+
+function usage() {
+  console.log('Usage: node scripts/question-bank.js <import|export> <file.json|file.csv>');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+  if (!['import', 'export'].includes(command) || !file) usage();
+
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (format !== 'json' && format !== 'csv') usage();
+
+  await storage.init();
+
+  if (command === 'export') {
+    fs.writeFileSync(file, await questionBank.exportQuestions(format));
+    console.log(`Exported question bank to ${file}`);
+    return;
+  }
+
+  const result = await questionBank.importQuestions(fs.readFileSync(file, 'utf8'), format);
+  if (result.errors.length > 0) {
+    console.error(`Nothing was imported from ${file}:`);
+    result.errors.forEach(error => console.error(`  ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Imported ${file}: ${result.created} created, ${result.updated} updated`);
+}
+
+main()
+  .then(() => process.exit())
+  .catch(error => {
+    console.error('Question bank command failed:', error);
+    process.exit(1);
+  });
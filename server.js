@@ -1,227 +1,347 @@
-// server.js - Cybersecurity Awareness Game Server with Supabase
+// server.js - Cybersecurity Awareness Game Server (Supabase or local MySQL storage)
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const storage = require('./lib/storage');
+const passwords = require('./lib/passwords');
+const passwordReset = require('./lib/password-reset');
+const mail = require('./lib/mail');
+const authSessions = require('./lib/auth-sessions');
+const loginThrottle = require('./lib/login-throttle');
+const authLog = require('./lib/auth-log');
+const eventRateLimit = require('./lib/event-rate-limit');
+const eventSchemas = require('./lib/event-schemas');
+const gameSessions = require('./lib/game-sessions');
+const matches = require('./lib/matches');
+const liveRooms = require('./lib/live-rooms');
+const dailyChallenge = require('./lib/daily-challenge');
+const tournaments = require('./lib/tournaments');
+const chatMessages = require('./lib/chat-messages');
+const roles = require('./lib/roles');
+const questionBank = require('./lib/question-bank');
+const questionTranslations = require('./lib/question-translations');
+const adaptiveDifficulty = require('./lib/adaptive-difficulty');
+const spacedRepetition = require('./lib/spaced-repetition');
+const achievements = require('./lib/achievements');
+const leaderboards = require('./lib/leaderboards');
+const gameHistory = require('./lib/game-history');
+const classrooms = require('./lib/classrooms');
+const httpApi = require('./lib/http-api');
+const xapi = require('./lib/xapi');
 
 // Initialize Express and Socket.io
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-// Initialize Supabase
-const supabaseUrl = 'https://cclodkiuzkvynhnauaeu.supabase.co';
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Behind a reverse proxy, set TRUST_PROXY=true so login limits and the auth log see the
+// player's address (X-Forwarded-For) instead of the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+if (TRUST_PROXY) app.set('trust proxy', true);
+
+// Keep server-only files (modules, seed data) out of the static file server
+app.use(['/lib', '/data'], (req, res) => res.sendStatus(404));
 
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
-// Game state (for tracking online players)
+// Game state. Online players are the connections signed in with a session identity
+// (socket.data.identity); each signed-in connection joins the rooms user:<username>
+// and session:<auth session ID> so events reach the player on any tab or after a reconnect.
 const gameState = {
-  players: {}
+  activeGames: {} // auth session ID -> game session ID
 };
 
-// SHA256 Helper Function
-function sha256(message) {
-  return crypto.createHash('sha256').update(message).digest('hex');
-}
-
 // Helper to get online players
 function getOnlinePlayers() {
-  return Object.values(gameState.players)
-    .filter(player => player.online)
-    .map(player => player.username);
+  const usernames = new Set();
+  io.sockets.sockets.forEach(connection => {
+    if (connection.data.identity) usernames.add(connection.data.identity.username);
+  });
+  return [...usernames];
+}
+
+// Helper to check whether a player has at least one signed-in connection
+function isPlayerOnline(username) {
+  const room = io.sockets.adapter.rooms.get(`user:${username}`);
+  return Boolean(room && room.size > 0);
+}
+
+// Helper to find one signed-in connection of a player
+function findPlayerSocket(username) {
+  return [...io.sockets.sockets.values()]
+    .find(connection => connection.data.identity && connection.data.identity.username === username) || null;
+}
+
+// Helper to get the client address of a connection (see TRUST_PROXY)
+function clientAddress(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) return forwarded.split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+// Helper to get the session identity of a connection (null when logged out or expired)
+function getIdentity(socket) {
+  const identity = socket.data.identity;
+  if (!identity) return null;
+
+  if (identity.expiresAt <= Date.now()) {
+    signOutSocket(socket);
+    socket.emit('sessionExpired', { message: 'Your session has expired. Please log in again.' });
+    return null;
+  }
+
+  return identity;
+}
+
+// Attach a session identity to a connection
+function signInSocket(socket, identity) {
+  if (socket.data.identity) signOutSocket(socket);
+
+  socket.data.identity = identity;
+  socket.join(`user:${identity.username}`);
+  socket.join(`session:${identity.sessionId}`);
+
+  io.emit('playerUpdate', { players: getOnlinePlayers() });
+}
+
+// Detach the session identity from a connection (logout or disconnect)
+function signOutSocket(socket) {
+  const identity = socket.data.identity;
+  if (!identity) return;
+
+  socket.leave(`user:${identity.username}`);
+  socket.leave(`session:${identity.sessionId}`);
+  socket.leave('tournaments');
+  socket.data.identity = null;
+
+  const liveRoom = liveRooms.findRoomOf(identity.username);
+  if (liveRoom) socket.leave(`live:${liveRoom.code}`);
+
+  // Pending challenges die with the player's last connection; live rooms stop waiting for them
+  if (!isPlayerOnline(identity.username)) {
+    matches.removeChallengesFor(identity.username);
+
+    if (liveRoom) {
+      liveRooms.setConnected(liveRoom, identity.username, false);
+      sendLiveRoomState(liveRoom);
+    }
+  }
+
+  io.emit('playerUpdate', { players: getOnlinePlayers() });
+}
+
+// Issue a signed session token and sign the connection in with it
+async function startAuthSession(socket, identity) {
+  const { token, identity: sessionIdentity } = await authSessions.createAuthSession(identity);
+  signInSocket(socket, sessionIdentity);
+  return {
+    sessionToken: token,
+    sessionExpiresAt: new Date(sessionIdentity.expiresAt).toISOString()
+  };
+}
+
+// Helper to get the identity of a signed-in admin. Tells the player when they aren't one.
+async function getAdminIdentity(socket) {
+  const identity = getIdentity(socket);
+  if (!identity || !(await roles.hasRole(identity, [roles.ROLES.ADMIN]))) {
+    socket.emit('questionBankError', { message: 'Only admins can manage questions' });
+    return null;
+  }
+  return identity;
+}
+
+// Helper to get a signed-in instructor ({ identity, isAdmin }). Admins may manage every class.
+async function getInstructor(socket) {
+  const identity = getIdentity(socket);
+  const role = await roles.getRole(identity);
+  if (!identity || ![roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN].includes(role)) {
+    socket.emit('classroomError', { message: 'Only instructors can manage classes' });
+    return null;
+  }
+  return { identity, isAdmin: role === roles.ROLES.ADMIN };
+}
+
+// Helper to get a class the signed-in instructor may manage. Tells them when they can't.
+async function getManagedClass(socket, classId) {
+  const instructor = await getInstructor(socket);
+  if (!instructor) return null;
+
+  const classroom = await classrooms.getManagedClass(classId, instructor.identity, instructor.isAdmin);
+  if (!classroom) {
+    socket.emit('classroomError', { message: 'Class not found' });
+    return null;
+  }
+  return classroom;
+}
+
+// Shape a User row for the client
+// `userAchievements` is the list from achievements.getAchievements (empty for new players)
+function formatUser(user, userAchievements = []) {
+  return {
+    userId: user.UserID,
+    username: user.Username,
+    highscore: user.Highscore,
+    gamesPlayed: user.GamesPlayed || 0,
+    registrationDate: user.RegistrationDate,
+    role: user.Role || 'player',
+    language: user.Language || null,
+    achievements: userAchievements
+  };
 }
 
 // Database Functions
 
 async function registerUser(userData) {
-  const hashedPassword = sha256(userData.password);
+  const hashedPassword = await passwords.hashPassword(userData.password);
   
   console.log("Registering user with data:", {
     username: userData.username,
     email: userData.email
   }); // Debug log
   
-  const { data, error } = await supabase
-    .from('User')
-    .insert([{
+  try {
+    const user = await storage.createUser({
       Username: userData.username,
       Password_hash: hashedPassword,
       Highscore: 0,
       GamesPlayed: 0,
       RegistrationDate: new Date().toISOString(),
       email: userData.email 
-    }])
-    .select();
-    
-  if (error) {
+    });
+
+    return { data: user };
+  } catch (error) {
     console.error("Error inserting user:", error);
     return { error };
   }
-  
-  return { data: data[0] };
 }
 
-// Track failed login attempts and account lockouts
-const userLoginAttempts = {}; // Track failed login attempts by username
-const userLockoutTimes = {}; // Track locked accounts and their unlock times
+// Stands in for the stored hash when a username doesn't exist, so a login takes as long
+// either way
+let missingUserHash = null;
 
-async function authenticateUser(username, password) {
-  // Check if account is locked
-  if (userLockoutTimes[username]) {
-    const unlockTime = userLockoutTimes[username];
-    const currentTime = Date.now();
-    
-    if (currentTime < unlockTime) {
-      // Account is still locked
-      const remainingSeconds = Math.ceil((unlockTime - currentTime) / 1000);
-      return { 
-        error: 'Account locked', 
-        lockTimeRemaining: remainingSeconds 
-      };
-    } else {
-      // Lock period expired, remove the lock
-      delete userLockoutTimes[username];
-      // Do NOT reset the attempt counter completely - this allows doubling to work correctly
-    }
+// Check a username and password against the login limits (see login-throttle.js). Unknown
+// usernames fail exactly like wrong passwords. Returns { user } or
+// { error: 'Account locked', lockTimeRemaining } or { error: 'Invalid credentials', attemptsLeft }.
+async function authenticateUser(username, password, address) {
+  // The attempt is counted before the (slow) password check, so parallel logins can't slip past
+  const attempt = await loginThrottle.startAttempt(username, address);
+  if (attempt.lockTimeRemaining) {
+    authLog.record(authLog.EVENTS.LOGIN_BLOCKED, { username, address, detail: `${attempt.lockedBy} locked` });
+    return { error: 'Account locked', lockTimeRemaining: attempt.lockTimeRemaining };
   }
 
-  const hashedPassword = sha256(password);
-  
-  const { data, error } = await supabase
-    .from('User')
-    .select('UserID, Username, Password_hash, Highscore, GamesPlayed, RegistrationDate')
-    .eq('Username', username)
-    .single();
+  const data = typeof username === 'string' && username ? await storage.findUserByUsername(username) : null;
+  if (!missingUserHash) missingUserHash = await passwords.hashPassword('no such user');
 
-  if (error || !data) {
-    // Don't increment attempt counter for non-existent users
-    return { error: 'User not found' };
-  }
-  
-  if (data.Password_hash !== hashedPassword) {
-    // Increment failed attempts counter
-    userLoginAttempts[username] = (userLoginAttempts[username] || 0) + 1;
-    console.log(`Failed login attempt ${userLoginAttempts[username]} for user ${username}`);
-    
-    // Check if we should lock the account
-    if (userLoginAttempts[username] >= 3) {
-      // Calculate lock duration: 30 seconds for first lock, doubling each time
-      const lockCount = Math.floor(userLoginAttempts[username] / 3);
-      const lockDuration = 30 * Math.pow(2, lockCount - 1) * 1000; // in milliseconds
-      
-      userLockoutTimes[username] = Date.now() + lockDuration;
-      
-      const lockTimeSeconds = Math.ceil(lockDuration / 1000);
-      console.log(`User ${username} locked for ${lockTimeSeconds} seconds after ${userLoginAttempts[username]} failed attempts.`);
-      
-      return { 
-        error: 'Account locked',
-        lockTimeRemaining: lockTimeSeconds 
-      };
+  const { valid, needsRehash } = await passwords.verifyPassword(password, data ? data.Password_hash : missingUserHash);
+
+  if (!data || !valid) {
+    const failure = attempt.lockOnFailure;
+    authLog.record(authLog.EVENTS.LOGIN_FAILED, {
+      username,
+      userId: data ? data.UserID : null,
+      address,
+      detail: data ? 'wrong password' : 'unknown username'
+    });
+
+    if (failure) {
+      console.log(`Login for ${username} from ${address} locked for ${failure.lockTimeRemaining} seconds (${failure.lockedBy})`);
+      authLog.record(authLog.EVENTS.LOCKOUT, {
+        username,
+        userId: data ? data.UserID : null,
+        address,
+        detail: `${failure.lockedBy} locked for ${failure.lockTimeRemaining} seconds`
+      });
+      return { error: 'Account locked', lockTimeRemaining: failure.lockTimeRemaining };
     }
-    
-    return { error: 'Invalid password', failedAttempts: userLoginAttempts[username] };
+
+    return { error: 'Invalid credentials', attemptsLeft: attempt.attemptsLeft };
   }
 
-  // Login successful, reset the failed attempts counter
-  userLoginAttempts[username] = 0;
+  await loginThrottle.recordSuccess(username, attempt.attemptIds);
+  authLog.record(authLog.EVENTS.LOGIN, { username: data.Username, userId: data.UserID, address });
+
+  // Transparently upgrade legacy SHA-256 (or outdated scrypt) hashes now that we know the password
+  if (needsRehash) {
+    try {
+      await storage.updateUser(data.UserID, { Password_hash: await passwords.hashPassword(password) });
+      console.log(`Upgraded password hash for user ${username}`);
+    } catch (error) {
+      console.error('Failed to upgrade password hash:', error);
+    }
+  }
 
   return { user: data };
 }
 
 async function updateUserHighscore(userId, score) {
-  // First check if the new score is higher than current highscore
-  const { data: currentUser, error: fetchError } = await supabase
-    .from('User')
-    .select('Highscore')
-    .eq('UserID', userId)
-    .single();
-
-  if (fetchError) return { error: fetchError };
-  if (score <= currentUser.Highscore) return { data: currentUser };
-
-  // Update if score is higher
-  const { data, error } = await supabase
-    .from('User')
-    .update({
-      Highscore: score
-    })
-    .eq('UserID', userId)
-    .select()
-    .single();
+  try {
+    // First check if the new score is higher than current highscore
+    const currentUser = await storage.findUserById(userId);
+    if (!currentUser) return { error: 'User not found' };
+    if (score <= currentUser.Highscore) return { data: currentUser };
 
-  return { data, error };
+    // Update if score is higher
+    const data = await storage.updateUser(userId, { Highscore: score });
+    return { data };
+  } catch (error) {
+    return { error };
+  }
 }
 
 async function updateLeaderboard(username, score) {
-  // Get user ID
-  const { data: user, error: userError } = await supabase
-    .from('User')
-    .select('UserID')
-    .eq('Username', username)
-    .single();
-
-  if (userError || !user) return { error: 'User not found' };
-
-  // Insert or update leaderboard entry
-  const { error } = await supabase
-    .from('Leaderboard')
-    .upsert({
+  try {
+    // Get user ID
+    const user = await storage.findUserByUsername(username);
+    if (!user) return { error: 'User not found' };
+
+    // Insert or update leaderboard entry
+    await storage.saveLeaderboardEntry({
       UserID: user.UserID,
       Username: username,
       Score: score,
       Date: new Date().toISOString()
-    }, {
-      onConflict: 'UserID'
     });
 
-  return { error };
+    return {};
+  } catch (error) {
+    return { error };
+  }
 }
 
-async function getLeaderboard() {
+// Store a finished game in the player's history and put it on the leaderboards
+async function saveGameResult(session) {
   try {
-    // Get the top 5 users by high score
-    const { data, error } = await supabase
-      .from('User')
-      .select('Username, Highscore, RegistrationDate')
-      .order('Highscore', { ascending: false })
-      .limit(5);
-    
-    if (error) {
-      console.error("Error fetching leaderboard:", error);
-      return []; // Return empty array instead of undefined
-    }
-    
-    // Format the data for the client
-    return data.map(user => ({
-      username: user.Username,
-      score: user.Highscore,
-      date: user.RegistrationDate
-    }));
-  } catch (err) {
-    console.error("Unexpected error in getLeaderboard:", err);
-    return []; // Always return an array
+    const saved = await gameHistory.recordGame(session);
+    await leaderboards.recordResult(saved);
+    return { data: saved };
+  } catch (error) {
+    console.error("Error saving game result:", error);
+    return { error };
   }
 }
 
-// Updated function to handle both score and games played
-async function updateUserScore(username, score) {
+// Updated function to handle both score and games played.
+// Only accepts a finished server-side game session, never a client-reported score.
+async function updateUserScore(session) {
   try {
+    if (!session || !session.result) {
+      return { error: 'Game session is not finished' };
+    }
+
+    const username = session.player.username;
+    const score = session.result.score;
+
     // Get user data first to check if score is higher than current
-    const { data: user, error: userError } = await supabase
-      .from('User')
-      .select('UserID, Highscore, GamesPlayed')
-      .eq('Username', username)
-      .single();
+    const user = await storage.findUserByUsername(username);
     
-    if (userError || !user) {
-      console.error("User not found:", userError);
+    if (!user) {
+      console.error("User not found:", username);
       return { error: 'User not found' };
     }
     
@@ -234,14 +354,12 @@ async function updateUserScore(username, score) {
       updates.Highscore = score;
     }
     
-    const { data, error } = await supabase
-      .from('User')
-      .update(updates)
-      .eq('UserID', user.UserID);
-      
-    if (error) {
-      console.error("Error updating user data:", error);
-      return { error: error.message };
+    await storage.updateUser(user.UserID, updates);
+
+    // Remember when the all-time high score was set
+    if (updates.Highscore !== undefined) {
+      const saved = await updateLeaderboard(username, score);
+      if (saved.error) console.error("Error updating leaderboard:", saved.error);
     }
     
     // Notify other users of the new high score if applicable
@@ -256,26 +374,313 @@ async function updateUserScore(username, score) {
   }
 }
 
-async function getQuestionsByCategory(category) {
-  const { data: questions, error: qError } = await supabase
-    .from('Question')
-    .select('QuestionID, QuestionText, Difficulty, Category')
-    .eq('Category', category);
+// The profile's summary totals, kept in UserStats next to the per-category stats, and the
+// categories (lower case) each one adds up. They come from finished games, never from the client.
+const PROFILE_CATEGORIES = {
+  phishing: ['phishing attacks', 'phishing defense'],
+  social: ['social engineering'],
+  mobile: ['mobile device security', 'mobile security', 'password security']
+};
+
+// Recount the profile totals in a player's stats from their per-category stats
+function withProfileTotals(stats) {
+  Object.entries(PROFILE_CATEGORIES).forEach(([key, categories]) => {
+    const totals = { correct: 0, total: 0 };
+    Object.entries(stats).forEach(([category, entry]) => {
+      if (PROFILE_CATEGORIES[category] || !categories.includes(category.toLowerCase())) return;
+      totals.correct += entry.correct || 0;
+      totals.total += entry.total || 0;
+    });
+    stats[key] = totals;
+  });
+  return stats;
+}
+
+// Stored accuracy of a player in one category ({ correct, total }), or null
+async function getCategoryStats(userId, category) {
+  const stats = await storage.getUserStats(userId);
+  return (stats && stats[category]) || null;
+}
+
+// Add a finished game to the player's per-category accuracy in UserStats
+async function updateCategoryStats(session) {
+  try {
+    const userId = session.player.userId;
+    const result = session.result;
+    const stats = (await storage.getUserStats(userId)) || {};
+    const previous = stats[session.category] || { correct: 0, total: 0 };
+
+    stats[session.category] = {
+      correct: (previous.correct || 0) + result.correctAnswers,
+      total: (previous.total || 0) + result.answeredQuestions,
+      skill: result.skillEstimate.skill
+    };
+
+    await storage.saveUserStats(userId, withProfileTotals(stats));
+    return { stats: stats[session.category] };
+  } catch (error) {
+    console.error("Error updating category stats:", error);
+    return { error };
+  }
+}
+
+// Check a finished game for new achievements. Returns the ones unlocked (never fails the game).
+async function awardAchievements(session) {
+  try {
+    return await achievements.awardAchievements(session.player.userId, session.result);
+  } catch (error) {
+    console.error("Error awarding achievements:", error);
+    return [];
+  }
+}
+
+// Send the latest user record (with achievements) to every tab of a login session
+async function sendUserUpdate(room, username) {
+  const updatedUser = await storage.findUserByUsername(username);
+
+  if (updatedUser) {
+    const userAchievements = await achievements.getAchievements(updatedUser.UserID);
+    io.to(room).emit('userUpdated', { user: formatUser(updatedUser, userAchievements) });
+  }
+}
+
+// Save the outcome of a head-to-head match
+async function saveMatchResult(outcome) {
+  const [player1, player2] = outcome.players;
+
+  try {
+    await storage.saveMatch({
+      Category: outcome.category,
+      Player1: player1,
+      Player2: player2,
+      Player1Score: outcome.scores[player1],
+      Player2Score: outcome.scores[player2],
+      Winner: outcome.winner,
+      ForfeitedBy: outcome.forfeitedBy,
+      CompletedAt: new Date().toISOString()
+    });
+    return {};
+  } catch (error) {
+    console.error("Error saving match result:", error);
+    return { error };
+  }
+}
+
+// Actions shared by the Socket.IO events and the HTTP API (lib/http-api.js).
+// Failures are returned as { error, code }; `code` is one of http-api.js's ERROR_STATUS keys.
 
-  if (qError) throw qError;
+// Create an account (the caller starts its session). Returns { user } or { error, code }.
+// `address` is the client address for the auth log.
+async function createAccount(userData, address = null) {
+  const { username, email, password } = userData || {};
+  if (typeof username !== 'string' || username.trim() === '' || typeof password !== 'string') {
+    return { error: 'Username and password are required', code: 'invalid_request' };
+  }
 
-  const questionIds = questions.map(q => q.QuestionID);
-  const { data: answers, error: aError } = await supabase
-    .from('Answer')
-    .select('AnswerID, QuestionID, AnswerText, isCorrect')
-    .in('QuestionID', questionIds);
+  const unmet = passwords.checkPasswordRequirements(password);
+  if (unmet.length > 0) {
+    return { error: 'Password does not meet requirements: ' + unmet.join(', '), code: 'invalid_request' };
+  }
 
-  if (aError) throw aError;
+  // Guest names are handed out by the server (see newGuestName)
+  if (/^guest/i.test(username.trim())) {
+    return { error: 'Usernames starting with "Guest" are reserved for guest players', code: 'invalid_request' };
+  }
 
-  return questions.map(question => ({
-    ...question,
-    answers: answers.filter(a => a.QuestionID === question.QuestionID)
-  }));
+  // Check if username exists
+  if (await storage.findUserByUsername(username)) {
+    return { error: 'Username already exists', code: 'conflict' };
+  }
+
+  const { data: user, error } = await registerUser({ username, email, password });
+  if (error) {
+    console.error("Registration error:", error);
+    return { error: 'Registration failed: ' + error.message, code: 'server_error' };
+  }
+  authLog.record(authLog.EVENTS.REGISTER, { username: user.Username, userId: user.UserID, address });
+  return { user };
+}
+
+// Check a username and password. Returns { user } or { error, code, lockTimeRemaining }.
+// The wording is the same whether or not the username exists.
+async function logIn({ username, password }, address = null) {
+  const { user, error, lockTimeRemaining, attemptsLeft } = await authenticateUser(username, password, address);
+
+  if (error === 'Account locked') {
+    return {
+      error: `Too many failed logins. Try again in ${lockTimeRemaining} seconds.`,
+      code: 'account_locked',
+      lockTimeRemaining: lockTimeRemaining
+    };
+  }
+  if (error) {
+    return { error: `Invalid username or password. ${attemptsLeft} attempts remaining before timeout.`, code: 'unauthorized' };
+  }
+  return { user };
+}
+
+// End a login session everywhere it is used: its running game, every connection and the token
+async function logOut(identity, address = null) {
+  abandonActiveGame(identity.sessionId);
+
+  io.sockets.sockets.forEach(connection => {
+    const other = connection.data.identity;
+    if (other && other.sessionId === identity.sessionId) {
+      signOutSocket(connection);
+      connection.emit('sessionExpired', { message: 'You have been logged out.' });
+    }
+  });
+
+  await authSessions.revokeAuthSession(identity.sessionId);
+  authLog.record(authLog.EVENTS.LOGOUT, { username: identity.username, userId: identity.userId, address });
+}
+
+// A guest name no other session has. Players are addressed by name everywhere (rooms, chat,
+// challenges), and registered accounts can't start with "Guest" (see createAccount).
+async function newGuestName() {
+  for (;;) {
+    const username = `Guest-${crypto.randomBytes(4).toString('hex')}`;
+    const [taken] = await storage.select('Session', { columns: 'SessionID', where: { Username: username }, limit: 1 });
+    if (!taken) return username;
+  }
+}
+
+// The client's view of the signed-in player (null when the account is gone)
+async function getSessionUser(identity) {
+  if (identity.isGuest) {
+    return { username: identity.username, isGuest: true, gamesPlayed: 0 };
+  }
+
+  const record = await storage.findUserById(identity.userId);
+  return record ? formatUser(record, await achievements.getAchievements(record.UserID)) : null;
+}
+
+// Language for a player's questions: the one asked for, else the one saved on their account,
+// else English. Questions without a translation in it are shown in English.
+async function playerLanguage(identity, requested) {
+  const language = questionTranslations.normalizeLocale(requested);
+  if (language || identity.isGuest) return language || questionTranslations.DEFAULT_LOCALE;
+
+  const user = await storage.findUserById(identity.userId);
+  return (user && questionTranslations.normalizeLocale(user.Language)) || questionTranslations.DEFAULT_LOCALE;
+}
+
+// Start a game in one category ('questionsData')
+async function startCategoryGame(identity, { category, adaptive, language }) {
+  const gameLanguage = await playerLanguage(identity, language);
+  const questions = await questionTranslations.localizeQuestions(
+    await storage.getQuestionsByCategory(category),
+    gameLanguage
+  );
+
+  // Start from the player's accuracy in this category (guests have no history)
+  const skill = identity.isGuest
+    ? 0
+    : adaptiveDifficulty.startingSkill(await getCategoryStats(identity.userId, category));
+
+  return startSoloGame(identity, {
+    category: category,
+    questions: questions,
+    adaptive: Boolean(adaptive),
+    skill: skill,
+    language: gameLanguage
+  });
+}
+
+// Start today's daily challenge ('questionsData'). Registered players get one attempt a day.
+async function startDailyChallenge(identity, language) {
+  if (identity.isGuest) {
+    return { error: 'Create an account to play the daily challenge' };
+  }
+
+  const date = dailyChallenge.challengeDate();
+  const gameLanguage = await playerLanguage(identity, language);
+  const questions = await questionTranslations.localizeQuestions(await dailyChallenge.getQuestions(date), gameLanguage);
+  if (questions.length === 0) {
+    return { error: 'There is no daily challenge today' };
+  }
+
+  const attempt = await dailyChallenge.startAttempt(identity, date, questions.length);
+  if (attempt.error) return attempt;
+
+  return startSoloGame(identity, {
+    category: dailyChallenge.CHALLENGE_CATEGORY,
+    questions: questions,
+    shuffle: false,
+    dailyChallenge: date,
+    language: gameLanguage
+  });
+}
+
+// Player's own game session, or null
+function getOwnGame(identity, sessionId) {
+  const session = gameSessions.getSession(sessionId);
+  return identity && session && session.ownerId === identity.sessionId ? session : null;
+}
+
+// Grade an answer ('answerResult'). Multi-select and red-flag questions send `answerIds`.
+async function answerQuestion(identity, { sessionId, questionId, answerId, answerIds }) {
+  const session = getOwnGame(identity, sessionId);
+  if (!session) {
+    return { error: 'Game session not found', code: 'not_found' };
+  }
+
+  const result = gameSessions.submitAnswer(sessionId, questionId, answerIds !== undefined ? answerIds : answerId);
+  if (result.error) {
+    return { error: result.error, code: 'invalid_request' };
+  }
+  xapi.questionAnswered(session, result);
+
+  // Let both match players see the live score
+  if (session.matchId) {
+    const progress = matches.updateProgress(session.matchId, session.player.username, result.score);
+    if (progress) {
+      io.to(`match:${session.matchId}`).emit('matchProgress', progress);
+    }
+  }
+
+  // Keep the answer history and review schedule of registered players
+  if (!identity.isGuest) {
+    try {
+      await spacedRepetition.recordAnswer(identity.userId, result);
+    } catch (error) {
+      console.error('Error recording answer:', error);
+    }
+  }
+
+  return result;
+}
+
+// Finish a game early or after the last question ('gameResults')
+async function endGame(identity, sessionId) {
+  const session = getOwnGame(identity, sessionId);
+  if (!session) {
+    return { error: 'Game session not found', code: 'not_found' };
+  }
+
+  gameSessions.finishSession(sessionId);
+  return completeGame(session);
+}
+
+// One page of a leaderboard from leaderboards.normalizeBoard ('leaderboardData')
+async function loadLeaderboard(board, viewer) {
+  return {
+    ...(await leaderboards.getLeaderboard(board, viewer)),
+    categories: await storage.getCategories()
+  };
+}
+
+// One page of a registered player's games plus accuracy trends ('gameHistory')
+async function loadGameHistory(identity, { page, category }) {
+  const history = await gameHistory.getHistory(identity.userId, {
+    page: page,
+    category: typeof category === 'string' ? category : null
+  });
+
+  return {
+    ...history,
+    trends: await gameHistory.getTrends(identity.userId)
+  };
 }
 
 // Socket.io Event Handlers
@@ -283,6 +688,32 @@ async function getQuestionsByCategory(category) {
 io.on('connection', (socket) => {
   console.log('New user connected:', socket.id);
 
+  // Drop events sent faster than the limits in event-rate-limit.js
+  socket.use(eventRateLimit.createLimiter((event, retryAfter, firstDropped) => {
+    socket.emit('rateLimited', { event: event, retryAfter: retryAfter });
+    if (firstDropped) {
+      const identity = socket.data.identity;
+      console.log(`Rate limited ${identity ? identity.username : socket.id} on ${event}`);
+      authLog.record(authLog.EVENTS.RATE_LIMITED, {
+        username: identity ? identity.username : null,
+        userId: identity ? identity.userId : null,
+        address: clientAddress(socket),
+        detail: event
+      });
+    }
+  }));
+
+  // Drop events whose payload doesn't match its declaration in event-schemas.js
+  socket.use(eventSchemas.createValidator((event, errors) => {
+    const identity = socket.data.identity;
+    console.log(`Invalid ${event} payload from ${identity ? identity.username : socket.id}: ${errors.map(error => error.message).join('; ')}`);
+    socket.emit('invalidPayload', {
+      event: event,
+      message: `Invalid data for ${event}`,
+      errors: errors
+    });
+  }));
+
   // User Registration
   socket.on('registerUser', async (userData) => {
     try {
@@ -291,51 +722,28 @@ io.on('connection', (socket) => {
         email: userData.email
       }); // Debug log
       
-      // Check if username exists
-      const { data: existingUser } = await supabase
-        .from('User')
-        .select('Username')
-        .eq('Username', userData.username)
-        .single();
-  
-      if (existingUser) {
-        return socket.emit('registrationResponse', {
-          success: false,
-          message: 'Username already exists'
-        });
-      }
-  
-      // Register new user
-      const { data: newUser, error } = await registerUser(userData);
-      
+      const { user: newUser, error } = await createAccount(userData, clientAddress(socket));
       if (error) {
-        console.error("Registration error:", error);
         return socket.emit('registrationResponse', {
           success: false,
-          message: 'Registration failed: ' + error.message
+          message: error
         });
       }
   
-      // Update game state
-      gameState.players[socket.id] = {
+      // Sign the new player in with a session token
+      const session = await startAuthSession(socket, {
         userId: newUser.UserID,
-        username: newUser.Username,
-        online: true,
-        isGuest: false
-      };
+        username: newUser.Username
+      });
   
       socket.emit('registrationResponse', {
         success: true,
+        ...session,
         user: {
-          userId: newUser.UserID,
-          username: newUser.Username,
-          highscore: newUser.Highscore,
-          registrationDate: newUser.RegistrationDate,
+          ...formatUser(newUser, await achievements.getAchievements(newUser.UserID)),
           email: newUser.email  // Include email in response
         }
       });
-  
-      io.emit('playerUpdate', { players: getOnlinePlayers() });
     } catch (error) {
       console.error('Registration error:', error);
       socket.emit('registrationResponse', {
@@ -348,52 +756,26 @@ io.on('connection', (socket) => {
   // User Login
   socket.on('login', async (credentials) => {
     try {
-      const { user, error, lockTimeRemaining, failedAttempts } = await authenticateUser(
-        credentials.username,
-        credentials.password
-      );
-
+      const { user, error, lockTimeRemaining } = await logIn(credentials || {}, clientAddress(socket));
       if (error) {
-        if (error === 'Account locked') {
-          return socket.emit('loginResponse', {
-            success: false,
-            message: `Account locked. Try again in ${lockTimeRemaining} seconds.`,
-            lockTimeRemaining: lockTimeRemaining
-          });
-        } else if (error === 'Invalid password') {
-          const attemptsLeft = 3 - (failedAttempts % 3);
-          return socket.emit('loginResponse', {
-            success: false,
-            message: `Invalid password. ${attemptsLeft} attempts remaining before timeout.`
-          });
-        } else {
-          return socket.emit('loginResponse', {
-            success: false,
-            message: error
-          });
-        }
+        return socket.emit('loginResponse', {
+          success: false,
+          message: error,
+          lockTimeRemaining: lockTimeRemaining
+        });
       }
 
-      // Update game state
-      gameState.players[socket.id] = {
+      // Sign the connection in with a session token
+      const session = await startAuthSession(socket, {
         userId: user.UserID,
-        username: user.Username,
-        online: true,
-        isGuest: false
-      };
+        username: user.Username
+      });
 
       socket.emit('loginResponse', {
         success: true,
-        user: {
-          userId: user.UserID,
-          username: user.Username,
-          highscore: user.Highscore,
-          gamesPlayed: user.GamesPlayed || 0,
-          registrationDate: user.RegistrationDate
-        }
+        ...session,
+        user: formatUser(user, await achievements.getAchievements(user.UserID))
       });
-
-      io.emit('playerUpdate', { players: getOnlinePlayers() });
     } catch (error) {
       console.error('Login error:', error);
       socket.emit('loginResponse', {
@@ -403,13 +785,26 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Step 1 of a password reset: email a single-use code to the account's address
+  socket.on('requestPasswordReset', async (data) => {
+    // Answer straight away and the same way whether or not the account exists,
+    // so neither the message nor the response time reveals which accounts exist
+    socket.emit('requestPasswordResetResponse', {
+      success: true,
+      message: 'If the username and email match an account, a reset code has been sent to that email address.'
+    });
+
+    try {
+      await requestPasswordReset(data.username, data.email, clientAddress(socket));
+    } catch (error) {
+      console.error('Reset request error:', error);
+    }
+  });
+
+  // Step 2: change the password with the emailed code
   socket.on('resetPassword', async (data) => {
     try {
-      const result = await resetUserPassword(
-        data.username,
-        data.email,
-        data.newPassword
-      );
+      const result = await resetUserPassword(data.token, data.newPassword, clientAddress(socket));
       
       socket.emit('resetPasswordResponse', result);
     } catch (error) {
@@ -423,183 +818,1675 @@ io.on('connection', (socket) => {
 
   // Guest Login
   socket.on('guestLogin', () => {
-    handleGuestLogin(socket, `Guest${Math.floor(Math.random() * 1000)}`);
+    handleGuestLogin(socket);
   });
 
-  // Get Questions
-  socket.on('getQuestions', async ({ category }) => {
+  // Resume a session after a reconnect or page reload
+  socket.on('resumeSession', async ({ token } = {}) => {
     try {
-      const questions = await getQuestionsByCategory(category);
-      socket.emit('questionsData', { questions });
+      const { identity, error } = await authSessions.verifyAuthToken(token);
+      if (error) {
+        return socket.emit('sessionExpired', { message: 'Your session has expired. Please log in again.' });
+      }
+
+      const user = await getSessionUser(identity);
+      if (!user) {
+        return socket.emit('sessionExpired', { message: 'Your account could not be found. Please log in again.' });
+      }
+
+      signInSocket(socket, identity);
+
+      socket.emit('sessionResumed', {
+        success: true,
+        user: user,
+        sessionExpiresAt: new Date(identity.expiresAt).toISOString(),
+        activeGame: resumeActiveGame(socket, identity)
+      });
+      rejoinLiveRoom(socket, identity);
     } catch (error) {
-      console.error('Error getting questions:', error);
-      socket.emit('questionsError', { message: 'Failed to load questions' });
+      console.error('Resume session error:', error);
+      socket.emit('sessionExpired', { message: 'Could not restore your session. Please log in again.' });
     }
   });
 
-  // Game Completed
-  socket.on('gameCompleted', async ({ score, category }) => {
+  // The player's interface language. Their questions are served in it where translated, and
+  // registered players keep it on their account for their next visit.
+  socket.on('setLanguage', async (data) => {
+    const language = questionTranslations.normalizeLocale(data && data.language);
+    if (!language) return;
+    socket.data.language = language;
+
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) return;
     try {
-      const player = gameState.players[socket.id];
-      if (!player || player.isGuest) return;
-  
-      // Update user score and games played
-      const result = await updateUserScore(player.username, score);
-    
-      if (result.success) {
-        // If it was a new high score, broadcast to other players
-        if (result.newHighScore) {
-          io.emit('newHighScore', {
-            username: player.username,
-            score: score,
-            category: category
-          });
-        }
-      
-        // Get updated leaderboard
-        const leaderboard = await getLeaderboard();
-      
-        // Send back to all clients
-        io.emit('leaderboardUpdated', { leaderboard });
-        
-        // Add this section to send updated user data
-        const { data: updatedUser } = await supabase
-          .from('User')
-          .select('UserID, Username, Highscore, RegistrationDate, GamesPlayed')
-          .eq('Username', player.username)
-          .single();
-          
-        if (updatedUser) {
-          // Send updated user data to this client
-          socket.emit('userUpdated', { 
-            user: {
-              userId: updatedUser.UserID,
-              username: updatedUser.Username,
-              highscore: updatedUser.Highscore,
-              gamesPlayed: updatedUser.GamesPlayed || 0,
-              registrationDate: updatedUser.RegistrationDate
-            }
-          });
-        }
-      }
+      await storage.updateUser(identity.userId, { Language: language });
     } catch (error) {
-      console.error('Game completion error:', error);
+      console.error('Error saving language:', error);
     }
   });
 
-  // Get Leaderboard
-  socket.on('getLeaderboard', async () => {
+  // Get Questions - starts a new server-side game session
+  socket.on('getQuestions', async ({ category, adaptive } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity) {
+      return socket.emit('questionsError', { message: 'Please log in to play' });
+    }
+
     try {
-      const leaderboard = await getLeaderboard();
-      socket.emit('leaderboardData', { leaderboard });
+      socket.emit('questionsData', await startCategoryGame(identity, { category, adaptive, language: socket.data.language }));
+    } catch (error) {
+      console.error('Error getting questions:', error);
+      socket.emit('questionsError', { message: 'Failed to load questions' });
+    }
+  });
+
+  // Review my mistakes - a round of missed and due questions from the spaced-repetition schedule
+  socket.on('startReviewRound', async () => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('questionsError', { message: 'Create an account to review your mistakes' });
+    }
+
+    try {
+      const questions = await spacedRepetition.buildReviewRound(identity.userId);
+      if (questions.length === 0) {
+        return socket.emit('questionsError', { message: 'Nothing is due for review yet. Play a few games first!' });
+      }
+
+      const language = await playerLanguage(identity, socket.data.language);
+      socket.emit('questionsData', startSoloGame(identity, {
+        category: spacedRepetition.REVIEW_CATEGORY,
+        questions: await questionTranslations.localizeQuestions(questions, language),
+        shuffle: false,
+        reviewRound: true,
+        language: language
+      }));
+    } catch (error) {
+      console.error('Error building review round:', error);
+      socket.emit('questionsError', { message: 'Failed to load questions' });
+    }
+  });
+
+  // Today's daily challenge: the player's attempt, streak and the day's leaderboard (main menu)
+  socket.on('getDailyChallenge', async () => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      socket.emit('dailyChallenge', await dailyChallenge.getStatus(identity));
+    } catch (error) {
+      console.error('Error getting daily challenge:', error);
+    }
+  });
+
+  // Play today's daily challenge - the same questions in the same order for everyone
+  socket.on('startDailyChallenge', async () => {
+    const identity = getIdentity(socket);
+    if (!identity) {
+      return socket.emit('questionsError', { message: 'Please log in to play' });
+    }
+
+    try {
+      const game = await startDailyChallenge(identity, socket.data.language);
+      socket.emit(game.error ? 'questionsError' : 'questionsData', game.error ? { message: game.error } : game);
+    } catch (error) {
+      console.error('Error starting daily challenge:', error);
+      socket.emit('questionsError', { message: 'Failed to load questions' });
+    }
+  });
+
+  // How many questions are due for review (profile and game selection screens)
+  socket.on('getReviewSummary', async () => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) return;
+
+    try {
+      socket.emit('reviewSummary', await spacedRepetition.getSummary(identity.userId));
+    } catch (error) {
+      console.error('Error getting review summary:', error);
+    }
+  });
+
+  // Submit Answer - graded on the server. Multi-select and red-flag questions send `answerIds`.
+  socket.on('submitAnswer', async (answer) => {
+    const result = await answerQuestion(getIdentity(socket), answer || {});
+    socket.emit(result.error ? 'gameError' : 'answerResult', result.error ? { message: result.error } : result);
+  });
+
+  // Challenge another online player to a 1v1 match
+  socket.on('challengePlayer', ({ opponent, category } = {}) => {
+    const player = getIdentity(socket);
+    if (!player) {
+      return socket.emit('challengeError', { message: 'You must be logged in to challenge players' });
+    }
+
+    if (!isPlayerOnline(opponent)) {
+      return socket.emit('challengeError', { message: `${opponent} is not online` });
+    }
+
+    const { challenge, error } = matches.createChallenge({
+      challenger: player.username,
+      opponent: opponent,
+      category: category,
+      onExpire: (expired) => {
+        [expired.challenger, expired.opponent].forEach(username => {
+          io.to(`user:${username}`).emit('challengeExpired', { challengeId: expired.id, challenger: expired.challenger, opponent: expired.opponent });
+        });
+      }
+    });
+
+    if (error) {
+      return socket.emit('challengeError', { message: error });
+    }
+
+    io.to(`user:${opponent}`).emit('challengeRequest', {
+      challengeId: challenge.id,
+      challenger: challenge.challenger,
+      category: challenge.category,
+      expiresIn: matches.CHALLENGE_EXPIRY_SECONDS
+    });
+
+    socket.emit('challengeSent', {
+      challengeId: challenge.id,
+      opponent: challenge.opponent,
+      category: challenge.category,
+      expiresIn: matches.CHALLENGE_EXPIRY_SECONDS
+    });
+  });
+
+  // Accept a challenge - both players get the same question set
+  socket.on('acceptChallenge', async ({ challengeId } = {}) => {
+    const player = getIdentity(socket);
+    const challenge = matches.getChallenge(challengeId);
+
+    if (!player || !challenge || challenge.opponent !== player.username) {
+      return socket.emit('challengeError', { message: 'This challenge is no longer available' });
+    }
+
+    matches.removeChallenge(challengeId);
+
+    const challengerSocket = findPlayerSocket(challenge.challenger);
+    if (!challengerSocket) {
+      return socket.emit('challengeError', { message: `${challenge.challenger} is no longer online` });
+    }
+
+    try {
+      const questions = gameSessions.shuffleArray(await storage.getQuestionsByCategory(challenge.category));
+      if (questions.length === 0) {
+        const message = 'No questions available for this category';
+        challengerSocket.emit('challengeError', { message });
+        return socket.emit('challengeError', { message });
+      }
+
+      const match = matches.createMatch({
+        category: challenge.category,
+        players: [challenge.challenger, challenge.opponent],
+        questions: questions
+      });
+
+      await startMatchGames(match, [
+        { identity: challengerSocket.data.identity, language: challengerSocket.data.language },
+        { identity: player, language: socket.data.language }
+      ]);
+    } catch (error) {
+      console.error('Error starting match:', error);
+      socket.emit('challengeError', { message: 'Failed to start the match' });
+    }
+  });
+
+  // Decline a challenge
+  socket.on('declineChallenge', ({ challengeId } = {}) => {
+    const player = getIdentity(socket);
+    const challenge = matches.getChallenge(challengeId);
+    if (!player || !challenge || challenge.opponent !== player.username) return;
+
+    matches.removeChallenge(challengeId);
+
+    io.to(`user:${challenge.challenger}`).emit('challengeDeclined', {
+      challengeId: challenge.id,
+      opponent: challenge.opponent
+    });
+  });
+
+  // End Game - player finished early or ran out of questions
+  // (the results go to every tab of the login session as 'gameResults')
+  socket.on('endGame', async ({ sessionId } = {}) => {
+    const result = await endGame(getIdentity(socket), sessionId);
+    if (result.error) {
+      socket.emit('gameError', { message: result.error });
+    }
+  });
+
+  // Get one page of a leaderboard ({ window: 'daily' | 'weekly' | 'all', category, page }).
+  // The connection follows that board until it asks for another one or leaves the screen.
+  socket.on('getLeaderboard', async (request) => {
+    const { board, error } = leaderboards.normalizeBoard(request || {});
+    if (error) {
+      return socket.emit('leaderboardError', { message: error });
+    }
+
+    try {
+      const identity = getIdentity(socket);
+      followLeaderboard(socket, leaderboards.roomName(board));
+      socket.emit('leaderboardData', await loadLeaderboard(board, identity ? identity.username : null));
     } catch (error) {
       console.error('Error getting leaderboard:', error);
       socket.emit('leaderboardError', { message: 'Failed to load leaderboard' });
     }
   });
 
-  // Update user stats
-  socket.on('updateUserStats', async (data) => {
-    if (data.userId) {
-      try {
-        // Update category-specific statistics for the user
-        await supabase
-          .from('UserStats')
-          .upsert({
-            UserID: data.userId,
-            CategoryStats: data.categoryStats
-          });
-        
-        // Broadcast the update to ensure client is in sync
-        socket.emit('userStatsUpdated', {
-          userId: data.userId,
-          categoryStats: data.categoryStats
-        });
-      } catch (error) {
-        console.error('Error updating user stats:', error);
+  // A player's finished games (one page, newest first) and accuracy trends per category
+  socket.on('getGameHistory', async (request) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('gameHistoryError', { message: 'Create an account to keep a game history' });
+    }
+
+    try {
+      socket.emit('gameHistory', await loadGameHistory(identity, request || {}));
+    } catch (error) {
+      console.error('Error getting game history:', error);
+      socket.emit('gameHistoryError', { message: 'Failed to load game history' });
+    }
+  });
+
+  // Stop receiving leaderboard updates (the leaderboard screen was closed)
+  socket.on('leaveLeaderboard', () => {
+    followLeaderboard(socket, null);
+  });
+
+  // Bring the profile's category totals (phishing, social, mobile) of the signed-in player up to
+  // date. The totals the client sends are ignored: they are counted from the stored per-category
+  // stats, so a client can't make them up.
+  socket.on('updateUserStats', async ({ userId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('userStatsError', { message: 'Create an account to keep your statistics' });
+    }
+    if (userId !== undefined && userId !== null && Number(userId) !== identity.userId) {
+      console.log(`${identity.username} tried to change the stats of user ${userId}`);
+      return socket.emit('userStatsError', { message: 'You can only change your own statistics' });
+    }
+
+    try {
+      const stats = withProfileTotals((await storage.getUserStats(identity.userId)) || {});
+      await storage.saveUserStats(identity.userId, stats);
+
+      socket.emit('userStatsUpdated', {
+        userId: identity.userId,
+        categoryStats: stats
+      });
+    } catch (error) {
+      console.error('Error updating user stats:', error);
+      socket.emit('userStatsError', { message: 'Failed to save your statistics' });
+    }
+  });
+
+  // Logout - ends the session everywhere it is used
+  socket.on('logout', async () => {
+    const identity = socket.data.identity;
+    if (!identity) return;
+
+    signOutSocket(socket);
+
+    try {
+      await logOut(identity, clientAddress(socket));
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  });
+
+  // Disconnect - the session and any running game stay alive so the player can resume
+  socket.on('disconnect', () => {
+    console.log('User disconnected:', socket.id);
+    signOutSocket(socket);
+  });
+
+  // Admins: search the audit log of logins, lockouts, password resets and rate limiting
+  socket.on('getAuthLog', async (filters) => {
+    try {
+      const identity = getIdentity(socket);
+      if (!identity || !(await roles.hasRole(identity, [roles.ROLES.ADMIN]))) {
+        return socket.emit('authLogError', { message: 'Only admins can view the audit log' });
+      }
+
+      socket.emit('authLog', {
+        ...(await authLog.getEvents({
+          username: filters && filters.username,
+          event: filters && filters.event,
+          address: filters && filters.address,
+          page: filters && filters.page
+        })),
+        eventTypes: Object.values(authLog.EVENTS)
+      });
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      socket.emit('authLogError', { message: 'Failed to load the audit log' });
+    }
+  });
+
+  // Question bank authoring (admins only)
+  socket.on('getQuestionBank', async (filters) => {
+    try {
+      if (!(await getAdminIdentity(socket))) return;
+
+      const questions = await questionBank.listQuestions({
+        category: filters && filters.category,
+        tag: filters && filters.tag,
+        includeRetired: !(filters && filters.includeRetired === false)
+      });
+      socket.emit('questionBankData', {
+        questions: questions,
+        categories: [...new Set(questions.map(question => question.category))].sort(),
+        difficulties: questionBank.DIFFICULTIES
+      });
+    } catch (error) {
+      console.error('Error loading question bank:', error);
+      socket.emit('questionBankError', { message: 'Failed to load questions' });
+    }
+  });
+
+  // Create (no id) or update (with id) a question and its answers
+  socket.on('saveQuestion', async ({ question } = {}) => {
+    try {
+      const admin = await getAdminIdentity(socket);
+      if (!admin) return;
+
+      const result = question && question.id
+        ? await questionBank.updateQuestion(Number(question.id), question)
+        : await questionBank.createQuestion(question || {});
+
+      if (result.errors || result.error) {
+        return socket.emit('questionBankError', {
+          message: result.error || 'Please fix the question before saving',
+          errors: result.errors || []
+        });
+      }
+
+      console.log(`Question ${result.question.id} saved by ${admin.username}`);
+      socket.emit('questionSaved', { question: result.question });
+    } catch (error) {
+      console.error('Error saving question:', error);
+      socket.emit('questionBankError', { message: 'Failed to save question' });
+    }
+  });
+
+  // Retire a question (or bring it back)
+  socket.on('retireQuestion', async ({ questionId, retired } = {}) => {
+    try {
+      const admin = await getAdminIdentity(socket);
+      if (!admin) return;
+
+      const result = await questionBank.setRetired(Number(questionId), retired !== false);
+      if (result.error) {
+        return socket.emit('questionBankError', { message: result.error });
+      }
+
+      console.log(`Question ${questionId} ${result.question.retired ? 'retired' : 'restored'} by ${admin.username}`);
+      socket.emit('questionSaved', { question: result.question });
+    } catch (error) {
+      console.error('Error retiring question:', error);
+      socket.emit('questionBankError', { message: 'Failed to update question' });
+    }
+  });
+
+  // Bulk import a JSON or CSV file
+  socket.on('importQuestions', async ({ format, content } = {}) => {
+    try {
+      const admin = await getAdminIdentity(socket);
+      if (!admin) return;
+
+      const result = await questionBank.importQuestions(content, format);
+      if (result.errors.length === 0) {
+        console.log(`Question import by ${admin.username}: ${result.created} created, ${result.updated} updated`);
+      }
+      socket.emit('questionImportResult', result);
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      socket.emit('questionBankError', { message: 'Failed to import questions' });
+    }
+  });
+
+  // Export the question bank as JSON or CSV
+  socket.on('exportQuestions', async ({ format } = {}) => {
+    try {
+      if (!(await getAdminIdentity(socket))) return;
+
+      const fileFormat = format === 'csv' ? 'csv' : 'json';
+      socket.emit('questionExportData', {
+        format: fileFormat,
+        filename: `questions-${new Date().toISOString().slice(0, 10)}.${fileFormat}`,
+        content: await questionBank.exportQuestions(fileFormat)
+      });
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      socket.emit('questionBankError', { message: 'Failed to export questions' });
+    }
+  });
+
+  // Classes: the ones a player is in and, for instructors, the ones they teach
+  socket.on('getClassrooms', async () => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('classroomError', { message: 'Create an account to join a class' });
+    }
+
+    try {
+      await sendClassrooms(socket, identity);
+    } catch (error) {
+      console.error('Error loading classes:', error);
+      socket.emit('classroomError', { message: 'Failed to load classes' });
+    }
+  });
+
+  // Join a class with the code from its instructor
+  socket.on('joinClassroom', async ({ code } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('classroomError', { message: 'Create an account to join a class' });
+    }
+
+    try {
+      const result = await classrooms.joinClass(identity, code);
+      if (result.error) {
+        return socket.emit('classroomError', { message: result.error });
+      }
+
+      socket.emit('classroomUpdated', { message: `You joined ${result.classroom.name}` });
+      await sendClassrooms(socket, identity);
+    } catch (error) {
+      console.error('Error joining class:', error);
+      socket.emit('classroomError', { message: 'Failed to join class' });
+    }
+  });
+
+  socket.on('leaveClassroom', async ({ classId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) return;
+
+    try {
+      const result = await classrooms.removeMember(classId, identity.userId);
+      if (result.error) {
+        return socket.emit('classroomError', { message: result.error });
+      }
+
+      socket.emit('classroomUpdated', { message: 'You left the class' });
+      await sendClassrooms(socket, identity);
+    } catch (error) {
+      console.error('Error leaving class:', error);
+      socket.emit('classroomError', { message: 'Failed to leave class' });
+    }
+  });
+
+  // Instructors: create a class (it gets a new join code)
+  socket.on('createClassroom', async ({ name } = {}) => {
+    try {
+      const instructor = await getInstructor(socket);
+      if (!instructor) return;
+
+      const result = await classrooms.createClass(instructor.identity, name);
+      if (result.error) {
+        return socket.emit('classroomError', { message: result.error });
+      }
+
+      console.log(`Class ${result.classroom.id} created by ${instructor.identity.username}`);
+      socket.emit('classroomUpdated', { message: `Class created. Join code: ${result.classroom.joinCode}` });
+      await sendClassrooms(socket, instructor.identity);
+    } catch (error) {
+      console.error('Error creating class:', error);
+      socket.emit('classroomError', { message: 'Failed to create class' });
+    }
+  });
+
+  // Instructors: take a student out of a class
+  socket.on('removeClassMember', async ({ classId, userId } = {}) => {
+    try {
+      const classroom = await getManagedClass(socket, classId);
+      if (!classroom) return;
+
+      const result = await classrooms.removeMember(classroom.ClassID, Number(userId));
+      if (result.error) {
+        return socket.emit('classroomError', { message: result.error });
+      }
+
+      socket.emit('classroomUpdated', { message: 'Student removed from the class' });
+      await sendClassrooms(socket, getIdentity(socket));
+    } catch (error) {
+      console.error('Error removing class member:', error);
+      socket.emit('classroomError', { message: 'Failed to remove student' });
+    }
+  });
+
+  // Instructors: ask a class to play a category by a due date
+  socket.on('createAssignment', async ({ classId, category, dueAt } = {}) => {
+    try {
+      const classroom = await getManagedClass(socket, classId);
+      if (!classroom) return;
+
+      const result = await classrooms.createAssignment(classroom, { category, dueAt });
+      if (result.error) {
+        return socket.emit('classroomError', { message: result.error });
+      }
+
+      // Let the students who are online know
+      const members = await storage.select('ClassMember', { columns: 'Username', where: { ClassID: classroom.ClassID } });
+      members.forEach(member => {
+        io.to(`user:${member.Username}`).emit('assignmentAdded', {
+          className: classroom.Name,
+          assignment: result.assignment
+        });
+      });
+
+      socket.emit('classroomUpdated', { message: 'Assignment added' });
+      await sendClassrooms(socket, getIdentity(socket));
+    } catch (error) {
+      console.error('Error creating assignment:', error);
+      socket.emit('classroomError', { message: 'Failed to add assignment' });
+    }
+  });
+
+  socket.on('deleteAssignment', async ({ assignmentId } = {}) => {
+    try {
+      const assignment = await classrooms.getAssignment(Number(assignmentId));
+      const classroom = await getManagedClass(socket, assignment ? assignment.ClassID : null);
+      if (!classroom) return;
+
+      await classrooms.deleteAssignment(assignment.AssignmentID);
+      socket.emit('classroomUpdated', { message: 'Assignment removed' });
+      await sendClassrooms(socket, getIdentity(socket));
+    } catch (error) {
+      console.error('Error deleting assignment:', error);
+      socket.emit('classroomError', { message: 'Failed to remove assignment' });
+    }
+  });
+
+  // Instructors: completion and accuracy per student and per category
+  socket.on('getClassReport', async ({ classId } = {}) => {
+    try {
+      const classroom = await getManagedClass(socket, classId);
+      if (!classroom) return;
+
+      socket.emit('classReport', await classrooms.getReport(classroom));
+    } catch (error) {
+      console.error('Error building class report:', error);
+      socket.emit('classroomError', { message: 'Failed to load report' });
+    }
+  });
+
+  socket.on('exportClassReport', async ({ classId } = {}) => {
+    try {
+      const classroom = await getManagedClass(socket, classId);
+      if (!classroom) return;
+
+      const report = await classrooms.getReport(classroom);
+      const slug = classroom.Name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'class';
+      socket.emit('classReportExport', {
+        filename: `${slug}-report-${report.generatedAt.slice(0, 10)}.csv`,
+        content: classrooms.reportToCsv(report)
+      });
+    } catch (error) {
+      console.error('Error exporting class report:', error);
+      socket.emit('classroomError', { message: 'Failed to export report' });
+    }
+  });
+
+  // Live quizzes: an instructor hosts a room that players join with its code (see live-rooms.js)
+  socket.on('getLiveRoomSetup', async () => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      // Back into the room the player was in (after signing in again, for example)
+      const room = liveRooms.findRoomOf(identity.username);
+      if (room) {
+        socket.join(`live:${room.code}`);
+        liveRooms.setConnected(room, identity.username, true);
+      }
+
+      socket.emit('liveRoomSetup', {
+        canHost: await roles.hasRole(identity, [roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN]),
+        categories: await storage.getCategories(),
+        questionCount: liveRooms.DEFAULT_QUESTION_COUNT,
+        maxQuestionCount: liveRooms.MAX_QUESTION_COUNT,
+        questionSeconds: liveRooms.DEFAULT_QUESTION_SECONDS,
+        minQuestionSeconds: liveRooms.MIN_QUESTION_SECONDS,
+        maxQuestionSeconds: liveRooms.MAX_QUESTION_SECONDS,
+        room: room ? liveRooms.getClientState(room) : null
+      });
+    } catch (error) {
+      console.error('Error loading live game setup:', error);
+      socket.emit('liveRoomError', { message: 'Failed to load live games' });
+    }
+  });
+
+  // Open a room for a category (instructors and admins). The questions are in the host's language.
+  socket.on('createLiveRoom', async ({ category, questionCount, questionSeconds } = {}) => {
+    try {
+      const identity = getIdentity(socket);
+      if (!identity || !(await roles.hasRole(identity, [roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN]))) {
+        return socket.emit('liveRoomError', { message: 'Only instructors can host live games' });
+      }
+
+      const language = await playerLanguage(identity, socket.data.language);
+      const questions = typeof category === 'string'
+        ? await questionTranslations.localizeQuestions(await storage.getQuestionsByCategory(category), language)
+        : [];
+
+      // Hosting a new room ends the one the player was in
+      leaveLiveRoom(identity.username);
+
+      const { room, error } = liveRooms.createRoom({
+        host: identity.username,
+        category: category,
+        questions: questions,
+        questionCount: questionCount,
+        questionSeconds: questionSeconds,
+        onChange: sendLiveRoomState,
+        onClose: announceLiveRoomClosed
+      });
+      if (error) {
+        return socket.emit('liveRoomError', { message: error });
+      }
+
+      io.in(`user:${identity.username}`).socketsJoin(`live:${room.code}`);
+      console.log(`Live game ${room.code} (${category}) opened by ${identity.username}`);
+      sendLiveRoomState(room);
+    } catch (error) {
+      console.error('Error creating live game:', error);
+      socket.emit('liveRoomError', { message: 'Failed to create the live game' });
+    }
+  });
+
+  // Join a room with its code (guests too)
+  socket.on('joinLiveRoom', ({ code } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity) {
+      return socket.emit('liveRoomError', { message: 'Please log in to play' });
+    }
+
+    const room = liveRooms.getRoom(code);
+    if (!room) {
+      return socket.emit('liveRoomError', { message: 'No live game with that code' });
+    }
+
+    const current = liveRooms.findRoomOf(identity.username);
+    if (current && current !== room) {
+      leaveLiveRoom(identity.username);
+    }
+
+    const { error } = liveRooms.joinRoom(room.code, identity.username);
+    if (error) {
+      return socket.emit('liveRoomError', { message: error });
+    }
+
+    io.in(`user:${identity.username}`).socketsJoin(`live:${room.code}`);
+    sendLiveRoomState(room);
+  });
+
+  // Host: start the next question (or show the podium after the last one)
+  socket.on('nextLiveQuestion', ({ code } = {}) => {
+    const room = getHostedLiveRoom(socket, code);
+    if (!room) return;
+
+    const { error } = liveRooms.nextStep(room);
+    if (error) {
+      return socket.emit('liveRoomError', { message: error });
+    }
+    sendLiveRoomState(room);
+  });
+
+  // Host: end the running question before its countdown does
+  socket.on('closeLiveQuestion', ({ code } = {}) => {
+    const room = getHostedLiveRoom(socket, code);
+    if (!room) return;
+
+    const { error } = liveRooms.closeRound(room);
+    if (error) {
+      return socket.emit('liveRoomError', { message: error });
+    }
+    sendLiveRoomState(room);
+  });
+
+  // Answer the running question. Multi-select and red-flag questions send `answerIds`.
+  socket.on('liveAnswer', ({ code, questionId, answerId, answerIds } = {}) => {
+    const identity = getIdentity(socket);
+    const room = liveRooms.getRoom(code);
+    if (!identity || !room) {
+      return socket.emit('liveRoomError', { message: 'No live game with that code' });
+    }
+
+    const { error } = liveRooms.submitAnswer(room, identity.username, questionId, answerIds !== undefined ? answerIds : answerId);
+    if (error) {
+      return socket.emit('liveRoomError', { message: error });
+    }
+    sendLiveRoomState(room);
+  });
+
+  // Leave the room; the host leaving closes it for everyone
+  socket.on('leaveLiveRoom', () => {
+    const identity = getIdentity(socket);
+    if (identity) leaveLiveRoom(identity.username);
+  });
+
+  // Tournaments: the list, and the screen follows changes to them while it is open
+  socket.on('getTournaments', async () => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      socket.join('tournaments');
+      socket.emit('tournamentList', {
+        canOrganize: await roles.hasRole(identity, [roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN]),
+        categories: await storage.getCategories(),
+        formats: Object.values(tournaments.FORMATS),
+        tournaments: await tournaments.listTournaments(identity)
+      });
+    } catch (error) {
+      console.error('Error loading tournaments:', error);
+      socket.emit('tournamentError', { message: 'Failed to load tournaments' });
+    }
+  });
+
+  // One tournament with its players, bracket or schedule and standings
+  socket.on('getTournament', async ({ tournamentId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      const tournament = await tournaments.getTournament(tournamentId);
+      if (!tournament) {
+        return socket.emit('tournamentError', { message: 'Tournament not found' });
+      }
+
+      const isAdmin = await roles.hasRole(identity, [roles.ROLES.ADMIN]);
+      socket.emit('tournamentData', await tournaments.getDetails(tournament, identity, isAdmin));
+    } catch (error) {
+      console.error('Error loading tournament:', error);
+      socket.emit('tournamentError', { message: 'Failed to load the tournament' });
+    }
+  });
+
+  // Instructors and admins: create a tournament; registration opens right away
+  socket.on('createTournament', async ({ name, category, format } = {}) => {
+    try {
+      const identity = getIdentity(socket);
+      if (!identity || !(await roles.hasRole(identity, [roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN]))) {
+        return socket.emit('tournamentError', { message: 'Only instructors can organize tournaments' });
+      }
+
+      const result = await tournaments.createTournament(identity, { name, category, format }, await storage.getCategories());
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
+      }
+
+      console.log(`Tournament ${result.tournament.id} created by ${identity.username}`);
+      socket.emit('tournamentNotice', { message: `${result.tournament.name} is open for registration` });
+      sendTournamentChanged(result.tournament.id);
+    } catch (error) {
+      console.error('Error creating tournament:', error);
+      socket.emit('tournamentError', { message: 'Failed to create the tournament' });
+    }
+  });
+
+  // Register for a tournament (registered players only)
+  socket.on('joinTournament', async ({ tournamentId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) {
+      return socket.emit('tournamentError', { message: 'Create an account to play in tournaments' });
+    }
+
+    try {
+      const tournament = await tournaments.getTournament(tournamentId);
+      if (!tournament) {
+        return socket.emit('tournamentError', { message: 'Tournament not found' });
+      }
+
+      const result = await tournaments.joinTournament(identity, tournament);
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
+      }
+
+      socket.emit('tournamentNotice', { message: `You joined ${tournament.Name}` });
+      sendTournamentChanged(tournament.TournamentID);
+    } catch (error) {
+      console.error('Error joining tournament:', error);
+      socket.emit('tournamentError', { message: 'Failed to join the tournament' });
+    }
+  });
+
+  socket.on('leaveTournament', async ({ tournamentId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) return;
+
+    try {
+      const tournament = await tournaments.getTournament(tournamentId);
+      if (!tournament) {
+        return socket.emit('tournamentError', { message: 'Tournament not found' });
+      }
+
+      const result = await tournaments.leaveTournament(identity, tournament);
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
+      }
+
+      socket.emit('tournamentNotice', { message: `You left ${tournament.Name}` });
+      sendTournamentChanged(tournament.TournamentID);
+    } catch (error) {
+      console.error('Error leaving tournament:', error);
+      socket.emit('tournamentError', { message: 'Failed to leave the tournament' });
+    }
+  });
+
+  // Organizer: close registration, seed the players and start round 1
+  socket.on('startTournament', async ({ tournamentId } = {}) => {
+    try {
+      const tournament = await getManagedTournament(socket, tournamentId);
+      if (!tournament) return;
+
+      const result = await tournaments.startTournament(tournament);
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
+      }
+
+      console.log(`Tournament ${tournament.TournamentID} started by ${getIdentity(socket).username}`);
+      announceReadyMatches(result.tournament, result.ready);
+      sendTournamentChanged(tournament.TournamentID);
+    } catch (error) {
+      console.error('Error starting tournament:', error);
+      socket.emit('tournamentError', { message: 'Failed to start the tournament' });
+    }
+  });
+
+  // Organizer: start the next round once the current one is decided
+  socket.on('startTournamentRound', async ({ tournamentId } = {}) => {
+    try {
+      const tournament = await getManagedTournament(socket, tournamentId);
+      if (!tournament) return;
+
+      const result = await tournaments.startRound(tournament);
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
+      }
+
+      announceReadyMatches(result.tournament, result.ready);
+      sendTournamentChanged(tournament.TournamentID);
+    } catch (error) {
+      console.error('Error starting tournament round:', error);
+      socket.emit('tournamentError', { message: 'Failed to start the round' });
+    }
+  });
+
+  // Player: ready to play a tournament match. The match starts once both players are.
+  socket.on('playTournamentMatch', async ({ matchId } = {}) => {
+    const identity = getIdentity(socket);
+    if (!identity || identity.isGuest) return;
+
+    try {
+      const match = await tournaments.getMatch(matchId);
+      if (!match) {
+        return socket.emit('tournamentError', { message: 'Match not found' });
+      }
+
+      const opponent = match.Player1 === identity.username ? match.Player2 : match.Player1;
+      const { ready, error } = tournaments.setReady(match, identity.username);
+      if (error) {
+        return socket.emit('tournamentError', { message: error });
+      }
+
+      if (ready) {
+        await startTournamentMatch(match);
+      } else {
+        const tournament = await tournaments.getTournament(match.TournamentID);
+        io.to(`user:${opponent}`).emit('tournamentOpponentReady', {
+          tournamentId: tournament.TournamentID,
+          tournamentName: tournament.Name,
+          matchId: match.TournamentMatchID,
+          opponent: identity.username
+        });
+        socket.emit('tournamentNotice', {
+          message: isPlayerOnline(opponent)
+            ? `Waiting for ${opponent} to start the match`
+            : `${opponent} is not online. They will be told you are ready.`
+        });
+      }
+      sendTournamentChanged(match.TournamentID);
+    } catch (error) {
+      console.error('Error starting tournament match:', error);
+      socket.emit('tournamentError', { message: 'Failed to start the match' });
+    }
+  });
+
+  // Organizer: decide a match that can't be played (a no-show, for example)
+  socket.on('awardTournamentMatch', async ({ matchId, winner } = {}) => {
+    try {
+      const match = await tournaments.getMatch(matchId);
+      const tournament = await getManagedTournament(socket, match ? match.TournamentID : null);
+      if (!tournament) return;
+
+      if (tournaments.isPlaying(match.TournamentMatchID)) {
+        return socket.emit('tournamentError', { message: 'This match is being played' });
+      }
+
+      const result = await tournaments.recordResult(match.TournamentMatchID, { winner: winner, scores: {} });
+      if (result.error) {
+        return socket.emit('tournamentError', { message: result.error });
       }
+
+      await announceTournamentResult(result);
+    } catch (error) {
+      console.error('Error awarding tournament match:', error);
+      socket.emit('tournamentError', { message: 'Failed to award the match' });
     }
   });
 
-  // Logout
-  socket.on('logout', () => {
-    if (gameState.players[socket.id]) {
-      delete gameState.players[socket.id];
-      io.emit('playerUpdate', { players: getOnlinePlayers() });
+  // Channels a player can join (lobby and one per question category)
+  socket.on('getChatChannels', async () => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      const categories = await storage.getCategories();
+      socket.emit('chatChannels', {
+        channels: [
+          { id: 'lobby', name: 'Lobby' },
+          ...categories.map(category => ({ id: `category:${category}`, name: category }))
+        ],
+        isModerator: await chatMessages.isModerator(identity)
+      });
+    } catch (error) {
+      console.error('Error loading chat channels:', error);
+      socket.emit('chatError', { message: 'Failed to load chat channels' });
     }
   });
 
-  // Disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    if (gameState.players[socket.id]) {
-      delete gameState.players[socket.id];
-      io.emit('playerUpdate', { players: getOnlinePlayers() });
+  // Join a channel (or open a direct conversation) and get its history
+  socket.on('joinChannel', async (data) => {
+    const identity = getIdentity(socket);
+    if (!identity) {
+      return socket.emit('chatError', { message: 'You must be logged in to chat' });
+    }
+
+    const channel = data && data.channel;
+    try {
+      const error = await checkChannelAccess(identity, channel);
+      if (error) {
+        return socket.emit('chatError', { channel, message: error });
+      }
+
+      const { type, value } = chatMessages.parseChannel(channel);
+      let storageChannel = channel;
+      if (type === 'dm') {
+        storageChannel = chatMessages.directChannelKey(identity.username, value);
+      } else {
+        socket.join(`chat:${channel}`);
+      }
+
+      socket.emit('chatHistory', {
+        channel: channel,
+        messages: await chatMessages.getHistory(storageChannel, identity.username)
+      });
+    } catch (error) {
+      console.error('Error joining chat channel:', error);
+      socket.emit('chatError', { channel, message: 'Failed to load chat history' });
     }
   });
 
-  // Handle chat messages 
-  socket.on('chatMessage', (messageData) => {
-    // Broadcast the message to all connected clients
-    io.emit('chatMessage', {
-      username: messageData.username,
-      message: messageData.message,
-      timestamp: new Date().toISOString()
-    });
+  // Leave a channel
+  socket.on('leaveChannel', (data) => {
+    if (data && typeof data.channel === 'string') {
+      socket.leave(`chat:${data.channel}`);
+    }
+  });
+
+  // Handle chat messages - the sender's name comes from the session, never from the client.
+  // Messages starting with '/' are commands.
+  socket.on('chatMessage', async (messageData) => {
+    const identity = getIdentity(socket);
+    if (!identity) {
+      return socket.emit('chatError', { message: 'You must be logged in to chat' });
+    }
+
+    const channel = (messageData && messageData.channel) || 'lobby';
+    const text = messageData && messageData.message;
+
+    try {
+      if (typeof text === 'string' && text.trim().startsWith('/')) {
+        return await handleChatCommand(socket, identity, channel, text.trim());
+      }
+
+      const parsed = chatMessages.parseChannel(channel);
+      if (!parsed) {
+        return socket.emit('chatError', { channel, message: 'Unknown channel' });
+      }
+
+      if (parsed.type === 'dm') {
+        return await sendDirectMessage(socket, identity, parsed.value, text);
+      }
+
+      if (!socket.rooms.has(`chat:${channel}`)) {
+        return socket.emit('chatError', { channel, message: 'Join the channel before sending messages' });
+      }
+
+      const { saved, error } = await chatMessages.postMessage(identity, channel, text);
+      if (error) {
+        return socket.emit('chatError', { channel, message: error });
+      }
+
+      io.to(`chat:${channel}`).emit('chatMessage', chatMessages.formatMessage(saved));
+    } catch (error) {
+      console.error('Error sending chat message:', error);
+      socket.emit('chatError', { channel, message: 'Failed to send message' });
+    }
+  });
+
+  // Moderator: delete a message (same as the /delete command)
+  socket.on('deleteChatMessage', async (data) => {
+    const identity = getIdentity(socket);
+    if (!identity) return;
+
+    try {
+      if (!(await chatMessages.isModerator(identity))) {
+        return socket.emit('chatError', { message: 'Only moderators can delete messages' });
+      }
+      await deleteChatMessage(socket, identity, data && data.messageId);
+    } catch (error) {
+      console.error('Error deleting chat message:', error);
+      socket.emit('chatError', { message: 'Failed to delete message' });
+    }
   });
 
 });
 
+// Chat
+
+// Why a player may not join a chat channel, or null when they may
+async function checkChannelAccess(identity, channel) {
+  const parsed = chatMessages.parseChannel(channel);
+  if (!parsed) return 'Unknown channel';
+
+  const kickedMinutes = chatMessages.getKickMinutesLeft(channel, identity.username);
+  if (kickedMinutes > 0) {
+    return `You were removed from this channel. You can rejoin in ${kickedMinutes} minute${kickedMinutes === 1 ? '' : 's'}.`;
+  }
+
+  if (parsed.type === 'category') {
+    const categories = await storage.getCategories();
+    if (!categories.includes(parsed.value)) return 'Unknown channel';
+  } else if (parsed.type === 'match') {
+    const match = matches.getMatch(parsed.value);
+    if (!match || !match.players.includes(identity.username)) {
+      return 'Only players in this match can join its chat';
+    }
+  } else if (parsed.type === 'dm') {
+    if (parsed.value === identity.username) return 'You cannot message yourself';
+  }
+
+  return null;
+}
+
+// Send a private message to another online player (shown on both players' connections)
+async function sendDirectMessage(socket, identity, recipient, text) {
+  const channel = `dm:${recipient}`;
+  if (recipient === identity.username) {
+    return socket.emit('chatError', { channel, message: 'You cannot message yourself' });
+  }
+  if (!isPlayerOnline(recipient)) {
+    return socket.emit('chatError', { channel, message: `${recipient} is not online` });
+  }
+
+  const storageChannel = chatMessages.directChannelKey(identity.username, recipient);
+  const { saved, error } = await chatMessages.postMessage(identity, storageChannel, text, recipient);
+  if (error) {
+    return socket.emit('chatError', { channel, message: error });
+  }
+
+  io.to(`user:${recipient}`).emit('chatMessage', chatMessages.formatMessage(saved, recipient));
+  io.to(`user:${identity.username}`).emit('chatMessage', chatMessages.formatMessage(saved, identity.username));
+}
+
+// Hide a message and remove it from everyone's screen
+async function deleteChatMessage(socket, identity, messageId) {
+  const deleted = await chatMessages.deleteMessage(Number(messageId), identity.username);
+  if (!deleted) {
+    return socket.emit('chatError', { message: 'Message not found' });
+  }
+
+  const notice = { id: deleted.MessageID };
+  if (deleted.Recipient) {
+    io.to(`user:${deleted.Username}`).to(`user:${deleted.Recipient}`).emit('chatMessageDeleted', notice);
+  } else {
+    io.to(`chat:${deleted.Channel}`).emit('chatMessageDeleted', notice);
+  }
+}
+
+const CHAT_HELP = [
+  '/help - show this list',
+  '/mute <player> [minutes] - stop a player from chatting',
+  '/unmute <player> - let a muted player chat again',
+  '/kick <player> - remove a player from this channel',
+  '/delete <message ID> - delete a message'
+].join('\n');
+
+// Run a chat command. Every command except /help is for moderators only.
+async function handleChatCommand(socket, identity, channel, text) {
+  const [command, target, argument] = text.slice(1).split(/\s+/);
+  const notice = message => socket.emit('chatNotice', { channel, message });
+
+  if (command === 'help') {
+    return notice(CHAT_HELP);
+  }
+
+  if (!['mute', 'unmute', 'kick', 'delete'].includes(command)) {
+    return notice(`Unknown command /${command}. Type /help for the list of commands.`);
+  }
+
+  if (!(await chatMessages.isModerator(identity))) {
+    return notice('Only moderators can use this command');
+  }
+
+  if (!target) {
+    return notice(`Usage: ${CHAT_HELP.split('\n').find(line => line.startsWith('/' + command))}`);
+  }
+
+  if (command === 'delete') {
+    return deleteChatMessage(socket, identity, target);
+  }
+
+  // Moderators can't act on each other
+  const targetUser = await storage.findUserByUsername(target);
+  if (targetUser && chatMessages.MODERATOR_ROLES.includes(targetUser.Role)) {
+    return notice(`${target} is a moderator`);
+  }
+
+  if (command === 'mute') {
+    const minutes = argument === undefined ? chatMessages.DEFAULT_MUTE_MINUTES : Number(argument);
+    if (!(minutes > 0)) {
+      return notice('Mute length must be a positive number of minutes');
+    }
+    await chatMessages.muteUser(target, minutes, identity.username);
+    io.to(`user:${target}`).emit('chatNotice', { channel, message: `You have been muted for ${minutes} minutes by ${identity.username}` });
+    return notice(`${target} is muted for ${minutes} minutes`);
+  }
+
+  if (command === 'unmute') {
+    await chatMessages.unmuteUser(target);
+    io.to(`user:${target}`).emit('chatNotice', { channel, message: 'You can chat again' });
+    return notice(`${target} is no longer muted`);
+  }
+
+  // kick
+  const parsed = chatMessages.parseChannel(channel);
+  if (!parsed || parsed.type === 'dm') {
+    return notice('Use /kick inside a channel');
+  }
+  chatMessages.kickFromChannel(channel, target);
+  io.in(`user:${target}`).socketsLeave(`chat:${channel}`);
+  io.to(`user:${target}`).emit('chatKicked', { channel, by: identity.username, minutes: chatMessages.KICK_MINUTES });
+  io.to(`chat:${channel}`).emit('chatNotice', { channel, message: `${target} was removed from the channel by ${identity.username}` });
+}
+
+// Player details stored on a game session
+function toPlayer(identity) {
+  return {
+    userId: identity.userId,
+    username: identity.username,
+    isGuest: identity.isGuest
+  };
+}
+
+// Start a single-player game session. Returns its questions for the client ('questionsData').
+// `options` are passed on to gameSessions.createSession (category, questions, adaptive, ...).
+function startSoloGame(identity, options) {
+  // Only one game per login session; replace any unfinished one
+  abandonActiveGame(identity.sessionId);
+
+  if (options.questions.length === 0) {
+    return { questions: [] };
+  }
+
+  const session = gameSessions.createSession({
+    ...options,
+    ownerId: identity.sessionId,
+    player: toPlayer(identity),
+    onExpire: (expired) => completeGame(expired)
+  });
+  gameState.activeGames[identity.sessionId] = session.id;
+  xapi.gameStarted(session);
+
+  return {
+    sessionId: session.id,
+    category: session.category,
+    adaptive: session.adaptive,
+    reviewRound: session.reviewRound,
+    dailyChallenge: session.dailyChallenge,
+    language: session.language,
+    totalQuestions: session.totalQuestions,
+    questions: session.questions.map(gameSessions.toClientQuestion),
+    timeRemaining: gameSessions.getTimeRemaining(session)
+  };
+}
+
+// Send a player their classes (and the ones they teach, for instructors)
+async function sendClassrooms(socket, identity) {
+  const role = await roles.getRole(identity);
+  const teaches = [roles.ROLES.INSTRUCTOR, roles.ROLES.ADMIN].includes(role);
+
+  socket.emit('classroomData', {
+    enrolled: await classrooms.listEnrolledClasses(identity),
+    teaching: teaches ? await classrooms.listTaughtClasses(identity, role === roles.ROLES.ADMIN) : null,
+    categories: await storage.getCategories()
+  });
+}
+
+// Send a live room's state to everyone in it
+function sendLiveRoomState(room) {
+  io.to(`live:${room.code}`).emit('liveRoomState', liveRooms.getClientState(room));
+}
+
+// Tell everyone in a closed live room and take their connections out of it
+function announceLiveRoomClosed(room, message) {
+  io.to(`live:${room.code}`).emit('liveRoomClosed', { code: room.code, message: message });
+  io.in(`live:${room.code}`).socketsLeave(`live:${room.code}`);
+}
+
+// Helper to get the live room the signed-in player hosts. Tells them when they don't.
+function getHostedLiveRoom(socket, code) {
+  const identity = getIdentity(socket);
+  const room = liveRooms.getRoom(code);
+  if (!identity || !room || room.host !== identity.username) {
+    socket.emit('liveRoomError', { message: 'Only the host can do that' });
+    return null;
+  }
+  return room;
+}
+
+// Take a player out of their live room, if any. A host leaving closes the room.
+function leaveLiveRoom(username) {
+  const room = liveRooms.findRoomOf(username);
+  if (!room) return;
+
+  if (room.host === username) {
+    liveRooms.closeRoom(room);
+    announceLiveRoomClosed(room, 'The host ended the live game');
+    console.log(`Live game ${room.code} closed by ${username}`);
+    return;
+  }
+
+  liveRooms.leaveRoom(room, username);
+  io.in(`user:${username}`).socketsLeave(`live:${room.code}`);
+  sendLiveRoomState(room);
+}
+
+// Put a resuming player back into the live room they were in
+function rejoinLiveRoom(socket, identity) {
+  const room = liveRooms.findRoomOf(identity.username);
+  if (!room) return;
+
+  socket.join(`live:${room.code}`);
+  liveRooms.setConnected(room, identity.username, true);
+  sendLiveRoomState(room);
+}
+
+// Tell every open tournament screen that a tournament changed
+function sendTournamentChanged(tournamentId) {
+  io.to('tournaments').emit('tournamentChanged', { tournamentId: tournamentId });
+}
+
+// Helper to get a tournament the signed-in player organizes (admins run every one).
+// Tells them when they can't.
+async function getManagedTournament(socket, tournamentId) {
+  const identity = getIdentity(socket);
+  const tournament = identity && tournamentId ? await tournaments.getTournament(tournamentId) : null;
+  const isAdmin = tournament ? await roles.hasRole(identity, [roles.ROLES.ADMIN]) : false;
+  if (!tournament || !tournaments.canManage(tournament, identity, isAdmin)) {
+    socket.emit('tournamentError', { message: 'Only the organizer can do that' });
+    return null;
+  }
+  return tournament;
+}
+
+// Tell the players of newly playable tournament matches who they play
+function announceReadyMatches(tournament, ready) {
+  ready.forEach(match => {
+    [[match.player1, match.player2], [match.player2, match.player1]].forEach(([username, opponent]) => {
+      io.to(`user:${username}`).emit('tournamentMatchReady', {
+        tournamentId: tournament.TournamentID,
+        tournamentName: tournament.Name,
+        matchId: match.id,
+        round: match.round,
+        opponent: opponent
+      });
+    });
+  });
+}
+
+// Start the game of a tournament match both players are ready for
+async function startTournamentMatch(tournamentMatch) {
+  const tournament = await tournaments.getTournament(tournamentMatch.TournamentID);
+  const playerSockets = [tournamentMatch.Player1, tournamentMatch.Player2].map(findPlayerSocket);
+
+  const missing = [tournamentMatch.Player1, tournamentMatch.Player2].find((username, i) => !playerSockets[i]);
+  const questions = missing ? [] : gameSessions.shuffleArray(await storage.getQuestionsByCategory(tournament.Category));
+  if (missing || questions.length === 0) {
+    tournaments.setPlaying(tournamentMatch.TournamentMatchID, null);
+    const message = missing ? `${missing} is no longer online` : 'No questions available for this category';
+    [tournamentMatch.Player1, tournamentMatch.Player2].forEach(username => {
+      io.to(`user:${username}`).emit('tournamentError', { message });
+    });
+    return;
+  }
+
+  const match = matches.createMatch({
+    category: tournament.Category,
+    players: [tournamentMatch.Player1, tournamentMatch.Player2],
+    questions: questions,
+    tournamentMatchId: tournamentMatch.TournamentMatchID
+  });
+  tournaments.setPlaying(tournamentMatch.TournamentMatchID, match.id);
+
+  await startMatchGames(match, playerSockets.map(connection => ({
+    identity: connection.data.identity,
+    language: connection.data.language
+  })));
+}
+
+// Store the outcome of a match played for a tournament and move the tournament on
+async function recordTournamentMatch(outcome) {
+  try {
+    const result = await tournaments.recordResult(outcome.tournamentMatchId, outcome);
+    if (result.error) {
+      console.error(`Tournament match ${outcome.tournamentMatchId}: ${result.error}`);
+      return;
+    }
+    await announceTournamentResult(result);
+  } catch (error) {
+    console.error('Error saving tournament match:', error);
+  }
+}
+
+// Tell the organizer when a round is over and everyone in it when the tournament has a winner
+async function announceTournamentResult(result) {
+  const tournament = result.tournament;
+  sendTournamentChanged(tournament.id);
+
+  if (result.champion) {
+    const players = await tournaments.getPlayers(tournament.id);
+    new Set([tournament.organizer, ...players.map(player => player.Username)]).forEach(username => {
+      io.to(`user:${username}`).emit('tournamentFinished', {
+        tournamentId: tournament.id,
+        tournamentName: tournament.name,
+        winner: result.champion
+      });
+    });
+  } else if (result.roundComplete) {
+    io.to(`user:${tournament.organizer}`).emit('tournamentRoundComplete', {
+      tournamentId: tournament.id,
+      tournamentName: tournament.name,
+      round: result.match.round
+    });
+  }
+}
+
+// Move a connection to the room of the leaderboard it is viewing (null to stop following)
+function followLeaderboard(socket, room) {
+  if (socket.data.leaderboardRoom && socket.data.leaderboardRoom !== room) {
+    socket.leave(socket.data.leaderboardRoom);
+  }
+  socket.data.leaderboardRoom = room;
+  if (room) socket.join(room);
+}
+
+// Start the games of a match: both players answer the same questions, each in their own
+// language. `players` are { identity, language } of one connection of each player.
+async function startMatchGames(match, players) {
+  for (const { identity, language } of players) {
+    const room = `session:${identity.sessionId}`;
+    const matchLanguage = await playerLanguage(identity, language);
+    const playerQuestions = await questionTranslations.localizeQuestions(match.questions, matchLanguage);
+
+    abandonActiveGame(identity.sessionId);
+    io.in(room).socketsJoin([`match:${match.id}`, `chat:match:${match.id}`]);
+
+    const session = gameSessions.createSession({
+      ownerId: identity.sessionId,
+      player: toPlayer(identity),
+      category: match.category,
+      questions: playerQuestions,
+      shuffle: false,
+      matchId: match.id,
+      language: matchLanguage,
+      onExpire: (expired) => completeGame(expired)
+    });
+    gameState.activeGames[identity.sessionId] = session.id;
+    xapi.gameStarted(session);
+
+    io.to(room).emit('gameStarted', {
+      matchId: match.id,
+      players: match.players,
+      category: match.category,
+      tournamentMatchId: match.tournamentMatchId
+    });
+
+    io.to(room).emit('questionsData', {
+      sessionId: session.id,
+      matchId: match.id,
+      questions: session.questions.map(gameSessions.toClientQuestion),
+      timeRemaining: gameSessions.getTimeRemaining(session)
+    });
+  }
+}
+
+// Drop the unfinished game owned by a login session, if any.
+// Leaving a running match forfeits it to the opponent.
+function abandonActiveGame(authSessionId) {
+  const sessionId = gameState.activeGames[authSessionId];
+  if (!sessionId) return;
+
+  const session = gameSessions.getSession(sessionId);
+  gameSessions.discardSession(sessionId);
+  delete gameState.activeGames[authSessionId];
+
+  if (session && session.matchId) {
+    const outcome = matches.forfeit(session.matchId, session.player.username);
+    if (outcome) finishMatch(outcome);
+  }
+}
+
+// State of the game a resuming player left running, if any
+function resumeActiveGame(socket, identity) {
+  const session = gameSessions.getSession(gameState.activeGames[identity.sessionId]);
+  if (!session) return null;
+
+  const activeGame = gameSessions.getClientState(session);
+
+  if (session.matchId) {
+    const match = matches.getMatch(session.matchId);
+    if (match) {
+      socket.join([`match:${match.id}`, `chat:match:${match.id}`]);
+      activeGame.players = match.players;
+      activeGame.progress = match.progress;
+    }
+  }
+
+  return activeGame;
+}
+
+// Announce the winner and save the match
+async function finishMatch(outcome) {
+  const room = `match:${outcome.matchId}`;
+  io.to(room).emit('matchResult', outcome);
+  io.in(room).socketsLeave(room);
+
+  await saveMatchResult(outcome);
+  if (outcome.tournamentMatchId) await recordTournamentMatch(outcome);
+}
+
+// Send the server-computed results to the player's connections and save them for registered players
+async function completeGame(session) {
+  const result = session.result;
+  const room = `session:${session.ownerId}`;
+  let results = result;
+  if (gameState.activeGames[session.ownerId] === session.id) {
+    delete gameState.activeGames[session.ownerId];
+  }
+
+  try {
+    const player = session.player;
+    let newHighScore = false;
+    let unlocked = [];
+
+    if (session.reviewRound && !player.isGuest) {
+      // Review rounds are practice: no score or category stats, just the new review count
+      unlocked = await awardAchievements(session);
+      io.to(room).emit('reviewSummary', await spacedRepetition.getSummary(player.userId));
+
+      if (unlocked.length > 0) {
+        await sendUserUpdate(room, player.username);
+      }
+    } else if (session.dailyChallenge && !player.isGuest) {
+      // Daily challenges have their own leaderboard; they don't change high scores or category stats
+      await dailyChallenge.recordResult(player.userId, session.dailyChallenge, result);
+      unlocked = await awardAchievements(session);
+      io.to(room).emit('dailyChallenge', await dailyChallenge.getStatus(player));
+
+      if (unlocked.length > 0) {
+        await sendUserUpdate(room, player.username);
+      }
+    } else if (player.username && !player.isGuest) {
+      // Update user score and games played
+      const saved = await updateUserScore(session);
+      await updateCategoryStats(session);
+      await saveGameResult(session);
+      unlocked = await awardAchievements(session);
+
+      if (saved.success) {
+        newHighScore = saved.newHighScore;
+
+        // If it was a new high score, broadcast to other players
+        if (newHighScore) {
+          io.emit('newHighScore', {
+            username: player.username,
+            score: result.score,
+            category: result.category
+          });
+        }
+
+        // Tell the clients viewing an affected leaderboard to reload it
+        io.to(leaderboards.affectedRooms(result.category)).emit('leaderboardUpdated', { category: result.category });
+
+        // Send updated user data to this client
+        await sendUserUpdate(room, player.username);
+      }
+    }
+
+    // Learning records for the LRS (registered players only)
+    xapi.gameCompleted(session, result);
+    xapi.achievementsEarned(session, unlocked);
+
+    results = {
+      ...result,
+      newHighScore,
+      matchId: session.matchId,
+      achievementsUnlocked: unlocked
+    };
+  } catch (error) {
+    console.error('Game completion error:', error);
+  }
+  io.to(room).emit('gameResults', results);
+
+  // Settle the match once both players are done
+  if (session.matchId) {
+    const outcome = matches.recordResult(session.matchId, session.player.username, result);
+    if (outcome) await finishMatch(outcome);
+  }
+
+  return results;
+}
+
 // Handle Guest Login
 async function handleGuestLogin(socket, username) {
-  const guestUsername = username || `Guest${Math.floor(Math.random() * 1000)}`;
-  
-  gameState.players[socket.id] = { 
-    username: guestUsername,
-    online: true,
-    isGuest: true
-  };
-  
-  socket.emit('loginResponse', { 
-    success: true, 
-    user: {
+  try {
+    const guestUsername = username || await newGuestName();
+    const session = await startAuthSession(socket, {
       username: guestUsername,
-      isGuest: true,
-      gamesPlayed: 0
-    }
+      isGuest: true
+    });
+
+    authLog.record(authLog.EVENTS.GUEST_LOGIN, { username: guestUsername, address: clientAddress(socket) });
+
+    socket.emit('loginResponse', { 
+      success: true, 
+      ...session,
+      user: {
+        username: guestUsername,
+        isGuest: true,
+        gamesPlayed: 0
+      }
+    });
+  } catch (error) {
+    console.error('Guest login error:', error);
+    socket.emit('loginResponse', {
+      success: false,
+      message: 'Login failed'
+    });
+  }
+}
+
+// Email a password reset code if the username and email belong to the same account
+async function requestPasswordReset(username, email, address = null) {
+  if (!username || !email) return;
+
+  const user = await storage.findUserByUsername(username);
+  if (!user || !user.email || user.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+    console.log(`Password reset requested for unknown username/email pair: ${username}`);
+    authLog.record(authLog.EVENTS.PASSWORD_RESET_REQUESTED, { username, address, detail: 'no matching account' });
+    return;
+  }
+  authLog.record(authLog.EVENTS.PASSWORD_RESET_REQUESTED, { username: user.Username, userId: user.UserID, address, detail: 'code sent' });
+
+  const token = await passwordReset.createResetToken(user.UserID);
+  const appUrl = process.env.APP_URL || `http://localhost:${PORT}`;
+
+  await mail.sendMail({
+    to: user.email,
+    subject: 'Reset your Cybersecurity Awareness Game password',
+    text: `Hi ${user.Username},\n\n` +
+      `Someone asked to reset the password for your account. Your reset code is:\n\n${token}\n\n` +
+      `Enter it on the Reset Password screen, or open this link:\n${appUrl}/?resetToken=${token}\n\n` +
+      `The code works once and expires in ${passwordReset.RESET_TOKEN_TTL_MINUTES} minutes. ` +
+      `If you did not ask for this, you can ignore this email - your password has not changed.`
   });
-  
-  io.emit('playerUpdate', { players: getOnlinePlayers() });
 }
 
-// Reset user password function (needs to be defined)
-async function resetUserPassword(username, email, newPassword) {
+// Change a password using a valid reset code
+async function resetUserPassword(token, newPassword, address = null) {
   try {
-    // Check if user exists and email matches
-    const { data: user, error: userError } = await supabase
-      .from('User')
-      .select('UserID, email')
-      .eq('Username', username)
-      .single();
-    
-    if (userError || !user) {
-      return { success: false, message: 'User not found' };
+    const unmet = passwords.checkPasswordRequirements(newPassword);
+    if (unmet.length > 0) {
+      return { success: false, message: 'Password does not meet requirements: ' + unmet.join(', ') };
     }
-    
-    // Here you would normally validate the email against the stored one
-    // but since this is a simplified example, we'll just update the password
-    
-    const hashedPassword = sha256(newPassword);
-    
-    const { error } = await supabase
-      .from('User')
-      .update({ Password_hash: hashedPassword })
-      .eq('UserID', user.UserID);
-      
+
+    const { userId, error } = await passwordReset.consumeResetToken(token);
     if (error) {
-      return { success: false, message: 'Failed to update password' };
+      authLog.record(authLog.EVENTS.PASSWORD_RESET_FAILED, { address, detail: error });
+      return { success: false, message: error };
     }
-    
+
+    const hashedPassword = await passwords.hashPassword(newPassword);
+    const user = await storage.updateUser(userId, { Password_hash: hashedPassword });
+    authLog.record(authLog.EVENTS.PASSWORD_RESET, { username: user ? user.Username : null, userId, address });
+
+    // Sign the account out everywhere, so a session token someone else has stops working too
+    await authSessions.revokeUserSessions(userId);
+    io.sockets.sockets.forEach(connection => {
+      const other = connection.data.identity;
+      if (other && !other.isGuest && other.userId === userId) {
+        abandonActiveGame(other.sessionId);
+        signOutSocket(connection);
+        connection.emit('sessionExpired', { message: 'Your password was changed. Please log in again.' });
+      }
+    });
+
     return { success: true };
   } catch (err) {
     console.error('Password reset error:', err);
@@ -607,13 +2494,49 @@ async function resetUserPassword(username, email, newPassword) {
   }
 }
 
+// REST API for LMS integrations and scripts (same actions as the socket events)
+app.use(`/api/${httpApi.API_VERSION}`, httpApi.createApiRouter({
+  createAccount,
+  logIn,
+  logOut,
+  newGuestName,
+  getSessionUser,
+  startCategoryGame,
+  getOwnGame,
+  answerQuestion,
+  endGame,
+  loadLeaderboard,
+  loadGameHistory
+}));
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
+// Clear out expired login sessions at startup and every hour
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+function removeExpiredSessions() {
+  authSessions.removeExpiredSessions()
+    .catch(error => console.error('Error removing expired sessions:', error));
+}
+
+// Start server once storage is ready
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+storage.init()
+  .then(async () => {
+    // Fill the leaderboards from stored games the first time
+    await leaderboards.rebuildScores()
+      .catch(error => console.error('Error rebuilding leaderboards:', error));
+
+    removeExpiredSessions();
+    setInterval(removeExpiredSessions, SESSION_CLEANUP_INTERVAL_MS).unref();
+
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to initialize storage:', error.message);
+    process.exit(1);
+  });